@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const SeededRandom = require('../utils/random');
+const { GAME_STATUSES, assertTransition, getFinishStatus } = require('../core/gameLifecycle');
 
 const gameStateSchema = new mongoose.Schema({
     gameId: {
@@ -10,7 +12,7 @@ const gameStateSchema = new mongoose.Schema({
     gameType: {
         type: String,
         required: true,
-        enum: ['chess', 'checkers', 'tic-tac-toe', 'custom']
+        enum: ['chess', 'checkers', 'tic-tac-toe', 'battle', 'custom']
     },
     config: {
         maxPlayers: {
@@ -52,12 +54,54 @@ const gameStateSchema = new mongoose.Schema({
         autoStart: {
             type: Boolean,
             default: false
+        },
+        seed: {
+            type: String
+        },
+        ranked: {
+            type: Boolean,
+            default: false
+        },
+        totalRounds: {
+            type: Number,
+            default: 1,
+            min: 1,
+            max: 15
+        },
+        turnMode: {
+            type: String,
+            enum: ['sequential', 'simultaneous'],
+            default: 'sequential'
+        },
+        turnOrderStrategy: {
+            type: String,
+            enum: ['join', 'random', 'initiative', 'atb'],
+            default: 'random'
+        },
+        timeControl: {
+            type: mongoose.Schema.Types.Mixed // { type, initial, increment, delay, periods, periodTime }
+        },
+        timeoutPolicy: {
+            type: String,
+            enum: ['default', 'skip', 'forfeit', 'bot'],
+            default: 'default'
+        },
+        forfeitAfter: {
+            type: Number, // Consecutive timeouts before forfeiting under the forfeit policy
+            default: 3,
+            min: 1,
+            max: 10
+        },
+        reconnectGracePeriod: {
+            type: Number, // How long a disconnected player's seat is held (ms)
+            min: 5000,
+            max: 600000
         }
     },
     state: {
         status: {
             type: String,
-            enum: ['waiting', 'active', 'paused', 'ended', 'cancelled'],
+            enum: GAME_STATUSES,
             default: 'waiting'
         },
         players: [{
@@ -78,6 +122,12 @@ const gameStateSchema = new mongoose.Schema({
                 type: Boolean,
                 default: true
             },
+            disconnectedAt: {
+                type: Date
+            },
+            reconnectDeadline: {
+                type: Number // Epoch ms when a disconnected player's seat is released
+            },
             joinedAt: {
                 type: Date,
                 default: Date.now
@@ -107,26 +157,130 @@ const gameStateSchema = new mongoose.Schema({
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Player'
         }],
+        startingPlayers: [{
+            id: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Player'
+            },
+            name: {
+                type: String
+            }
+        }],
         currentRound: {
             type: Number,
             default: 1
         },
+        turnNumber: {
+            type: Number,
+            default: 1
+        },
         totalRounds: {
             type: Number,
             default: 1
         },
+        initialTurnOrder: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Player'
+        }],
+        scores: {
+            type: mongoose.Schema.Types.Mixed, // Rounds won per player ID
+            default: {}
+        },
+        roundResults: [{
+            round: {
+                type: Number,
+                required: true
+            },
+            winner: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Player'
+            },
+            endReason: {
+                type: String
+            }
+        }],
         gameData: {
             type: mongoose.Schema.Types.Mixed,
             default: {}
         },
+        rng: {
+            type: mongoose.Schema.Types.Mixed // { seed, state } of the game's SeededRandom
+        },
+        extraTurns: [{
+            type: mongoose.Schema.Types.Mixed // Player IDs granted another turn next, in order
+        }],
+        skipTurns: {
+            type: mongoose.Schema.Types.Mixed, // Turns to skip by player ID
+            default: {}
+        },
+        turnGauges: {
+            type: mongoose.Schema.Types.Mixed // Active time battle gauges by player ID
+        },
+        vacatedSeat: {
+            type: Number // Turn order index left by a current player who dropped out, so the next seat moves next
+        },
+        pendingActions: {
+            type: mongoose.Schema.Types.Mixed, // Committed simultaneous-turn actions by player ID
+            default: {}
+        },
+        pause: {
+            type: mongoose.Schema.Types.Mixed // { pausedBy, pausedAt, turnTimeRemaining, gameTimeRemaining }
+        },
+        pauseVote: {
+            type: mongoose.Schema.Types.Mixed // { action: 'pause' | 'resume', votes }
+        },
+        clocks: {
+            type: mongoose.Schema.Types.Mixed // { remaining, periods } by player ID
+        },
+        timeouts: {
+            type: mongoose.Schema.Types.Mixed // { total, consecutive } turn timeouts by player ID
+        },
+        botControlled: {
+            type: mongoose.Schema.Types.Mixed // Player IDs whose turns a bot plays after timing out
+        },
+        turnStartedAt: {
+            type: Number // Epoch ms when the current player's clock started
+        },
+        turnDeadline: {
+            type: Number // Epoch ms when the current turn times out
+        },
+        gameDeadline: {
+            type: Number // Epoch ms when the game times out
+        },
+        version: {
+            type: Number, // Bumped on every saved change, for optimistic concurrency
+            default: 0
+        },
+        idempotencyKeys: {
+            type: mongoose.Schema.Types.Mixed // [{ key, playerId, result }] of recent actions
+        },
+        pendingTakeback: {
+            type: mongoose.Schema.Types.Mixed // { requestedBy, step, approvals, requestedAt, expiresAt }
+        },
+        rematchOffer: {
+            type: mongoose.Schema.Types.Mixed // { offeredBy, approvals, swapFirstPlayer, offeredAt }
+        },
+        drawOffer: {
+            type: mongoose.Schema.Types.Mixed // { offeredBy, approvals, offeredAt }
+        },
         turnHistory: [{
+            type: {
+                type: String,
+                enum: ['action', 'turn_skipped', 'simultaneous', 'flag_fall', 'timeout_forfeit', 'resign', 'abandon', 'draw'],
+                default: 'action'
+            },
             playerId: {
                 type: mongoose.Schema.Types.ObjectId,
                 ref: 'Player'
             },
             action: {
                 type: mongoose.Schema.Types.Mixed,
-                required: true
+                required: function () {
+                    return this.type === 'action';
+                }
+            },
+            seed: {
+                type: Number // Random generator state before the entry
             },
             timestamp: {
                 type: Date,
@@ -191,6 +345,13 @@ const gameStateSchema = new mongoose.Schema({
         ref: 'Player',
         required: true
     },
+    previousGameId: {
+        type: String, // Game this game is a rematch of
+        index: true
+    },
+    rematchGameId: {
+        type: String // Rematch started after this game
+    },
     metadata: {
         version: {
             type: String,
@@ -228,6 +389,13 @@ const gameStateSchema = new mongoose.Schema({
             type: Number,
             default: 0
         },
+        totalTimeouts: {
+            type: Number,
+            default: 0
+        },
+        timeoutsByPlayer: {
+            type: mongoose.Schema.Types.Mixed // { total, consecutive } by player ID
+        },
         playerActivity: [{
             playerId: {
                 type: mongoose.Schema.Types.ObjectId,
@@ -371,6 +539,7 @@ gameStateSchema.methods.addEvent = function (type, playerId = null, data = {}) {
 };
 
 gameStateSchema.methods.startGame = function () {
+    assertTransition(this.state.status, 'active');
     this.state.status = 'active';
     this.state.startedAt = new Date();
     this.state.currentRound = 1;
@@ -381,11 +550,12 @@ gameStateSchema.methods.startGame = function () {
             .filter(p => !p.isSpectator)
             .map(p => p.id);
 
-        // Shuffle turn order
-        for (let i = this.state.turnOrder.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [this.state.turnOrder[i], this.state.turnOrder[j]] = [this.state.turnOrder[j], this.state.turnOrder[i]];
+        // Shuffle turn order with the game's seeded generator
+        if (!this.state.rng) {
+            this.state.rng = SeededRandom.createState(this.config.seed);
         }
+        new SeededRandom(this.state.rng).shuffle(this.state.turnOrder);
+        this.markModified('state.rng');
     }
 
     this.state.currentTurn = this.state.turnOrder[0];
@@ -394,7 +564,9 @@ gameStateSchema.methods.startGame = function () {
 };
 
 gameStateSchema.methods.endGame = function (reason, winner = null) {
-    this.state.status = 'ended';
+    const status = getFinishStatus(this.state.status);
+    assertTransition(this.state.status, status);
+    this.state.status = status;
     this.state.endedAt = new Date();
     this.state.endReason = reason;
     this.state.winner = winner;
@@ -16,7 +16,7 @@ const roomSchema = new mongoose.Schema({
     gameType: {
         type: String,
         required: true,
-        enum: ['chess', 'checkers', 'tic-tac-toe', 'custom']
+        enum: ['chess', 'checkers', 'tic-tac-toe', 'battle', 'custom']
     },
     status: {
         type: String,
@@ -92,8 +92,47 @@ const roomSchema = new mongoose.Schema({
             max: 3600000
         },
         rules: {
-            type: mongoose.Schema.Types.Mixed,
+            type: mongoose.Schema.Types.Mixed, // e.g. { allowTakeback: true } for casual rooms
             default: {}
+        },
+        ranked: {
+            type: Boolean,
+            default: false
+        },
+        totalRounds: {
+            type: Number, // Best-of-N matches
+            default: 1,
+            min: 1,
+            max: 15
+        },
+        turnMode: {
+            type: String,
+            enum: ['sequential', 'simultaneous'],
+            default: 'sequential'
+        },
+        turnOrderStrategy: {
+            type: String,
+            enum: ['join', 'random', 'initiative', 'atb'],
+            default: 'random'
+        },
+        timeControl: {
+            type: mongoose.Schema.Types.Mixed // { type, initial, increment, delay, periods, periodTime }
+        },
+        timeoutPolicy: {
+            type: String,
+            enum: ['default', 'skip', 'forfeit', 'bot'],
+            default: 'default'
+        },
+        forfeitAfter: {
+            type: Number, // Consecutive timeouts before forfeiting under the forfeit policy
+            default: 3,
+            min: 1,
+            max: 10
+        },
+        reconnectGracePeriod: {
+            type: Number, // How long a disconnected player's seat is held (ms)
+            min: 5000,
+            max: 600000
         }
     },
     chat: {
@@ -294,7 +333,7 @@ roomSchema.methods.getSpectators = function () {
 
 roomSchema.methods.canStartGame = function () {
     const activePlayers = this.getActivePlayers();
-    return activePlayers.length >= 2 && this.status === 'open';
+    return activePlayers.length >= 2 && ['open', 'full'].includes(this.status);
 };
 
 // Static methods
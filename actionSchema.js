@@ -0,0 +1,59 @@
+const Joi = require('joi');
+
+/**
+ * Checks a player's action against the Joi schemas its game type declares
+ * (GameRules.getActionSchemas) before any rule code sees it. An action is
+ * { type, data }: type must be one of the declared action types, and data
+ * must match that type's schema.
+ */
+
+/**
+ * Error for an action whose payload does not match its game's schemas
+ */
+class ActionValidationError extends Error {
+    /**
+     * @param {Array} details - Problems found ({ path, message, type })
+     */
+    constructor(details) {
+        super(`Invalid action: ${details.map(detail => detail.message).join(', ')}`);
+        this.name = 'ActionValidationError';
+        this.code = 'INVALID_ACTION';
+        this.details = details;
+        this.statusCode = 400;
+        this.status = 'fail';
+        this.isOperational = true;
+
+        Error.captureStackTrace(this, this.constructor);
+    }
+}
+
+/**
+ * Validate an action against a game type's action schemas
+ * @param {Object} schemas - Joi schema for each action type's data
+ * @param {Object} action - Action ({ type, data })
+ */
+const validateActionPayload = (schemas, action) => {
+    const types = Object.keys(schemas);
+    if (types.length === 0) return; // Game type declares no schemas
+
+    const type = action && typeof action === 'object' ? action.type : undefined;
+
+    const schema = Joi.object({
+        type: Joi.string().valid(...types).required(),
+        data: types.includes(type) ? schemas[type] : Joi.any()
+    });
+
+    const { error } = schema.validate(action, { abortEarly: false, convert: false });
+    if (error) {
+        throw new ActionValidationError(error.details.map(detail => ({
+            path: detail.path.join('.'),
+            message: detail.message,
+            type: detail.type
+        })));
+    }
+};
+
+module.exports = {
+    ActionValidationError,
+    validateActionPayload
+};
\ No newline at end of file
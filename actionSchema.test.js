@@ -0,0 +1,87 @@
+const { createEngine, startTestGame } = require('./testHelpers');
+const { ActionValidationError } = require('../src/core/actionSchema');
+
+describe('Action schemas', () => {
+    let gameEngine;
+
+    const startGame = (gameType, options = {}) =>
+        startTestGame(gameEngine, { gameType, turnOrderStrategy: 'join', ...options });
+
+    const actionError = (game, playerId, action) => {
+        try {
+            gameEngine.processAction(game.id, playerId, action);
+        } catch (error) {
+            return error;
+        }
+        return null;
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        gameEngine = createEngine();
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('should reject malformed data with machine-readable details', () => {
+        const game = startGame('tic-tac-toe');
+        const version = game.state.version;
+
+        const error = actionError(game, 'p1', { type: 'move', data: { cell: '4' } });
+
+        expect(error).toBeInstanceOf(ActionValidationError);
+        expect(error).toMatchObject({ code: 'INVALID_ACTION', statusCode: 400 });
+        expect(error.details).toEqual([
+            { path: 'data.cell', message: '"data.cell" must be a number', type: 'number.base' }
+        ]);
+        expect(game.state.gameData.board[4]).toBeNull();
+        expect(game.state.version).toBe(version);
+    });
+
+    it('should reject unknown action types and missing data', () => {
+        const game = startGame('checkers');
+
+        const unknown = actionError(game, game.state.currentTurn, { type: 'jump', data: {} });
+        const missing = actionError(game, game.state.currentTurn, { type: 'move' });
+
+        expect(unknown.details.map(detail => detail.path)).toEqual(['type']);
+        expect(missing.details).toMatchObject([{ path: 'data', type: 'any.required' }]);
+    });
+
+    it('should check payloads before the rule module sees them', () => {
+        const game = startGame('chess');
+        const rules = gameEngine.getRules(game);
+        const validate = jest.spyOn(rules, 'validateAction');
+
+        const error = actionError(game, game.state.currentTurn, { type: 'move', data: { move: 'not a move' } });
+
+        expect(error.details[0]).toMatchObject({ path: 'data.move', message: '"move" must be in SAN or UCI notation' });
+        expect(validate).not.toHaveBeenCalled();
+
+        gameEngine.processAction(game.id, game.state.currentTurn, { type: 'move', data: { move: 'e4' } });
+        expect(validate).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not check actions the server plays for a player', () => {
+        const game = startGame('tic-tac-toe');
+        const validateSchema = jest.spyOn(gameEngine, 'validateActionSchema');
+
+        gameEngine.processAction(game.id, 'p1', { type: 'move', data: { cell: 0 } }, { automated: true });
+
+        expect(validateSchema).not.toHaveBeenCalled();
+        expect(game.state.gameData.board[0]).toBe('X');
+    });
+
+    it('should accept any action for game types without schemas', () => {
+        const game = startGame('custom');
+
+        const result = gameEngine.processAction(game.id, 'p1', { type: 'anything', data: 'free-form' });
+
+        expect(result).toBeDefined();
+        expect(game.state.turnHistory).toHaveLength(1);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,328 @@
+const Joi = require('joi');
+const GameRules = require('./gameRules');
+
+const DEFAULT_HP = 100;
+const DEFAULT_ATTACK_POWER = 15;
+const DEFAULT_SPEED = 10;
+const MAX_LOG_ENTRIES = 20;
+
+// Action data schemas, checked before validateAction
+const ACTION_SCHEMAS = {
+    attack: Joi.object({
+        targetId: Joi.alternatives().try(Joi.string(), Joi.number()).allow(null)
+    })
+};
+
+/**
+ * Turn-based battle rules
+ *
+ * Every player controls a combatant with hp, attackPower, speed and isAlive.
+ * Actions: { type: 'attack', data: { targetId } } deals 1 to attackPower
+ * damage to a living opponent; targetId may be omitted when only one
+ * opponent is left. Defeated combatants drop out of the turn order and
+ * the last combatant standing wins.
+ *
+ * In simultaneous turns all attacks land at once, so combatants defeated
+ * that turn still strike back and a battle can end in a draw.
+ *
+ * Speed is the combatant's initiative for the initiative and atb turn orders.
+ *
+ * Rules options: hp, attackPower and speed set every combatant's starting
+ * stats, combatants maps player IDs to per-player overrides.
+ */
+class BattleRules extends GameRules {
+    /**
+     * Attacks committed together land at once
+     * @returns {boolean} Always true
+     */
+    get supportsSimultaneous() {
+        return true;
+    }
+
+    /**
+     * Create a combatant for every player
+     * @param {Object} game - Game object
+     * @returns {Object} Initial game data
+     */
+    initializeGameData(game) {
+        const rules = game.rules || {};
+        const overrides = rules.combatants || {};
+        const combatants = {};
+
+        game.state.turnOrder.forEach((playerId) => {
+            const player = game.state.players.find(p => p.id === playerId);
+            const stats = overrides[playerId] || {};
+            const hp = stats.hp || rules.hp || DEFAULT_HP;
+
+            combatants[playerId] = {
+                name: stats.name || (player && player.name) || `${playerId}`,
+                hp,
+                maxHp: hp,
+                attackPower: stats.attackPower || rules.attackPower || DEFAULT_ATTACK_POWER,
+                speed: stats.speed || rules.speed || DEFAULT_SPEED,
+                isAlive: true
+            };
+        });
+
+        return {
+            combatants,
+            log: []
+        };
+    }
+
+    /**
+     * Get the schema of an attack's data
+     * @returns {Object} Joi schema by action type
+     */
+    getActionSchemas() {
+        return ACTION_SCHEMAS;
+    }
+
+    /**
+     * Validate an attack against a living opponent
+     * @param {Object} game - Game object
+     * @param {string} playerId - Player ID
+     * @param {Object} action - Action data
+     * @returns {Object} Validation result
+     */
+    validateAction(game, playerId, action) {
+        const { combatants } = game.state.gameData;
+
+        if (!action || action.type !== 'attack') {
+            return { valid: false, error: 'Unsupported action type' };
+        }
+
+        const attacker = combatants[playerId];
+        if (!attacker || !attacker.isAlive) {
+            return { valid: false, error: 'Defeated combatants cannot attack' };
+        }
+
+        const targetId = this.resolveTarget(game, playerId, action);
+        if (!targetId) {
+            return { valid: false, error: 'Target is required when more than one opponent is alive' };
+        }
+
+        if (targetId === `${playerId}`) {
+            return { valid: false, error: 'Combatants cannot attack themselves' };
+        }
+
+        const target = combatants[targetId];
+        if (!target) {
+            return { valid: false, error: 'Target not found' };
+        }
+
+        if (!target.isAlive) {
+            return { valid: false, error: 'Target has already been defeated' };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Resolve an attack and check for defeat
+     * @param {Object} game - Game object
+     * @param {string} playerId - Player ID
+     * @param {Object} action - Action data
+     * @returns {Object} Action result
+     */
+    executeAction(game, playerId, action) {
+        const { gameData } = game.state;
+        const targetId = this.resolveTarget(game, playerId, action);
+        const attacker = gameData.combatants[playerId];
+        const target = { ...gameData.combatants[targetId] };
+
+        // Calculate damage with a little randomness
+        const damage = this.getRandom(game).range(1, attacker.attackPower);
+        target.hp = Math.max(target.hp - damage, 0);
+        if (target.hp === 0) {
+            target.isAlive = false;
+        }
+
+        const combatants = { ...gameData.combatants, [targetId]: target };
+        const entry = {
+            attackerId: playerId,
+            targetId,
+            damage,
+            remainingHp: target.hp,
+            defeated: !target.isAlive
+        };
+
+        const newGameData = {
+            ...gameData,
+            combatants,
+            log: [...gameData.log, entry].slice(-MAX_LOG_ENTRIES)
+        };
+
+        const survivors = Object.keys(combatants).filter(id => combatants[id].isAlive);
+        if (survivors.length === 1) {
+            return {
+                gameData: newGameData,
+                gameEnded: true,
+                endReason: 'victory',
+                winner: survivors[0]
+            };
+        }
+
+        return {
+            gameData: newGameData,
+            gameEnded: false,
+            eliminatedPlayers: target.isAlive ? [] : [targetId]
+        };
+    }
+
+    /**
+     * Resolve a simultaneous turn, landing every attack at once
+     * @param {Object} game - Game object
+     * @param {Object} actions - Attacks by player ID
+     * @returns {Object} Action result
+     */
+    resolveActions(game, actions) {
+        const { gameData } = game.state;
+        const random = this.getRandom(game);
+        const combatants = {};
+        Object.entries(gameData.combatants).forEach(([id, combatant]) => {
+            combatants[id] = { ...combatant };
+        });
+
+        // Roll damage in turn order so the outcome replays from the seed
+        const entries = [];
+        game.state.turnOrder.forEach((playerId) => {
+            const action = actions[playerId];
+            if (!action) return;
+
+            const attacker = gameData.combatants[playerId];
+            const targetId = this.resolveTarget(game, playerId, action);
+            const target = combatants[targetId];
+            const damage = random.range(1, attacker.attackPower);
+            const wasAlive = target.hp > 0;
+
+            target.hp = Math.max(target.hp - damage, 0);
+            entries.push({
+                attackerId: `${playerId}`,
+                targetId,
+                damage,
+                remainingHp: target.hp,
+                defeated: wasAlive && target.hp === 0
+            });
+        });
+
+        const eliminatedPlayers = [];
+        Object.entries(combatants).forEach(([id, combatant]) => {
+            if (combatant.isAlive && combatant.hp === 0) {
+                combatant.isAlive = false;
+                eliminatedPlayers.push(id);
+            }
+        });
+
+        const newGameData = {
+            ...gameData,
+            combatants,
+            log: [...gameData.log, ...entries].slice(-MAX_LOG_ENTRIES)
+        };
+
+        const survivors = Object.keys(combatants).filter(id => combatants[id].isAlive);
+        if (survivors.length <= 1) {
+            return {
+                gameData: newGameData,
+                gameEnded: true,
+                endReason: survivors.length === 1 ? 'victory' : 'draw',
+                winner: survivors.length === 1 ? survivors[0] : null
+            };
+        }
+
+        return {
+            gameData: newGameData,
+            gameEnded: false,
+            eliminatedPlayers
+        };
+    }
+
+    /**
+     * Defeat the combatant of a player who forfeits, ending the battle when
+     * one combatant is left standing
+     * @param {Object} game - Game object
+     * @param {string} playerId - ID of the player who forfeits
+     * @returns {Object} Elimination result
+     */
+    eliminatePlayer(game, playerId) {
+        const { gameData } = game.state;
+        const combatant = gameData.combatants[playerId];
+        if (!combatant || !combatant.isAlive) {
+            return { gameData, gameEnded: false };
+        }
+
+        const combatants = { ...gameData.combatants, [playerId]: { ...combatant, isAlive: false } };
+        const survivors = Object.keys(combatants).filter(id => combatants[id].isAlive);
+
+        return {
+            gameData: { ...gameData, combatants },
+            gameEnded: survivors.length <= 1,
+            winner: survivors.length === 1 ? survivors[0] : null
+        };
+    }
+
+    /**
+     * Use the combatant's speed as initiative
+     * @param {Object} game - Game object
+     * @param {string} playerId - Player ID
+     * @returns {number} Initiative
+     */
+    getInitiative(game, playerId) {
+        const combatant = game.state.gameData.combatants[playerId];
+        return combatant && combatant.isAlive ? combatant.speed : 0;
+    }
+
+    /**
+     * Attack the weakest living opponent when a turn times out
+     * @param {Object} game - Game object
+     * @param {string} playerId - Player ID
+     * @returns {Object|null} Default action
+     */
+    getDefaultAction(game, playerId) {
+        const { combatants } = game.state.gameData;
+        if (!combatants[playerId] || !combatants[playerId].isAlive) return null;
+
+        const [targetId] = this.getLivingOpponents(game, playerId)
+            .sort((a, b) => combatants[a].hp - combatants[b].hp);
+        if (!targetId) return null;
+
+        return { type: 'attack', data: { targetId } };
+    }
+
+    /**
+     * Hide opponents' attack power
+     * @param {Object} gameData - Game data
+     * @param {string} playerId - Player ID
+     * @returns {Object} Filtered game data
+     */
+    filterPrivateData(gameData, playerId) {
+        const combatants = {};
+        Object.entries(gameData.combatants).forEach(([id, combatant]) => {
+            if (id === `${playerId}`) {
+                combatants[id] = combatant;
+            } else {
+                const { attackPower, ...visible } = combatant;
+                combatants[id] = visible;
+            }
+        });
+
+        return { ...gameData, combatants };
+    }
+
+    getLivingOpponents(game, playerId) {
+        const { combatants } = game.state.gameData;
+        return Object.keys(combatants).filter(id => id !== `${playerId}` && combatants[id].isAlive);
+    }
+
+    resolveTarget(game, playerId, action) {
+        const { targetId } = action.data || {};
+        if (targetId !== undefined && targetId !== null) {
+            return `${targetId}`;
+        }
+
+        const opponents = this.getLivingOpponents(game, playerId);
+        return opponents.length === 1 ? opponents[0] : null;
+    }
+}
+
+module.exports = BattleRules;
\ No newline at end of file
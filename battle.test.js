@@ -0,0 +1,128 @@
+const { createEngine, startTestGame } = require('./testHelpers');
+const BattleRules = require('../src/core/battle');
+
+const createGame = (playerIds = ['hero', 'goblin'], rules = {}) => {
+    const battleRules = new BattleRules();
+    const game = {
+        config: { gameType: 'battle', seed: 'battle-test' },
+        rules,
+        state: {
+            players: playerIds.map(id => ({ id, name: id })),
+            turnOrder: playerIds,
+            gameData: {}
+        }
+    };
+    game.state.gameData = battleRules.initializeGameData(game);
+    return { rules: battleRules, game };
+};
+
+const attack = targetId => ({ type: 'attack', data: { targetId } });
+
+describe('Battle rules', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should create a combatant for every player', () => {
+        const { game } = createGame(['hero', 'goblin'], {
+            combatants: { goblin: { name: 'Goblin', hp: 80, attackPower: 10 } }
+        });
+
+        expect(game.state.gameData.combatants).toEqual({
+            hero: { name: 'hero', hp: 100, maxHp: 100, attackPower: 15, speed: 10, isAlive: true },
+            goblin: { name: 'Goblin', hp: 80, maxHp: 80, attackPower: 10, speed: 10, isAlive: true }
+        });
+    });
+
+    it('should only allow attacks on living opponents', () => {
+        const { rules, game } = createGame(['hero', 'goblin', 'orc']);
+        game.state.gameData.combatants.orc.isAlive = false;
+
+        expect(rules.validateAction(game, 'hero', attack('orc')).error).toBe('Target has already been defeated');
+        expect(rules.validateAction(game, 'hero', attack('hero')).error).toBe('Combatants cannot attack themselves');
+        expect(rules.validateAction(game, 'hero', attack('dragon')).error).toBe('Target not found');
+        expect(rules.validateAction(game, 'hero', { type: 'attack' }).valid).toBe(true);
+    });
+
+    it('should end the game when the last opponent is defeated', () => {
+        const { rules, game } = createGame();
+        game.state.gameData.combatants.goblin.hp = 1;
+
+        const result = rules.executeAction(game, 'hero', attack('goblin'));
+
+        expect(result.gameData.combatants.goblin).toMatchObject({ hp: 0, isAlive: false });
+        expect(result.gameData.log).toEqual([
+            { attackerId: 'hero', targetId: 'goblin', damage: expect.any(Number), remainingHp: 0, defeated: true }
+        ]);
+        expect(result).toMatchObject({ gameEnded: true, endReason: 'victory', winner: 'hero' });
+    });
+
+    it('should roll the same damage for the same seed', () => {
+        const rollDamage = () => {
+            const { rules, game } = createGame();
+            return [1, 2, 3].map(() => {
+                const result = rules.executeAction(game, 'hero', attack('goblin'));
+                game.state.gameData = result.gameData;
+                return result.gameData.log[result.gameData.log.length - 1].damage;
+            });
+        };
+
+        const damage = rollDamage();
+
+        expect(rollDamage()).toEqual(damage);
+        damage.forEach(value => {
+            expect(value).toBeGreaterThanOrEqual(1);
+            expect(value).toBeLessThanOrEqual(15);
+        });
+    });
+
+    it('should hide opponents attack power', () => {
+        const { rules, game } = createGame();
+
+        const view = rules.filterPrivateData(game.state.gameData, 'hero');
+
+        expect(view.combatants.hero.attackPower).toBe(15);
+        expect(view.combatants.goblin).not.toHaveProperty('attackPower');
+    });
+});
+
+describe('Battle through GameEngine', () => {
+    let gameEngine;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        gameEngine = createEngine();
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('should drop defeated combatants from the turn order', () => {
+        const game = startTestGame(gameEngine, { gameType: 'battle' }, ['p1', 'p2', 'p3']);
+
+        const [first, second, third] = game.state.turnOrder;
+        game.state.gameData.combatants[second].hp = 1;
+
+        gameEngine.processAction(game.id, first, attack(second));
+
+        expect(game.state.turnOrder).toEqual([first, third]);
+        expect(game.state.currentTurn).toBe(third);
+        expect(game.state.status).toBe('active');
+    });
+
+    it('should replay the same battle from the same seed', () => {
+        const playBattle = () => {
+            const game = startTestGame(gameEngine, { gameType: 'battle', seed: 'replay' }, ['p1', 'p2', 'p3']);
+            while (game.state.status === 'active') {
+                const playerId = game.state.currentTurn;
+                gameEngine.processAction(game.id, playerId, gameEngine.getDefaultAction(game, playerId));
+            }
+            return { turnOrder: game.state.turnOrder, log: game.state.gameData.log, winner: game.state.winner };
+        };
+
+        expect(playBattle()).toEqual(playBattle());
+    });
+});
\ No newline at end of file
@@ -0,0 +1,63 @@
+const logger = require('../utils/logger');
+const redisClient = require('../config/redis');
+
+const CHANNEL = 'game_engine:broadcast';
+
+/**
+ * Relays socket messages between server nodes over Redis pub/sub.
+ *
+ * Socket.IO rooms only reach the sockets of the process that emits, so
+ * every node delivers a message to its own sockets and publishes it; the
+ * other nodes deliver it to theirs. Messages are plain objects:
+ *   { type: 'room', room, event, payload, except }   emit to a room, except a socket
+ *   { type: 'player', playerId, event, payload }     emit to a player's socket
+ *   { type: 'game_state', gameId }                   send each socket its view of a game
+ *   { type: 'rematch', gameId, rematchGameId }       move a game's sockets to its rematch
+ */
+class Broadcaster {
+    /**
+     * @param {Object} redis - RedisClient
+     */
+    constructor(redis = redisClient) {
+        this.redis = redis;
+        this.nodeId = null;
+        this.enabled = false;
+    }
+
+    /**
+     * Subscribe to messages published by the other nodes
+     * @param {string} nodeId - This node's ID
+     * @param {Function} deliver - Delivers a message to this node's sockets
+     */
+    async start(nodeId, deliver) {
+        this.nodeId = nodeId;
+
+        await this.redis.subscribe(CHANNEL, async (message) => {
+            // Nodes deliver their own messages before publishing them
+            if (message.nodeId === this.nodeId) return;
+
+            try {
+                await deliver(message);
+            } catch (error) {
+                logger.error('Broadcast delivery error:', error);
+            }
+        });
+
+        this.enabled = true;
+        logger.info(`Broadcasting socket messages between nodes as ${nodeId}`);
+    }
+
+    /**
+     * Publish a message to the other nodes
+     * @param {Object} message - Message
+     */
+    publish(message) {
+        if (!this.enabled) return;
+
+        this.redis.publish(CHANNEL, { ...message, nodeId: this.nodeId }).catch((error) => {
+            logger.error('Broadcast publish error:', error);
+        });
+    }
+}
+
+module.exports = Broadcaster;
\ No newline at end of file
@@ -0,0 +1,56 @@
+require('./testHelpers');
+const Broadcaster = require('../src/core/broadcaster');
+
+// Redis pub/sub shared by every node, kept in memory
+const createFakeRedis = () => {
+    const listeners = [];
+
+    return {
+        subscribe: async (channel, listener) => {
+            listeners.push({ channel, listener });
+        },
+        publish: async (channel, message) => {
+            const copy = JSON.parse(JSON.stringify(message));
+            await Promise.all(listeners.filter(l => l.channel === channel).map(l => l.listener(copy)));
+        }
+    };
+};
+
+describe('Broadcaster', () => {
+    let redis;
+
+    beforeEach(() => {
+        redis = createFakeRedis();
+    });
+
+    it('should deliver messages on every other node', async () => {
+        const deliveredA = jest.fn();
+        const deliveredB = jest.fn();
+        const nodeA = new Broadcaster(redis);
+        const nodeB = new Broadcaster(redis);
+        await nodeA.start('node-a', deliveredA);
+        await nodeB.start('node-b', deliveredB);
+
+        nodeA.publish({ type: 'room', room: 'game_1', event: 'turn_started', payload: { playerId: 'p1' } });
+        await new Promise(setImmediate);
+
+        expect(deliveredA).not.toHaveBeenCalled();
+        expect(deliveredB).toHaveBeenCalledWith({
+            type: 'room',
+            room: 'game_1',
+            event: 'turn_started',
+            payload: { playerId: 'p1' },
+            nodeId: 'node-a'
+        });
+    });
+
+    it('should not publish before it starts', async () => {
+        const delivered = jest.fn();
+        await new Broadcaster(redis).start('node-b', delivered);
+
+        new Broadcaster(redis).publish({ type: 'player', playerId: 'p1', event: 'seat_released' });
+        await new Promise(setImmediate);
+
+        expect(delivered).not.toHaveBeenCalled();
+    });
+});
\ No newline at end of file
@@ -0,0 +1,315 @@
+const Joi = require('joi');
+const GameRules = require('./gameRules');
+
+const BOARD_SIZE = 8;
+const PIECE_ROWS = 3;
+
+// Black moves first and starts on the bottom rows moving up the board
+const COLORS = ['black', 'red'];
+const MEN = { black: 'b', red: 'r' };
+const KINGS = { black: 'B', red: 'R' };
+const FORWARD = { black: -1, red: 1 };
+const CROWN_ROW = { black: 0, red: BOARD_SIZE - 1 };
+
+// Action data schemas, checked before validateAction
+const COORDINATE_SCHEMA = Joi.number().integer().min(0).max(BOARD_SIZE - 1).required();
+const SQUARE_SCHEMA = Joi.array().ordered(COORDINATE_SCHEMA, COORDINATE_SCHEMA);
+const ACTION_SCHEMAS = {
+    move: Joi.object({
+        from: SQUARE_SCHEMA.required(),
+        to: SQUARE_SCHEMA.required()
+    }).required()
+};
+
+/**
+ * Checkers rules (American / English draughts)
+ *
+ * Actions: { type: 'move', data: { from: [row, col], to: [row, col] } }
+ * for a single step or a single jump. Captures are mandatory. When a jump
+ * leaves the same piece able to jump again, the turn is not complete and
+ * the player must continue with that piece. A man that is crowned ends the
+ * turn. A player with no legal moves loses.
+ */
+class CheckersRules extends GameRules {
+    /**
+     * Colors are dealt by turn order, so players must alternate in it
+     * @returns {boolean} Always true
+     */
+    get fixedTurnOrder() {
+        return true;
+    }
+
+    /**
+     * Set up the board and assign colors by turn order
+     * @param {Object} game - Game object
+     * @returns {Object} Initial game data
+     */
+    initializeGameData(game) {
+        const colors = {};
+        game.state.turnOrder.slice(0, COLORS.length).forEach((playerId, index) => {
+            colors[playerId] = COLORS[index];
+        });
+
+        const board = [];
+        for (let row = 0; row < BOARD_SIZE; row++) {
+            board.push([]);
+            for (let col = 0; col < BOARD_SIZE; col++) {
+                let piece = null;
+                if (this.isDarkSquare(row, col)) {
+                    if (row < PIECE_ROWS) piece = MEN.red;
+                    if (row >= BOARD_SIZE - PIECE_ROWS) piece = MEN.black;
+                }
+                board[row].push(piece);
+            }
+        }
+
+        return {
+            board,
+            colors,
+            pendingJump: null,
+            moveCount: 0,
+            lastMove: null,
+            captured: { black: 0, red: 0 }
+        };
+    }
+
+    /**
+     * Get the schema of a move's data
+     * @returns {Object} Joi schema by action type
+     */
+    getActionSchemas() {
+        return ACTION_SCHEMAS;
+    }
+
+    /**
+     * Validate a move against the player's legal moves
+     * @param {Object} game - Game object
+     * @param {string} playerId - Player ID
+     * @param {Object} action - Action data
+     * @returns {Object} Validation result
+     */
+    validateAction(game, playerId, action) {
+        const { gameData } = game.state;
+
+        if (!action || action.type !== 'move') {
+            return { valid: false, error: 'Unsupported action type' };
+        }
+
+        const color = gameData.colors[playerId];
+        if (!color) {
+            return { valid: false, error: 'Player has no color in this game' };
+        }
+
+        const { from, to } = action.data || {};
+        if (!this.isSquare(from) || !this.isSquare(to)) {
+            return { valid: false, error: 'Move requires from and to squares as [row, col] within the board' };
+        }
+
+        const piece = gameData.board[from[0]][from[1]];
+        if (!piece || this.getColor(piece) !== color) {
+            return { valid: false, error: 'No piece of yours on that square' };
+        }
+
+        const legalMoves = this.getLegalMoves(gameData, color);
+        const isLegal = legalMoves.some(move => this.isSameMove(move, from, to));
+        if (isLegal) {
+            return { valid: true };
+        }
+
+        if (gameData.pendingJump) {
+            return { valid: false, error: 'You must continue jumping with the same piece' };
+        }
+
+        if (legalMoves.some(move => move.capture)) {
+            return { valid: false, error: 'A capture is available and must be taken' };
+        }
+
+        return { valid: false, error: 'Illegal move' };
+    }
+
+    /**
+     * Move a piece, resolving captures, crowning and multi-jump turns
+     * @param {Object} game - Game object
+     * @param {string} playerId - Player ID
+     * @param {Object} action - Action data
+     * @returns {Object} Action result
+     */
+    executeAction(game, playerId, action) {
+        const { gameData } = game.state;
+        const { from, to } = action.data;
+        const color = gameData.colors[playerId];
+
+        const board = gameData.board.map(row => [...row]);
+        const captured = { ...gameData.captured };
+        let piece = board[from[0]][from[1]];
+
+        board[from[0]][from[1]] = null;
+
+        const isCapture = Math.abs(to[0] - from[0]) === 2;
+        let capturedSquare = null;
+        if (isCapture) {
+            capturedSquare = [(from[0] + to[0]) / 2, (from[1] + to[1]) / 2];
+            board[capturedSquare[0]][capturedSquare[1]] = null;
+            captured[color] += 1;
+        }
+
+        const crowned = piece === MEN[color] && to[0] === CROWN_ROW[color];
+        if (crowned) {
+            piece = KINGS[color];
+        }
+        board[to[0]][to[1]] = piece;
+
+        const newGameData = {
+            ...gameData,
+            board,
+            captured,
+            pendingJump: null,
+            moveCount: gameData.moveCount + 1,
+            lastMove: { playerId, from, to, captured: capturedSquare, crowned }
+        };
+
+        // Continue the jump chain unless the piece was just crowned
+        if (isCapture && !crowned && this.getPieceMoves(board, to[0], to[1], true).length > 0) {
+            newGameData.pendingJump = to;
+            return {
+                gameData: newGameData,
+                gameEnded: false,
+                turnComplete: false
+            };
+        }
+
+        const opponentColor = this.getOpponentColor(color);
+        if (this.getLegalMoves(newGameData, opponentColor).length === 0) {
+            return {
+                gameData: newGameData,
+                gameEnded: true,
+                endReason: 'victory',
+                winner: playerId
+            };
+        }
+
+        return {
+            gameData: newGameData,
+            gameEnded: false
+        };
+    }
+
+    /**
+     * Play the first legal move when a turn times out
+     * @param {Object} game - Game object
+     * @param {string} playerId - Player ID
+     * @returns {Object|null} Default action
+     */
+    getDefaultAction(game, playerId) {
+        const { gameData } = game.state;
+        const color = gameData.colors[playerId];
+        if (!color) return null;
+
+        const [move] = this.getLegalMoves(gameData, color);
+        if (!move) return null;
+
+        return { type: 'move', data: { from: move.from, to: move.to } };
+    }
+
+    /**
+     * Get all legal moves for a color, applying forced captures and
+     * restricting to the jumping piece during a multi-jump turn
+     * @param {Object} gameData - Game data
+     * @param {string} color - Color to move
+     * @returns {Array} Legal moves ({ from, to, capture })
+     */
+    getLegalMoves(gameData, color) {
+        const { board, pendingJump } = gameData;
+
+        if (pendingJump) {
+            return this.getPieceMoves(board, pendingJump[0], pendingJump[1], true);
+        }
+
+        const steps = [];
+        const jumps = [];
+        for (let row = 0; row < BOARD_SIZE; row++) {
+            for (let col = 0; col < BOARD_SIZE; col++) {
+                const piece = board[row][col];
+                if (piece && this.getColor(piece) === color) {
+                    this.getPieceMoves(board, row, col).forEach((move) => {
+                        (move.capture ? jumps : steps).push(move);
+                    });
+                }
+            }
+        }
+
+        return jumps.length > 0 ? jumps : steps;
+    }
+
+    /**
+     * Get the moves available to a single piece
+     * @param {Array} board - Board rows
+     * @param {number} row - Piece row
+     * @param {number} col - Piece column
+     * @param {boolean} capturesOnly - Only return jumps
+     * @returns {Array} Moves ({ from, to, capture })
+     */
+    getPieceMoves(board, row, col, capturesOnly = false) {
+        const piece = board[row][col];
+        const color = this.getColor(piece);
+        const isKing = piece === KINGS[color];
+        const rowDirections = isKing ? [-1, 1] : [FORWARD[color]];
+        const moves = [];
+
+        rowDirections.forEach((dRow) => {
+            [-1, 1].forEach((dCol) => {
+                const stepRow = row + dRow;
+                const stepCol = col + dCol;
+                if (!this.isOnBoard(stepRow, stepCol)) return;
+
+                const target = board[stepRow][stepCol];
+                if (!target) {
+                    if (!capturesOnly) {
+                        moves.push({ from: [row, col], to: [stepRow, stepCol], capture: false });
+                    }
+                    return;
+                }
+
+                const jumpRow = stepRow + dRow;
+                const jumpCol = stepCol + dCol;
+                if (this.getColor(target) !== color &&
+                    this.isOnBoard(jumpRow, jumpCol) &&
+                    !board[jumpRow][jumpCol]) {
+                    moves.push({ from: [row, col], to: [jumpRow, jumpCol], capture: true });
+                }
+            });
+        });
+
+        return moves;
+    }
+
+    getColor(piece) {
+        return piece === MEN.black || piece === KINGS.black ? 'black' : 'red';
+    }
+
+    getOpponentColor(color) {
+        return color === 'black' ? 'red' : 'black';
+    }
+
+    isDarkSquare(row, col) {
+        return (row + col) % 2 === 1;
+    }
+
+    isOnBoard(row, col) {
+        return row >= 0 && row < BOARD_SIZE && col >= 0 && col < BOARD_SIZE;
+    }
+
+    isSquare(square) {
+        return Array.isArray(square) &&
+            square.length === 2 &&
+            square.every(Number.isInteger) &&
+            this.isOnBoard(square[0], square[1]);
+    }
+
+    isSameMove(move, from, to) {
+        return move.from[0] === from[0] && move.from[1] === from[1] &&
+            move.to[0] === to[0] && move.to[1] === to[1];
+    }
+}
+
+module.exports = CheckersRules;
\ No newline at end of file
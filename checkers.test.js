@@ -0,0 +1,129 @@
+const { createEngine, startTestGame } = require('./testHelpers');
+const CheckersRules = require('../src/core/checkers');
+
+const emptyBoard = () => Array.from({ length: 8 }, () => Array(8).fill(null));
+
+const createGame = (board = null) => {
+    const rules = new CheckersRules();
+    const game = {
+        config: { gameType: 'checkers' },
+        state: { turnOrder: ['black', 'red'], gameData: {} }
+    };
+    game.state.gameData = rules.initializeGameData(game);
+    if (board) {
+        game.state.gameData.board = board;
+    }
+    return { rules, game };
+};
+
+const move = (from, to) => ({ type: 'move', data: { from, to } });
+
+describe('Checkers rules', () => {
+    it('should set up twelve pieces per side on dark squares', () => {
+        const { game } = createGame();
+        const pieces = game.state.gameData.board.flat();
+
+        expect(pieces.filter(piece => piece === 'b')).toHaveLength(12);
+        expect(pieces.filter(piece => piece === 'r')).toHaveLength(12);
+        expect(game.state.gameData.board[5][0]).toBe('b');
+        expect(game.state.gameData.board[0][1]).toBe('r');
+    });
+
+    it('should only allow men to move diagonally forward', () => {
+        const { rules, game } = createGame();
+
+        expect(rules.validateAction(game, 'black', move([5, 0], [4, 1])).valid).toBe(true);
+        expect(rules.validateAction(game, 'black', move([5, 0], [6, 1])).valid).toBe(false);
+        expect(rules.validateAction(game, 'black', move([5, 0], [4, 0])).valid).toBe(false);
+    });
+
+    it('should force captures', () => {
+        const board = emptyBoard();
+        board[5][2] = 'b';
+        board[4][3] = 'r';
+        board[6][7] = 'b';
+        const { rules, game } = createGame(board);
+
+        expect(rules.validateAction(game, 'black', move([6, 7], [5, 6]))).toEqual({
+            valid: false,
+            error: 'A capture is available and must be taken'
+        });
+        expect(rules.validateAction(game, 'black', move([5, 2], [3, 4])).valid).toBe(true);
+    });
+
+    it('should keep the turn open during a multi-jump', () => {
+        const board = emptyBoard();
+        board[6][1] = 'b';
+        board[5][2] = 'r';
+        board[3][4] = 'r';
+        board[0][7] = 'r';
+        const { rules, game } = createGame(board);
+
+        const first = rules.executeAction(game, 'black', move([6, 1], [4, 3]));
+        expect(first.turnComplete).toBe(false);
+        expect(first.gameData.pendingJump).toEqual([4, 3]);
+
+        game.state.gameData = first.gameData;
+        const second = rules.executeAction(game, 'black', move([4, 3], [2, 5]));
+        expect(second.turnComplete).toBeUndefined();
+        expect(second.gameData.captured.black).toBe(2);
+    });
+
+    it('should crown a man and end the turn', () => {
+        const board = emptyBoard();
+        board[2][1] = 'b';
+        board[1][2] = 'r';
+        board[1][4] = 'r';
+        board[7][0] = 'r';
+        const { rules, game } = createGame(board);
+
+        const result = rules.executeAction(game, 'black', move([2, 1], [0, 3]));
+
+        expect(result.gameData.board[0][3]).toBe('B');
+        expect(result.gameData.lastMove.crowned).toBe(true);
+        expect(result.turnComplete).toBeUndefined();
+    });
+
+    it('should win when the opponent has no legal moves', () => {
+        const board = emptyBoard();
+        board[2][1] = 'b';
+        board[1][2] = 'r';
+        const { rules, game } = createGame(board);
+
+        const result = rules.executeAction(game, 'black', move([2, 1], [0, 3]));
+
+        expect(result).toMatchObject({ gameEnded: true, endReason: 'victory', winner: 'black' });
+    });
+});
+
+describe('Checkers through GameEngine', () => {
+    let gameEngine;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        gameEngine = createEngine();
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+    });
+
+    it('should only advance the turn once the jump chain is complete', () => {
+        const game = startTestGame(gameEngine, { gameType: 'checkers' });
+
+        const [first, second] = game.state.turnOrder;
+        const board = emptyBoard();
+        board[6][1] = 'b';
+        board[5][2] = 'r';
+        board[3][4] = 'r';
+        board[0][7] = 'r';
+        game.state.gameData.board = board;
+
+        gameEngine.processAction(game.id, first, move([6, 1], [4, 3]));
+        expect(game.state.currentTurn).toBe(first);
+
+        gameEngine.processAction(game.id, first, move([4, 3], [2, 5]));
+        expect(game.state.currentTurn).toBe(second);
+    });
+});
\ No newline at end of file
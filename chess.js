@@ -0,0 +1,677 @@
+const Joi = require('joi');
+const GameRules = require('./gameRules');
+
+const FILES = 'abcdefgh';
+const INITIAL_BOARD = [
+    ['r', 'n', 'b', 'q', 'k', 'b', 'n', 'r'],
+    ['p', 'p', 'p', 'p', 'p', 'p', 'p', 'p'],
+    [null, null, null, null, null, null, null, null],
+    [null, null, null, null, null, null, null, null],
+    [null, null, null, null, null, null, null, null],
+    [null, null, null, null, null, null, null, null],
+    ['P', 'P', 'P', 'P', 'P', 'P', 'P', 'P'],
+    ['R', 'N', 'B', 'Q', 'K', 'B', 'N', 'R']
+];
+
+const COLORS = ['white', 'black'];
+const KNIGHT_OFFSETS = [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]];
+const KING_OFFSETS = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+const ROOK_DIRECTIONS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+const BISHOP_DIRECTIONS = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+const PROMOTION_PIECES = ['q', 'r', 'b', 'n'];
+
+// Rook home squares and the castling right each one controls
+const ROOK_SQUARES = { '7,7': 'K', '7,0': 'Q', '0,7': 'k', '0,0': 'q' };
+
+const FIFTY_MOVE_HALFMOVES = 100;
+const REPETITION_LIMIT = 3;
+
+const UCI_PATTERN = /^[a-h][1-8][a-h][1-8][qrbn]?$/i;
+const SAN_PATTERN = /^(?:[O0]-[O0](?:-[O0])?|[KQRBN][a-h]?[1-8]?x?[a-h][1-8]|[a-h](?:x[a-h])?[1-8](?:=?[QRBN])?)[+#]?[!?]*$/;
+
+// Action data schemas, checked before validateAction
+const ACTION_SCHEMAS = {
+    move: Joi.object({
+        move: Joi.alternatives()
+            .try(Joi.string().pattern(UCI_PATTERN), Joi.string().pattern(SAN_PATTERN))
+            .required()
+            .messages({ 'alternatives.match': '"move" must be in SAN or UCI notation' })
+    }).required()
+};
+
+/**
+ * Chess rules
+ *
+ * Actions: { type: 'move', data: { move } } where move is in SAN ('Nf3',
+ * 'exd5', 'O-O', 'e8=Q') or UCI ('g1f3', 'e7e8q') notation. Implements
+ * castling, en passant, promotion, checkmate, stalemate, threefold
+ * repetition, the fifty-move rule and insufficient material. The board
+ * is stored rank 8 first, matching FEN.
+ */
+class ChessRules extends GameRules {
+    /**
+     * Colors are dealt by turn order, so players must alternate in it
+     * @returns {boolean} Always true
+     */
+    get fixedTurnOrder() {
+        return true;
+    }
+
+    /**
+     * Set up the starting position and assign white to the first player
+     * @param {Object} game - Game object
+     * @returns {Object} Initial game data
+     */
+    initializeGameData(game) {
+        const colors = {};
+        game.state.turnOrder.slice(0, COLORS.length).forEach((playerId, index) => {
+            colors[playerId] = COLORS[index];
+        });
+
+        const position = {
+            board: INITIAL_BOARD.map(row => [...row]),
+            turn: 'w',
+            castling: { K: true, Q: true, k: true, q: true },
+            enPassant: null,
+            halfmoveClock: 0,
+            fullmoveNumber: 1
+        };
+
+        return {
+            ...position,
+            colors,
+            positionCounts: { [this.getPositionKey(position)]: 1 },
+            moveHistory: [],
+            lastMove: null,
+            inCheck: false,
+            fen: this.toFen(position),
+            result: null
+        };
+    }
+
+    /**
+     * Get the schema of a move's data
+     * @returns {Object} Joi schema by action type
+     */
+    getActionSchemas() {
+        return ACTION_SCHEMAS;
+    }
+
+    /**
+     * Validate a SAN or UCI move against the legal moves of the position
+     * @param {Object} game - Game object
+     * @param {string} playerId - Player ID
+     * @param {Object} action - Action data
+     * @returns {Object} Validation result
+     */
+    validateAction(game, playerId, action) {
+        const { gameData } = game.state;
+
+        if (!action || action.type !== 'move') {
+            return { valid: false, error: 'Unsupported action type' };
+        }
+
+        const color = gameData.colors[playerId];
+        if (!color) {
+            return { valid: false, error: 'Player has no color in this game' };
+        }
+
+        if (color[0] !== gameData.turn) {
+            return { valid: false, error: `It is ${gameData.turn === 'w' ? 'white' : 'black'} to move` };
+        }
+
+        const notation = action.data && action.data.move;
+        if (typeof notation !== 'string' || !(UCI_PATTERN.test(notation) || SAN_PATTERN.test(notation))) {
+            return { valid: false, error: 'Move must be in SAN or UCI notation' };
+        }
+
+        if (!this.findMove(gameData, notation)) {
+            return { valid: false, error: `Illegal move: ${notation}` };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Play a move and check for checkmate and draws
+     * @param {Object} game - Game object
+     * @param {string} playerId - Player ID
+     * @param {Object} action - Action data
+     * @returns {Object} Action result
+     */
+    executeAction(game, playerId, action) {
+        const { gameData } = game.state;
+        const move = this.findMove(gameData, action.data.move);
+        const san = this.toSan(gameData, move);
+        const position = this.applyMove(gameData, move);
+
+        const positionKey = this.getPositionKey(position);
+        const positionCounts = { ...gameData.positionCounts };
+        positionCounts[positionKey] = (positionCounts[positionKey] || 0) + 1;
+
+        const inCheck = this.isInCheck(position.board, position.turn);
+        const hasLegalMoves = this.getLegalMoves(position).length > 0;
+
+        const newGameData = {
+            ...gameData,
+            ...position,
+            positionCounts,
+            moveHistory: [...gameData.moveHistory, san],
+            lastMove: {
+                playerId,
+                san,
+                uci: this.toUci(move),
+                from: this.toSquare(move.from),
+                to: this.toSquare(move.to)
+            },
+            inCheck,
+            fen: this.toFen(position),
+            result: null
+        };
+
+        let outcome = null;
+        if (!hasLegalMoves) {
+            outcome = inCheck ? 'checkmate' : 'stalemate';
+        } else if (positionCounts[positionKey] >= REPETITION_LIMIT) {
+            outcome = 'threefold_repetition';
+        } else if (position.halfmoveClock >= FIFTY_MOVE_HALFMOVES) {
+            outcome = 'fifty_move_rule';
+        } else if (this.isInsufficientMaterial(position.board)) {
+            outcome = 'insufficient_material';
+        }
+
+        if (!outcome) {
+            return {
+                gameData: newGameData,
+                gameEnded: false
+            };
+        }
+
+        newGameData.result = { outcome };
+        if (outcome === 'checkmate') {
+            return {
+                gameData: newGameData,
+                gameEnded: true,
+                endReason: 'victory',
+                winner: playerId
+            };
+        }
+
+        return {
+            gameData: newGameData,
+            gameEnded: true,
+            endReason: 'draw',
+            winner: null
+        };
+    }
+
+    /**
+     * Play the first legal move when a turn times out
+     * @param {Object} game - Game object
+     * @param {string} playerId - Player ID
+     * @returns {Object|null} Default action
+     */
+    getDefaultAction(game, playerId) {
+        const { gameData } = game.state;
+        const color = gameData.colors[playerId];
+        if (!color || color[0] !== gameData.turn) return null;
+
+        const [move] = this.getLegalMoves(gameData);
+        if (!move) return null;
+
+        return { type: 'move', data: { move: this.toUci(move) } };
+    }
+
+    /**
+     * Resolve SAN or UCI notation to a legal move
+     * @param {Object} position - Position
+     * @param {string} notation - Move notation
+     * @returns {Object|null} Move
+     */
+    findMove(position, notation) {
+        const legalMoves = this.getLegalMoves(position);
+
+        if (UCI_PATTERN.test(notation)) {
+            const uci = notation.toLowerCase();
+            const uciMove = legalMoves.find(move => this.toUci(move) === uci);
+            if (uciMove) return uciMove;
+        }
+
+        const san = this.normalizeSan(notation);
+        return legalMoves.find(move => this.normalizeSan(this.toSan(position, move)) === san) || null;
+    }
+
+    /**
+     * Get all legal moves for the side to move
+     * @param {Object} position - Position
+     * @returns {Array} Legal moves
+     */
+    getLegalMoves(position) {
+        return this.getPseudoLegalMoves(position)
+            .filter(move => !this.isInCheck(this.applyMove(position, move).board, position.turn));
+    }
+
+    /**
+     * Get moves that follow piece movement rules without checking whether
+     * they leave the king in check
+     * @param {Object} position - Position
+     * @returns {Array} Moves
+     */
+    getPseudoLegalMoves(position) {
+        const { board, turn } = position;
+        const moves = [];
+
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = board[row][col];
+                if (piece && this.getPieceColor(piece) === turn) {
+                    moves.push(...this.getPieceMoves(position, row, col));
+                }
+            }
+        }
+
+        return moves;
+    }
+
+    /**
+     * Get the pseudo-legal moves of a single piece
+     * @param {Object} position - Position
+     * @param {number} row - Piece row
+     * @param {number} col - Piece column
+     * @returns {Array} Moves
+     */
+    getPieceMoves(position, row, col) {
+        const { board } = position;
+        const piece = board[row][col];
+        const color = this.getPieceColor(piece);
+        const from = [row, col];
+        const moves = [];
+
+        const addMove = (to, extra = {}) => {
+            moves.push({ from, to, piece, captured: board[to[0]][to[1]], ...extra });
+        };
+
+        switch (piece.toLowerCase()) {
+            case 'p': {
+                const direction = color === 'w' ? -1 : 1;
+                const startRow = color === 'w' ? 6 : 1;
+                const lastRow = color === 'w' ? 0 : 7;
+
+                const addPawnMove = (to, extra = {}) => {
+                    if (to[0] === lastRow) {
+                        PROMOTION_PIECES.forEach(promotion => addMove(to, { ...extra, promotion }));
+                    } else {
+                        addMove(to, extra);
+                    }
+                };
+
+                const oneStep = [row + direction, col];
+                if (this.isOnBoard(oneStep) && !board[oneStep[0]][oneStep[1]]) {
+                    addPawnMove(oneStep);
+
+                    const twoSteps = [row + 2 * direction, col];
+                    if (row === startRow && !board[twoSteps[0]][twoSteps[1]]) {
+                        addMove(twoSteps, { doublePush: true });
+                    }
+                }
+
+                [-1, 1].forEach((dCol) => {
+                    const to = [row + direction, col + dCol];
+                    if (!this.isOnBoard(to)) return;
+
+                    const target = board[to[0]][to[1]];
+                    if (target && this.getPieceColor(target) !== color) {
+                        addPawnMove(to);
+                    } else if (position.enPassant === this.toSquare(to)) {
+                        addMove(to, { enPassant: true, captured: board[row][to[1]] });
+                    }
+                });
+                break;
+            }
+            case 'n':
+                this.getStepMoves(board, from, KNIGHT_OFFSETS).forEach(to => addMove(to));
+                break;
+            case 'b':
+                this.getSlidingMoves(board, from, BISHOP_DIRECTIONS).forEach(to => addMove(to));
+                break;
+            case 'r':
+                this.getSlidingMoves(board, from, ROOK_DIRECTIONS).forEach(to => addMove(to));
+                break;
+            case 'q':
+                this.getSlidingMoves(board, from, [...ROOK_DIRECTIONS, ...BISHOP_DIRECTIONS]).forEach(to => addMove(to));
+                break;
+            case 'k':
+                this.getStepMoves(board, from, KING_OFFSETS).forEach(to => addMove(to));
+                this.getCastlingMoves(position, color).forEach(move => moves.push(move));
+                break;
+            default:
+                break;
+        }
+
+        return moves;
+    }
+
+    /**
+     * Get castling moves for a color
+     * @param {Object} position - Position
+     * @param {string} color - 'w' or 'b'
+     * @returns {Array} Castling moves
+     */
+    getCastlingMoves(position, color) {
+        const { board, castling } = position;
+        const row = color === 'w' ? 7 : 0;
+        const king = color === 'w' ? 'K' : 'k';
+        const opponent = color === 'w' ? 'b' : 'w';
+        const moves = [];
+
+        if (board[row][4] !== king || this.isSquareAttacked(board, [row, 4], opponent)) {
+            return moves;
+        }
+
+        const kingSide = color === 'w' ? 'K' : 'k';
+        if (castling[kingSide] &&
+            !board[row][5] && !board[row][6] &&
+            !this.isSquareAttacked(board, [row, 5], opponent) &&
+            !this.isSquareAttacked(board, [row, 6], opponent)) {
+            moves.push({ from: [row, 4], to: [row, 6], piece: king, captured: null, castle: 'K' });
+        }
+
+        const queenSide = color === 'w' ? 'Q' : 'q';
+        if (castling[queenSide] &&
+            !board[row][3] && !board[row][2] && !board[row][1] &&
+            !this.isSquareAttacked(board, [row, 3], opponent) &&
+            !this.isSquareAttacked(board, [row, 2], opponent)) {
+            moves.push({ from: [row, 4], to: [row, 2], piece: king, captured: null, castle: 'Q' });
+        }
+
+        return moves;
+    }
+
+    getStepMoves(board, from, offsets) {
+        const color = this.getPieceColor(board[from[0]][from[1]]);
+        return offsets
+            .map(([dRow, dCol]) => [from[0] + dRow, from[1] + dCol])
+            .filter(to => this.isOnBoard(to) &&
+                (!board[to[0]][to[1]] || this.getPieceColor(board[to[0]][to[1]]) !== color));
+    }
+
+    getSlidingMoves(board, from, directions) {
+        const color = this.getPieceColor(board[from[0]][from[1]]);
+        const targets = [];
+
+        directions.forEach(([dRow, dCol]) => {
+            let to = [from[0] + dRow, from[1] + dCol];
+            while (this.isOnBoard(to)) {
+                const target = board[to[0]][to[1]];
+                if (target) {
+                    if (this.getPieceColor(target) !== color) targets.push(to);
+                    break;
+                }
+                targets.push(to);
+                to = [to[0] + dRow, to[1] + dCol];
+            }
+        });
+
+        return targets;
+    }
+
+    /**
+     * Apply a move and return the resulting position
+     * @param {Object} position - Position
+     * @param {Object} move - Move
+     * @returns {Object} New position
+     */
+    applyMove(position, move) {
+        const board = position.board.map(row => [...row]);
+        const castling = { ...position.castling };
+        const { from, to, piece } = move;
+        const color = this.getPieceColor(piece);
+
+        board[from[0]][from[1]] = null;
+        board[to[0]][to[1]] = move.promotion
+            ? (color === 'w' ? move.promotion.toUpperCase() : move.promotion)
+            : piece;
+
+        if (move.enPassant) {
+            board[from[0]][to[1]] = null;
+        }
+
+        if (move.castle) {
+            const row = from[0];
+            const [rookFrom, rookTo] = move.castle === 'K' ? [7, 5] : [0, 3];
+            board[row][rookTo] = board[row][rookFrom];
+            board[row][rookFrom] = null;
+        }
+
+        if (piece === 'K') {
+            castling.K = false;
+            castling.Q = false;
+        } else if (piece === 'k') {
+            castling.k = false;
+            castling.q = false;
+        }
+
+        // Moving a rook off, or capturing on, a home corner removes that right
+        [from, to].forEach((square) => {
+            const right = ROOK_SQUARES[square.join(',')];
+            if (right) castling[right] = false;
+        });
+
+        const isPawnMove = piece.toLowerCase() === 'p';
+
+        return {
+            board,
+            turn: color === 'w' ? 'b' : 'w',
+            castling,
+            enPassant: move.doublePush ? this.toSquare([(from[0] + to[0]) / 2, from[1]]) : null,
+            halfmoveClock: isPawnMove || move.captured ? 0 : position.halfmoveClock + 1,
+            fullmoveNumber: color === 'b' ? position.fullmoveNumber + 1 : position.fullmoveNumber
+        };
+    }
+
+    /**
+     * Check whether a square is attacked by a color
+     * @param {Array} board - Board rows
+     * @param {Array} square - [row, col]
+     * @param {string} byColor - Attacking color, 'w' or 'b'
+     * @returns {boolean} Attack status
+     */
+    isSquareAttacked(board, square, byColor) {
+        const [row, col] = square;
+        const isEnemy = (target, types) => target &&
+            this.getPieceColor(target) === byColor &&
+            types.includes(target.toLowerCase());
+
+        // Pawns attack diagonally towards the opponent
+        const pawnRow = byColor === 'w' ? row + 1 : row - 1;
+        for (const dCol of [-1, 1]) {
+            const from = [pawnRow, col + dCol];
+            if (this.isOnBoard(from) && isEnemy(board[from[0]][from[1]], ['p'])) return true;
+        }
+
+        for (const [dRow, dCol] of KNIGHT_OFFSETS) {
+            const from = [row + dRow, col + dCol];
+            if (this.isOnBoard(from) && isEnemy(board[from[0]][from[1]], ['n'])) return true;
+        }
+
+        for (const [dRow, dCol] of KING_OFFSETS) {
+            const from = [row + dRow, col + dCol];
+            if (this.isOnBoard(from) && isEnemy(board[from[0]][from[1]], ['k'])) return true;
+        }
+
+        const rays = [
+            ...ROOK_DIRECTIONS.map(direction => [direction, ['r', 'q']]),
+            ...BISHOP_DIRECTIONS.map(direction => [direction, ['b', 'q']])
+        ];
+        for (const [[dRow, dCol], types] of rays) {
+            let from = [row + dRow, col + dCol];
+            while (this.isOnBoard(from)) {
+                const target = board[from[0]][from[1]];
+                if (target) {
+                    if (isEnemy(target, types)) return true;
+                    break;
+                }
+                from = [from[0] + dRow, from[1] + dCol];
+            }
+        }
+
+        return false;
+    }
+
+    isInCheck(board, color) {
+        const king = color === 'w' ? 'K' : 'k';
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                if (board[row][col] === king) {
+                    return this.isSquareAttacked(board, [row, col], color === 'w' ? 'b' : 'w');
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Check for positions where neither side can deliver checkmate:
+     * bare kings, a single minor piece, or bishops all on one square color
+     * @param {Array} board - Board rows
+     * @returns {boolean} Insufficient material status
+     */
+    isInsufficientMaterial(board) {
+        const pieces = [];
+        board.forEach((rowPieces, row) => {
+            rowPieces.forEach((piece, col) => {
+                if (piece && piece.toLowerCase() !== 'k') {
+                    pieces.push({ type: piece.toLowerCase(), squareColor: (row + col) % 2 });
+                }
+            });
+        });
+
+        if (pieces.length === 0) return true;
+        if (pieces.length === 1 && ['b', 'n'].includes(pieces[0].type)) return true;
+
+        return pieces.every(piece => piece.type === 'b') &&
+            pieces.every(piece => piece.squareColor === pieces[0].squareColor);
+    }
+
+    /**
+     * Build the key used for repetition detection. The en passant square
+     * only counts when an en passant capture is actually possible.
+     * @param {Object} position - Position
+     * @returns {string} Position key
+     */
+    getPositionKey(position) {
+        const fields = this.toFen(position).split(' ').slice(0, 4);
+        if (position.enPassant &&
+            !this.getLegalMoves(position).some(move => move.enPassant)) {
+            fields[3] = '-';
+        }
+        return fields.join(' ');
+    }
+
+    /**
+     * Format a move in standard algebraic notation
+     * @param {Object} position - Position before the move
+     * @param {Object} move - Move
+     * @returns {string} SAN
+     */
+    toSan(position, move) {
+        let san;
+
+        if (move.castle) {
+            san = move.castle === 'K' ? 'O-O' : 'O-O-O';
+        } else if (move.piece.toLowerCase() === 'p') {
+            san = move.captured ? `${FILES[move.from[1]]}x${this.toSquare(move.to)}` : this.toSquare(move.to);
+            if (move.promotion) {
+                san += `=${move.promotion.toUpperCase()}`;
+            }
+        } else {
+            const pieceType = move.piece.toUpperCase();
+            const rivals = this.getLegalMoves(position).filter(other =>
+                other.piece === move.piece &&
+                other.to[0] === move.to[0] && other.to[1] === move.to[1] &&
+                (other.from[0] !== move.from[0] || other.from[1] !== move.from[1]));
+
+            let disambiguation = '';
+            if (rivals.length > 0) {
+                const sameFile = rivals.some(other => other.from[1] === move.from[1]);
+                const sameRank = rivals.some(other => other.from[0] === move.from[0]);
+                if (!sameFile) {
+                    disambiguation = FILES[move.from[1]];
+                } else if (!sameRank) {
+                    disambiguation = `${8 - move.from[0]}`;
+                } else {
+                    disambiguation = this.toSquare(move.from);
+                }
+            }
+
+            san = `${pieceType}${disambiguation}${move.captured ? 'x' : ''}${this.toSquare(move.to)}`;
+        }
+
+        const next = this.applyMove(position, move);
+        if (this.isInCheck(next.board, next.turn)) {
+            san += this.getLegalMoves(next).length === 0 ? '#' : '+';
+        }
+
+        return san;
+    }
+
+    toUci(move) {
+        return `${this.toSquare(move.from)}${this.toSquare(move.to)}${move.promotion || ''}`;
+    }
+
+    normalizeSan(san) {
+        return san
+            .replace(/[+#!?]/g, '')
+            .replace(/0/g, 'O')
+            .replace('=', '');
+    }
+
+    /**
+     * Format a position as FEN
+     * @param {Object} position - Position
+     * @returns {string} FEN
+     */
+    toFen(position) {
+        const placement = position.board.map((row) => {
+            let rank = '';
+            let empty = 0;
+            row.forEach((piece) => {
+                if (piece) {
+                    rank += `${empty || ''}${piece}`;
+                    empty = 0;
+                } else {
+                    empty += 1;
+                }
+            });
+            return rank + (empty || '');
+        }).join('/');
+
+        const castling = ['K', 'Q', 'k', 'q'].filter(right => position.castling[right]).join('') || '-';
+
+        return [
+            placement,
+            position.turn,
+            castling,
+            position.enPassant || '-',
+            position.halfmoveClock,
+            position.fullmoveNumber
+        ].join(' ');
+    }
+
+    toSquare([row, col]) {
+        return `${FILES[col]}${8 - row}`;
+    }
+
+    getPieceColor(piece) {
+        return piece === piece.toUpperCase() ? 'w' : 'b';
+    }
+
+    isOnBoard([row, col]) {
+        return row >= 0 && row < 8 && col >= 0 && col < 8;
+    }
+}
+
+ChessRules.UCI_PATTERN = UCI_PATTERN;
+ChessRules.SAN_PATTERN = SAN_PATTERN;
+
+module.exports = ChessRules;
\ No newline at end of file
@@ -0,0 +1,136 @@
+const ChessRules = require('../src/core/chess');
+
+const createGame = () => {
+    const rules = new ChessRules();
+    const game = {
+        config: { gameType: 'chess' },
+        state: { turnOrder: ['white', 'black'], gameData: {} }
+    };
+    game.state.gameData = rules.initializeGameData(game);
+    return { rules, game };
+};
+
+// Play moves alternately from white, returning the last result
+const play = (rules, game, moves) => {
+    let result = null;
+    moves.forEach((move, index) => {
+        const playerId = index % 2 === 0 ? 'white' : 'black';
+        const action = { type: 'move', data: { move } };
+        const validation = rules.validateAction(game, playerId, action);
+        if (!validation.valid) {
+            throw new Error(`${move}: ${validation.error}`);
+        }
+        result = rules.executeAction(game, playerId, action);
+        game.state.gameData = result.gameData;
+    });
+    return result;
+};
+
+const countPositions = (rules, position, depth) => {
+    if (depth === 0) return 1;
+    return rules.getLegalMoves(position).reduce(
+        (total, move) => total + countPositions(rules, rules.applyMove(position, move), depth - 1),
+        0
+    );
+};
+
+describe('Chess rules', () => {
+    it('should generate the correct number of positions from the start', () => {
+        const { rules, game } = createGame();
+
+        expect(countPositions(rules, game.state.gameData, 1)).toBe(20);
+        expect(countPositions(rules, game.state.gameData, 3)).toBe(8902);
+    });
+
+    it('should accept both SAN and UCI notation', () => {
+        const { rules, game } = createGame();
+
+        play(rules, game, ['e4', 'e7e5', 'Nf3', 'b8c6']);
+
+        expect(game.state.gameData.moveHistory).toEqual(['e4', 'e5', 'Nf3', 'Nc6']);
+        expect(game.state.gameData.fen).toBe('r1bqkbnr/pppp1ppp/2n5/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq - 2 3');
+    });
+
+    it('should reject moves out of turn and illegal moves', () => {
+        const { rules, game } = createGame();
+
+        expect(rules.validateAction(game, 'black', { type: 'move', data: { move: 'e5' } }).valid).toBe(false);
+        expect(rules.validateAction(game, 'white', { type: 'move', data: { move: 'e5' } })).toEqual({
+            valid: false,
+            error: 'Illegal move: e5'
+        });
+        expect(rules.validateAction(game, 'white', { type: 'move', data: { move: 'hello' } })).toEqual({
+            valid: false,
+            error: 'Move must be in SAN or UCI notation'
+        });
+    });
+
+    it('should end the game on checkmate', () => {
+        const { rules, game } = createGame();
+
+        const result = play(rules, game, ['e4', 'e5', 'Bc4', 'Nc6', 'Qh5', 'Nf6', 'Qxf7#']);
+
+        expect(result).toMatchObject({ gameEnded: true, endReason: 'victory', winner: 'white' });
+        expect(result.gameData.result).toEqual({ outcome: 'checkmate' });
+    });
+
+    it('should castle and remove castling rights', () => {
+        const { rules, game } = createGame();
+
+        play(rules, game, ['e4', 'e5', 'Nf3', 'Nc6', 'Bc4', 'Bc5', 'O-O']);
+
+        const { board, castling } = game.state.gameData;
+        expect(board[7][6]).toBe('K');
+        expect(board[7][5]).toBe('R');
+        expect(castling).toEqual({ K: false, Q: false, k: true, q: true });
+    });
+
+    it('should capture en passant', () => {
+        const { rules, game } = createGame();
+
+        play(rules, game, ['e4', 'a6', 'e5', 'd5', 'exd6']);
+
+        const { board } = game.state.gameData;
+        expect(board[2][3]).toBe('P');
+        expect(board[3][3]).toBeNull();
+    });
+
+    it('should promote pawns', () => {
+        const { rules, game } = createGame();
+
+        play(rules, game, ['h4', 'g5', 'hxg5', 'h6', 'gxh6', 'Nf6', 'h7', 'Ng8', 'hxg8=Q']);
+
+        expect(game.state.gameData.board[0][6]).toBe('Q');
+        expect(game.state.gameData.moveHistory[8]).toBe('hxg8=Q');
+    });
+
+    it('should draw by stalemate', () => {
+        const { rules, game } = createGame();
+
+        const result = play(rules, game, [
+            'e3', 'a5', 'Qh5', 'Ra6', 'Qxa5', 'h5', 'h4', 'Rah6', 'Qxc7', 'f6',
+            'Qxd7+', 'Kf7', 'Qxb7', 'Qd3', 'Qxb8', 'Qh7', 'Qxc8', 'Kg6', 'Qe6'
+        ]);
+
+        expect(result).toMatchObject({ gameEnded: true, endReason: 'draw', winner: null });
+        expect(result.gameData.result).toEqual({ outcome: 'stalemate' });
+    });
+
+    it('should draw by threefold repetition', () => {
+        const { rules, game } = createGame();
+
+        const result = play(rules, game, ['Nf3', 'Nf6', 'Ng1', 'Ng8', 'Nf3', 'Nf6', 'Ng1', 'Ng8']);
+
+        expect(result).toMatchObject({ gameEnded: true, endReason: 'draw' });
+        expect(result.gameData.result).toEqual({ outcome: 'threefold_repetition' });
+    });
+
+    it('should draw by the fifty-move rule', () => {
+        const { rules, game } = createGame();
+        game.state.gameData.halfmoveClock = 99;
+
+        const result = play(rules, game, ['Nf3']);
+
+        expect(result.gameData.result).toEqual({ outcome: 'fifty_move_rule' });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,149 @@
+/**
+ * Chess-style time controls.
+ *
+ * Every player has a bank clock ({ remaining, periods }) that runs only
+ * during their turns. Time controls are configured per game as
+ * config.timeControl:
+ *   { type: 'fischer', initial, increment }          increment added after each turn
+ *   { type: 'bronstein', initial, delay }            time used within the delay is given back
+ *   { type: 'byoyomi', initial, periods, periodTime } overtime periods once the bank runs out
+ * All times are in milliseconds.
+ */
+class TimeControl {
+    /**
+     * @param {Object} settings - Time control settings
+     */
+    constructor(settings) {
+        this.settings = settings;
+    }
+
+    /**
+     * Create a player's clock
+     * @returns {Object} Clock
+     */
+    createClock() {
+        return { remaining: this.settings.initial };
+    }
+
+    /**
+     * Get the time a player can think before their flag falls
+     * @param {Object} clock - Clock at the start of the turn
+     * @returns {number} Time in ms
+     */
+    timeUntilFlag(clock) {
+        return clock.remaining;
+    }
+
+    /**
+     * Run a clock for part of a turn
+     * @param {Object} clock - Clock at the start of the turn
+     * @param {number} elapsed - Time spent this turn in ms
+     * @returns {Object} Clock and whether its flag fell ({ clock, flagged })
+     */
+    elapse(clock, elapsed) {
+        const remaining = Math.max(clock.remaining - elapsed, 0);
+        return { clock: { ...clock, remaining }, flagged: remaining === 0 };
+    }
+
+    /**
+     * Stop a clock at the end of a turn
+     * @param {Object} clock - Clock at the start of the turn
+     * @param {number} elapsed - Time spent this turn in ms
+     * @returns {Object} Clock for the player's next turn
+     */
+    completeTurn(clock, elapsed) {
+        return this.elapse(clock, elapsed).clock;
+    }
+}
+
+/**
+ * Fischer: a fixed increment is added after every turn
+ */
+class FischerTimeControl extends TimeControl {
+    completeTurn(clock, elapsed) {
+        const { clock: used } = this.elapse(clock, elapsed);
+        return { ...used, remaining: used.remaining + (this.settings.increment || 0) };
+    }
+}
+
+/**
+ * Bronstein: time used up to the delay is not taken off the clock
+ */
+class BronsteinTimeControl extends TimeControl {
+    timeUntilFlag(clock) {
+        return clock.remaining + (this.settings.delay || 0);
+    }
+
+    elapse(clock, elapsed) {
+        return super.elapse(clock, Math.max(elapsed - (this.settings.delay || 0), 0));
+    }
+}
+
+/**
+ * Byo-yomi: once the main time runs out, each turn must be finished within
+ * periodTime; every period overrun uses up one of the player's periods
+ */
+class ByoyomiTimeControl extends TimeControl {
+    createClock() {
+        return { remaining: this.settings.initial, periods: this.settings.periods };
+    }
+
+    timeUntilFlag(clock) {
+        return clock.remaining + clock.periods * this.settings.periodTime;
+    }
+
+    elapse(clock, elapsed) {
+        if (elapsed < clock.remaining) {
+            return { clock: { ...clock, remaining: clock.remaining - elapsed }, flagged: false };
+        }
+
+        const overtime = elapsed - clock.remaining;
+        const periods = Math.max(clock.periods - Math.floor(overtime / this.settings.periodTime), 0);
+        return { clock: { remaining: 0, periods }, flagged: periods === 0 };
+    }
+}
+
+const TIME_CONTROLS = {
+    fischer: FischerTimeControl,
+    bronstein: BronsteinTimeControl,
+    byoyomi: ByoyomiTimeControl
+};
+
+const isDuration = value => Number.isInteger(value) && value >= 0;
+
+/**
+ * Create a time control from its settings
+ * @param {Object} settings - Time control settings (type defaults to fischer)
+ * @returns {TimeControl} Time control
+ */
+const createTimeControl = (settings) => {
+    const type = settings.type || 'fischer';
+    const TimeControlType = TIME_CONTROLS[type];
+    if (!TimeControlType) {
+        throw new Error(`Unsupported time control: ${type}`);
+    }
+
+    if (!isDuration(settings.initial) || settings.initial === 0) {
+        throw new Error('Time control initial time must be a positive number of milliseconds');
+    }
+
+    if (type === 'fischer' && settings.increment !== undefined && !isDuration(settings.increment)) {
+        throw new Error('Time control increment must be a non-negative number of milliseconds');
+    }
+
+    if (type === 'bronstein' && settings.delay !== undefined && !isDuration(settings.delay)) {
+        throw new Error('Time control delay must be a non-negative number of milliseconds');
+    }
+
+    if (type === 'byoyomi' && (!Number.isInteger(settings.periods) || settings.periods < 1 ||
+        !isDuration(settings.periodTime) || settings.periodTime === 0)) {
+        throw new Error('Byo-yomi needs at least one period and a positive period time');
+    }
+
+    return new TimeControlType({ ...settings, type });
+};
+
+module.exports = {
+    TimeControl,
+    createTimeControl
+};
\ No newline at end of file
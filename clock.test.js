@@ -0,0 +1,159 @@
+const { createEngine, startTestGame } = require('./testHelpers');
+const { createTimeControl } = require('../src/core/clock');
+
+const move = cell => ({ type: 'move', data: { cell } });
+
+describe('Time controls', () => {
+    it('should add the Fischer increment after each turn', () => {
+        const timeControl = createTimeControl({ type: 'fischer', initial: 60000, increment: 2000 });
+        const clock = timeControl.createClock();
+
+        expect(timeControl.completeTurn(clock, 5000)).toEqual({ remaining: 57000 });
+        expect(timeControl.elapse(clock, 60000)).toEqual({ clock: { remaining: 0 }, flagged: true });
+    });
+
+    it('should give back time used within the Bronstein delay', () => {
+        const timeControl = createTimeControl({ type: 'bronstein', initial: 60000, delay: 3000 });
+        const clock = timeControl.createClock();
+
+        expect(timeControl.completeTurn(clock, 2000)).toEqual({ remaining: 60000 });
+        expect(timeControl.completeTurn(clock, 5000)).toEqual({ remaining: 58000 });
+        expect(timeControl.timeUntilFlag(clock)).toBe(63000);
+    });
+
+    it('should use up byo-yomi periods once the main time runs out', () => {
+        const timeControl = createTimeControl({ type: 'byoyomi', initial: 10000, periods: 3, periodTime: 5000 });
+        const clock = timeControl.createClock();
+
+        expect(timeControl.completeTurn(clock, 14000)).toEqual({ remaining: 0, periods: 3 });
+        expect(timeControl.completeTurn(clock, 21000)).toEqual({ remaining: 0, periods: 1 });
+        expect(timeControl.timeUntilFlag(clock)).toBe(25000);
+        expect(timeControl.elapse(clock, 25000).flagged).toBe(true);
+    });
+
+    it('should reject invalid settings', () => {
+        expect(() => createTimeControl({ type: 'hourglass', initial: 60000 })).toThrow('Unsupported time control: hourglass');
+        expect(() => createTimeControl({ initial: 0 })).toThrow('initial time');
+        expect(() => createTimeControl({ type: 'byoyomi', initial: 60000 })).toThrow('Byo-yomi');
+    });
+});
+
+describe('Clocks in GameEngine', () => {
+    let gameEngine;
+
+    const startGame = (timeControl, playerIds = ['p1', 'p2'], gameType = 'tic-tac-toe') =>
+        startTestGame(gameEngine, { gameType, turnOrderStrategy: 'join', timeControl, createdBy: 'p1' }, playerIds);
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        gameEngine = createEngine();
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('should charge each player only for their own turns', () => {
+        const game = startGame({ type: 'fischer', initial: 60000, increment: 1000 });
+
+        jest.advanceTimersByTime(5000);
+        gameEngine.processAction(game.id, 'p1', move(0));
+        jest.advanceTimersByTime(8000);
+
+        expect(gameEngine.getGameState(game.id).clocks).toEqual({
+            p1: { remaining: 56000 },
+            p2: { remaining: 52000 }
+        });
+    });
+
+    it('should include clocks when a turn starts', () => {
+        const game = startGame({ type: 'fischer', initial: 60000, increment: 1000 });
+        const turnStarted = jest.fn();
+        gameEngine.on('turnStarted', turnStarted);
+
+        jest.advanceTimersByTime(5000);
+        gameEngine.processAction(game.id, 'p1', move(0));
+
+        expect(turnStarted).toHaveBeenCalledWith(expect.objectContaining({
+            playerId: 'p2',
+            clocks: { p1: { remaining: 56000 }, p2: { remaining: 60000 } }
+        }));
+    });
+
+    it('should end the game with a timeout win for the opponent when a flag falls', () => {
+        const game = startGame({ type: 'fischer', initial: 60000, increment: 1000 });
+        const flagFell = jest.fn();
+        gameEngine.on('flagFell', flagFell);
+
+        gameEngine.processAction(game.id, 'p1', move(0));
+        jest.advanceTimersByTime(60000);
+
+        expect(flagFell).toHaveBeenCalledWith({ gameId: game.id, playerId: 'p2' });
+        expect(game.state).toMatchObject({ status: 'ended', endReason: 'timeout', winner: 'p1' });
+        expect(game.state.clocks.p2).toEqual({ remaining: 0 });
+        expect(game.state.turnHistory[1]).toMatchObject({ type: 'flag_fall', playerId: 'p2' });
+    });
+
+    it('should only flag after the Bronstein delay and the byo-yomi periods', () => {
+        const bronstein = startGame({ type: 'bronstein', initial: 10000, delay: 3000 });
+        jest.advanceTimersByTime(12999);
+        expect(bronstein.state.status).toBe('active');
+        jest.advanceTimersByTime(1);
+        expect(bronstein.state).toMatchObject({ status: 'ended', winner: 'p2' });
+
+        const byoyomi = startGame({ type: 'byoyomi', initial: 10000, periods: 2, periodTime: 5000 });
+        jest.advanceTimersByTime(14000);
+        gameEngine.processAction(byoyomi.id, 'p1', move(0));
+        expect(byoyomi.state.clocks.p1).toEqual({ remaining: 0, periods: 2 });
+        gameEngine.processAction(byoyomi.id, 'p2', move(3));
+        jest.advanceTimersByTime(9999);
+        expect(byoyomi.state.status).toBe('active');
+        jest.advanceTimersByTime(1);
+        expect(byoyomi.state).toMatchObject({ status: 'ended', endReason: 'timeout', winner: 'p2' });
+    });
+
+    it('should drop a flagged player from a multiplayer game', () => {
+        const game = startGame({ type: 'fischer', initial: 30000 }, ['p1', 'p2', 'p3'], 'battle');
+
+        jest.advanceTimersByTime(30000);
+
+        expect(game.state.status).toBe('active');
+        expect(game.state.turnOrder).toEqual(['p2', 'p3']);
+        expect(game.state.currentTurn).toBe('p2');
+    });
+
+    it('should not run clocks while the game is paused', () => {
+        const game = startGame({ type: 'fischer', initial: 60000 });
+
+        jest.advanceTimersByTime(10000);
+        gameEngine.pauseGame(game.id, 'p1');
+        jest.advanceTimersByTime(120000);
+        expect(gameEngine.getGameState(game.id).clocks.p1).toEqual({ remaining: 50000 });
+
+        gameEngine.resumeGame(game.id, 'p1');
+        jest.advanceTimersByTime(5000);
+        gameEngine.processAction(game.id, 'p1', move(0));
+
+        expect(game.state.clocks.p1).toEqual({ remaining: 45000 });
+    });
+
+    it('should replay flag falls from the action log', () => {
+        const game = startGame({ type: 'fischer', initial: 60000 });
+        gameEngine.processAction(game.id, 'p1', move(0));
+        jest.advanceTimersByTime(60000);
+
+        const replay = gameEngine.replayGame(game);
+
+        expect(replay.state).toMatchObject({ status: 'ended', endReason: 'timeout', winner: 'p1' });
+    });
+
+    it('should reject time controls with simultaneous turns', () => {
+        expect(() => gameEngine.createGame({
+            gameType: 'battle',
+            turnMode: 'simultaneous',
+            timeControl: { initial: 60000 }
+        })).toThrow('Time controls are not supported with simultaneous turns');
+    });
+});
\ No newline at end of file
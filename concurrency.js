@@ -0,0 +1,123 @@
+/**
+ * Optimistic concurrency for player actions.
+ *
+ * Every saved change to a game bumps its state version. A client that
+ * sends the version it last saw along with an action has the action
+ * rejected if the game moved on in the meantime (another move, a timeout
+ * auto-move, a takeback), instead of having it applied to a state the
+ * player never saw. Clients may also send an idempotency key with each
+ * action; a retry with the same key gets the original result back rather
+ * than applying the action twice.
+ */
+const IDEMPOTENCY_KEY_LIMIT = 100; // Results remembered per game
+
+/**
+ * Error for an action sent against an out-of-date game state
+ */
+class VersionConflictError extends Error {
+    /**
+     * @param {number} expectedVersion - Version the client sent
+     * @param {number} currentVersion - Game's current version
+     */
+    constructor(expectedVersion, currentVersion) {
+        super(`Game state has changed (expected version ${expectedVersion}, current version ${currentVersion})`);
+        this.name = 'VersionConflictError';
+        this.code = 'VERSION_CONFLICT';
+        this.expectedVersion = expectedVersion;
+        this.currentVersion = currentVersion;
+        this.statusCode = 409;
+        this.status = 'fail';
+        this.isOperational = true;
+
+        Error.captureStackTrace(this, this.constructor);
+    }
+}
+
+/**
+ * Get a game's state version
+ * @param {Object} game - Game object
+ * @returns {number} Version
+ */
+const getVersion = game => game.state.version || 0;
+
+/**
+ * Give a game a new state version after a change
+ * @param {Object} game - Game object
+ * @returns {number} New version
+ */
+const bumpVersion = (game) => {
+    game.state.version = getVersion(game) + 1;
+    return game.state.version;
+};
+
+/**
+ * Reject an action sent against an older version of the game
+ * @param {Object} game - Game object
+ * @param {number} expectedVersion - Version the client last saw (optional)
+ */
+const checkVersion = (game, expectedVersion) => {
+    if (expectedVersion === undefined || expectedVersion === null) return;
+
+    if (Number(expectedVersion) !== getVersion(game)) {
+        throw new VersionConflictError(Number(expectedVersion), getVersion(game));
+    }
+};
+
+/**
+ * Reduce an action result to the outcome clients are told about, leaving
+ * out game data, which is sent to each player filtered
+ * @param {Object} result - Action result, or commit status for simultaneous turns
+ * @param {number} version - Game version the action produced
+ * @returns {Object} Outcome ({ version, committed, gameEnded, winner })
+ */
+const summarizeResult = (result, version) => {
+    const actionResult = result.committed ? result.result || {} : result;
+
+    return {
+        version,
+        committed: Boolean(result.committed),
+        gameEnded: Boolean(actionResult.gameEnded),
+        winner: actionResult.winner === undefined ? null : actionResult.winner
+    };
+};
+
+/**
+ * Find the outcome of an action a player already sent with an idempotency key
+ * @param {Object} game - Game object
+ * @param {string} playerId - Player ID
+ * @param {string} key - Idempotency key (optional)
+ * @returns {Object|null} Original outcome, or null for a new key
+ */
+const findIdempotentResult = (game, playerId, key) => {
+    if (!key) return null;
+
+    const entry = (game.state.idempotencyKeys || [])
+        .find(e => e.key === key && String(e.playerId) === String(playerId));
+    return entry ? entry.result : null;
+};
+
+/**
+ * Remember an action's outcome under its idempotency key, forgetting the
+ * oldest outcomes past the per-game limit
+ * @param {Object} game - Game object
+ * @param {string} playerId - Player ID
+ * @param {string} key - Idempotency key (optional)
+ * @param {Object} outcome - Action outcome, from summarizeResult
+ */
+const rememberIdempotentResult = (game, playerId, key, outcome) => {
+    if (!key) return;
+
+    const keys = game.state.idempotencyKeys || [];
+    keys.push({ key, playerId, result: outcome });
+    game.state.idempotencyKeys = keys.slice(-IDEMPOTENCY_KEY_LIMIT);
+};
+
+module.exports = {
+    VersionConflictError,
+    getVersion,
+    bumpVersion,
+    checkVersion,
+    summarizeResult,
+    findIdempotentResult,
+    rememberIdempotentResult
+};
\ No newline at end of file
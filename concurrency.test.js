@@ -0,0 +1,140 @@
+const { createEngine, startTestGame } = require('./testHelpers');
+const { VersionConflictError } = require('../src/core/concurrency');
+
+const move = cell => ({ type: 'move', data: { cell } });
+
+describe('Optimistic concurrency and idempotent actions', () => {
+    let gameEngine;
+
+    const startGame = (options = {}) => startTestGame(gameEngine, {
+        gameType: 'tic-tac-toe',
+        turnTimeLimit: 30000,
+        turnOrderStrategy: 'join',
+        ...options
+    });
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        gameEngine = createEngine();
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('should bump the state version on every change', () => {
+        const game = startGame();
+        const version = game.state.version;
+
+        gameEngine.processAction(game.id, 'p1', move(0));
+
+        expect(version).toBeGreaterThan(0);
+        expect(game.state.version).toBe(version + 1);
+        expect(gameEngine.getGameState(game.id).version).toBe(version + 1);
+    });
+
+    it('should accept an action sent against the current version', () => {
+        const game = startGame();
+
+        gameEngine.processAction(game.id, 'p1', move(0), { expectedVersion: game.state.version });
+
+        expect(game.state.gameData.board[0]).toBe('X');
+        expect(game.state.currentTurn).toBe('p2');
+    });
+
+    it('should reject an action sent before a timeout auto-move', () => {
+        const game = startGame({ timeoutPolicy: 'default' });
+        const seen = game.state.version;
+
+        jest.advanceTimersByTime(30000);
+        expect(game.state.currentTurn).toBe('p2');
+        const board = [...game.state.gameData.board];
+
+        let error;
+        try {
+            gameEngine.processAction(game.id, 'p1', move(8), { expectedVersion: seen });
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error).toBeInstanceOf(VersionConflictError);
+        expect(error).toMatchObject({
+            code: 'VERSION_CONFLICT',
+            expectedVersion: seen,
+            currentVersion: game.state.version,
+            statusCode: 409
+        });
+        expect(game.state.gameData.board).toEqual(board);
+    });
+
+    it('should return the original result when an action is retried', () => {
+        const game = startGame();
+        const version = game.state.version;
+
+        gameEngine.processAction(game.id, 'p1', move(0), { expectedVersion: version, idempotencyKey: 'k1' });
+        const retry = gameEngine.processAction(game.id, 'p1', move(0), { expectedVersion: version, idempotencyKey: 'k1' });
+
+        expect(retry).toEqual({
+            version: version + 1,
+            committed: false,
+            gameEnded: false,
+            winner: null,
+            duplicate: true,
+            gameState: gameEngine.getGameState(game.id, 'p1')
+        });
+        expect(game.state.turnHistory).toHaveLength(1);
+        expect(game.state.currentTurn).toBe('p2');
+    });
+
+    it('should only remember compact outcomes and answer retries with a filtered view', () => {
+        const game = startTestGame(gameEngine, { gameType: 'battle', turnOrderStrategy: 'join' });
+        const attack = { type: 'attack', data: { targetId: 'p2' } };
+
+        gameEngine.processAction(game.id, 'p1', attack, { idempotencyKey: 'hit' });
+        const retry = gameEngine.processAction(game.id, 'p1', attack, { idempotencyKey: 'hit' });
+
+        expect(game.state.idempotencyKeys).toEqual([{
+            key: 'hit',
+            playerId: 'p1',
+            result: { version: game.state.version, committed: false, gameEnded: false, winner: null }
+        }]);
+        expect(retry.gameState.gameData.combatants.p2.attackPower).toBeUndefined();
+        expect(game.state.gameData.combatants.p2.attackPower).toBeDefined();
+    });
+
+    it('should save the winning move with its outcome and the final version', async () => {
+        const game = startGame();
+        [0, 3, 1, 4].forEach(cell => gameEngine.processAction(game.id, game.state.currentTurn, move(cell)));
+        await gameEngine.flushSaves(game.id);
+        const saved = [];
+        gameEngine.saveGameState.mockImplementation(async (savedGame) => {
+            saved.push(structuredClone(savedGame.state));
+        });
+
+        const version = game.state.version;
+        gameEngine.processAction(game.id, 'p1', move(2), { idempotencyKey: 'win' });
+        await gameEngine.flushSaves(game.id);
+
+        expect(game.state.version).toBe(version + 1);
+        expect(saved).toHaveLength(1);
+        expect(saved[0]).toMatchObject({ status: 'ended', winner: 'p1', version: version + 1 });
+        expect(saved[0].idempotencyKeys).toEqual([{
+            key: 'win',
+            playerId: 'p1',
+            result: { version: version + 1, committed: false, gameEnded: true, winner: 'p1' }
+        }]);
+    });
+
+    it('should keep idempotency keys per player and out of the public state', () => {
+        const game = startGame();
+
+        gameEngine.processAction(game.id, 'p1', move(0), { idempotencyKey: 'same' });
+        const result = gameEngine.processAction(game.id, 'p2', move(4), { idempotencyKey: 'same' });
+
+        expect(result.duplicate).toBeUndefined();
+        expect(game.state.gameData.board[4]).toBe('O');
+        expect(gameEngine.getGameState(game.id).idempotencyKeys).toBeUndefined();
+    });
+});
\ No newline at end of file
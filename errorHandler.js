@@ -94,7 +94,9 @@ const sendErrorProd = (err, req, res) => {
         if (err.isOperational) {
             return res.status(err.statusCode).json({
                 status: err.status,
-                message: err.message
+                message: err.message,
+                ...(typeof err.code === 'string' && { code: err.code }),
+                ...(err.details && { details: err.details })
             });
         }
 
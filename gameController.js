@@ -1,13 +1,14 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { authenticate } = require('../middleware/auth');
 const { catchAsync, AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
-const GameEngine = require('../core/gameEngine');
+const socketHandler = require('../core/socketHandler');
 const GameState = require('../models/GameState');
 
 const router = express.Router();
-const gameEngine = new GameEngine();
+// Share the socket handler's engine so REST and socket clients see the same games
+const gameEngine = socketHandler.getGameEngine();
 
 /**
  * @swagger
@@ -75,7 +76,7 @@ router.get('/', authenticate, catchAsync(async (req, res) => {
  *             properties:
  *               gameType:
  *                 type: string
- *                 enum: [chess, checkers, tic-tac-toe, custom]
+ *                 enum: [chess, checkers, tic-tac-toe, battle, custom]
  *               maxPlayers:
  *                 type: number
  *                 minimum: 2
@@ -90,13 +91,60 @@ router.get('/', authenticate, catchAsync(async (req, res) => {
  *                 maximum: 300000
  *               rules:
  *                 type: object
+ *               turnMode:
+ *                 type: string
+ *                 enum: [sequential, simultaneous]
+ *                 description: In simultaneous mode every player commits a hidden action each turn
+ *               turnOrderStrategy:
+ *                 type: string
+ *                 enum: [join, random, initiative, atb]
+ *                 description: How the order of turns is decided (random by default)
+ *               timeControl:
+ *                 type: object
+ *                 description: Per-player chess clocks instead of a fixed turn time limit (times in ms)
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     enum: [fischer, bronstein, byoyomi]
+ *                   initial:
+ *                     type: number
+ *                   increment:
+ *                     type: number
+ *                   delay:
+ *                     type: number
+ *                   periods:
+ *                     type: number
+ *                   periodTime:
+ *                     type: number
+ *               timeoutPolicy:
+ *                 type: string
+ *                 enum: [default, skip, forfeit, bot]
+ *                 description: What happens when a turn times out (default plays the rules' default action)
+ *               forfeitAfter:
+ *                 type: number
+ *                 minimum: 1
+ *                 maximum: 10
+ *                 description: Consecutive timeouts before a player forfeits under the forfeit policy (3 by default)
+ *               reconnectGracePeriod:
+ *                 type: number
+ *                 minimum: 5000
+ *                 maximum: 600000
+ *                 description: How long a disconnected player's seat is held before they forfeit (ms)
+ *               totalRounds:
+ *                 type: number
+ *                 minimum: 1
+ *                 maximum: 15
+ *                 description: Number of rounds in a best-of-N match
+ *               seed:
+ *                 type: string
+ *                 description: Seed for the game's random number generator, to reproduce a game
  *     responses:
  *       201:
  *         description: Game created successfully
  */
 router.post('/create', authenticate, [
     body('gameType')
-        .isIn(['chess', 'checkers', 'tic-tac-toe', 'custom'])
+        .isIn(['chess', 'checkers', 'tic-tac-toe', 'battle', 'custom'])
         .withMessage('Invalid game type'),
     body('maxPlayers')
         .isInt({ min: 2, max: 8 })
@@ -108,7 +156,60 @@ router.post('/create', authenticate, [
     body('turnTimeLimit')
         .optional()
         .isInt({ min: 5000, max: 300000 })
-        .withMessage('Turn time limit must be between 5 and 300 seconds')
+        .withMessage('Turn time limit must be between 5 and 300 seconds'),
+    body('turnMode')
+        .optional()
+        .isIn(['sequential', 'simultaneous'])
+        .withMessage('Turn mode must be sequential or simultaneous'),
+    body('turnOrderStrategy')
+        .optional()
+        .isIn(['join', 'random', 'initiative', 'atb'])
+        .withMessage('Turn order strategy must be join, random, initiative or atb'),
+    body('timeControl')
+        .optional()
+        .isObject()
+        .withMessage('Time control must be an object'),
+    body('timeControl.type')
+        .optional()
+        .isIn(['fischer', 'bronstein', 'byoyomi'])
+        .withMessage('Time control type must be fischer, bronstein or byoyomi'),
+    body('timeControl.initial')
+        .if(body('timeControl').exists())
+        .isInt({ min: 1000, max: 10800000 })
+        .withMessage('Time control initial time must be between 1 second and 3 hours'),
+    body(['timeControl.increment', 'timeControl.delay'])
+        .optional()
+        .isInt({ min: 0, max: 600000 })
+        .withMessage('Time control increment and delay must be between 0 and 10 minutes'),
+    body('timeControl.periods')
+        .optional()
+        .isInt({ min: 1, max: 30 })
+        .withMessage('Time control periods must be between 1 and 30'),
+    body('timeControl.periodTime')
+        .optional()
+        .isInt({ min: 1000, max: 600000 })
+        .withMessage('Time control period time must be between 1 second and 10 minutes'),
+    body('timeoutPolicy')
+        .optional()
+        .isIn(['default', 'skip', 'forfeit', 'bot'])
+        .withMessage('Timeout policy must be default, skip, forfeit or bot'),
+    body('forfeitAfter')
+        .optional()
+        .isInt({ min: 1, max: 10 })
+        .withMessage('Forfeit after must be between 1 and 10 timeouts'),
+    body('reconnectGracePeriod')
+        .optional()
+        .isInt({ min: 5000, max: 600000 })
+        .withMessage('Reconnect grace period must be between 5 seconds and 10 minutes'),
+    body('totalRounds')
+        .optional()
+        .isInt({ min: 1, max: 15 })
+        .withMessage('Total rounds must be between 1 and 15'),
+    body('seed')
+        .optional()
+        .isString()
+        .isLength({ min: 1, max: 64 })
+        .withMessage('Seed must be a string of 1-64 characters')
 ], catchAsync(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -121,6 +222,14 @@ router.post('/create', authenticate, [
         minPlayers: req.body.minPlayers || 2,
         turnTimeLimit: req.body.turnTimeLimit || 30000,
         rules: req.body.rules || {},
+        totalRounds: req.body.totalRounds,
+        turnMode: req.body.turnMode,
+        turnOrderStrategy: req.body.turnOrderStrategy,
+        timeControl: req.body.timeControl,
+        timeoutPolicy: req.body.timeoutPolicy,
+        forfeitAfter: req.body.forfeitAfter,
+        reconnectGracePeriod: req.body.reconnectGracePeriod,
+        seed: req.body.seed,
         createdBy: req.player._id
     };
 
@@ -165,6 +274,7 @@ router.post('/create', authenticate, [
 router.get('/:gameId', authenticate, catchAsync(async (req, res) => {
     const { gameId } = req.params;
 
+    await gameEngine.syncGame(gameId);
     const gameState = gameEngine.getGameState(gameId, req.player._id);
 
     res.json({
@@ -175,6 +285,68 @@ router.get('/:gameId', authenticate, catchAsync(async (req, res) => {
     });
 }));
 
+/**
+ * @swagger
+ * /api/v1/games/{gameId}/replay:
+ *   get:
+ *     summary: Replay a game up to a step of its action log
+ *     tags: [Games]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: gameId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: step
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Number of logged actions to apply (defaults to all)
+ *     responses:
+ *       200:
+ *         description: Game state rebuilt at the requested step
+ *       400:
+ *         description: Invalid step
+ *       404:
+ *         description: Game not found
+ */
+router.get('/:gameId/replay', authenticate, [
+    query('step')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Step must be a non-negative integer')
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        throw new AppError(`Validation error: ${errors.array().map(e => e.msg).join(', ')}`, 400);
+    }
+
+    const { gameId } = req.params;
+    const step = req.query.step !== undefined ? parseInt(req.query.step) : null;
+
+    const game = await gameEngine.findGame(gameId);
+    if (!game) {
+        throw new AppError('Game not found', 404);
+    }
+
+    const totalSteps = (game.state.turnHistory || []).length;
+    if (step !== null && step > totalSteps) {
+        throw new AppError(`Step must be between 0 and ${totalSteps}`, 400);
+    }
+
+    const replay = gameEngine.getReplay(game, step, req.player._id);
+
+    res.json({
+        status: 'success',
+        data: {
+            replay
+        }
+    });
+}));
+
 /**
  * @swagger
  * /api/v1/games/{gameId}/join:
@@ -205,7 +377,7 @@ router.post('/:gameId/join', authenticate, catchAsync(async (req, res) => {
         name: req.player.displayName
     };
 
-    gameEngine.addPlayer(gameId, player);
+    await gameEngine.withGameLock(gameId, () => gameEngine.addPlayer(gameId, player));
 
     logger.logGameEvent('player_joined', gameId, req.player._id);
 
@@ -238,7 +410,7 @@ router.post('/:gameId/join', authenticate, catchAsync(async (req, res) => {
 router.post('/:gameId/leave', authenticate, catchAsync(async (req, res) => {
     const { gameId } = req.params;
 
-    gameEngine.removePlayer(gameId, req.player._id);
+    await gameEngine.withGameLock(gameId, () => gameEngine.removePlayer(gameId, req.player._id));
 
     logger.logGameEvent('player_left', gameId, req.player._id);
 
@@ -273,7 +445,7 @@ router.post('/:gameId/leave', authenticate, catchAsync(async (req, res) => {
 router.post('/:gameId/start', authenticate, catchAsync(async (req, res) => {
     const { gameId } = req.params;
 
-    gameEngine.startGame(gameId);
+    await gameEngine.withGameLock(gameId, () => gameEngine.startGame(gameId));
 
     logger.logGameEvent('game_started', gameId, req.player._id);
 
@@ -288,6 +460,8 @@ router.post('/:gameId/start', authenticate, catchAsync(async (req, res) => {
  * /api/v1/games/{gameId}/action:
  *   post:
  *     summary: Perform a game action
+ *     description: Send the game state version the client last saw to have the action rejected if the game
+ *       has changed since, and an idempotency key to get the first result back when retrying the action.
  *     tags: [Games]
  *     security:
  *       - bearerAuth: []
@@ -297,6 +471,10 @@ router.post('/:gameId/start', authenticate, catchAsync(async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
@@ -308,18 +486,35 @@ router.post('/:gameId/start', authenticate, catchAsync(async (req, res) => {
  *             properties:
  *               action:
  *                 type: object
+ *               expectedVersion:
+ *                 type: integer
+ *               idempotencyKey:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Action performed successfully
+ *         description: Action outcome ({ version, committed, gameEnded, winner }) and the player's view of the game,
+ *           or the outcome of an earlier request with the same key (duplicate true)
  *       400:
- *         description: Invalid action
+ *         description: Invalid action. Payloads that do not match the game type's action schemas fail with code
+ *           INVALID_ACTION and a details list of { path, message, type }.
  *       404:
  *         description: Game not found
+ *       409:
+ *         description: Game state has changed since the expected version
  */
 router.post('/:gameId/action', authenticate, [
     body('action')
         .isObject()
-        .withMessage('Action must be an object')
+        .withMessage('Action must be an object'),
+    body('expectedVersion')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Expected version must be a non-negative integer'),
+    body('idempotencyKey')
+        .optional()
+        .isString()
+        .isLength({ min: 1, max: 128 })
+        .withMessage('Idempotency key must be a string of up to 128 characters')
 ], catchAsync(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -327,9 +522,17 @@ router.post('/:gameId/action', authenticate, [
     }
 
     const { gameId } = req.params;
-    const { action } = req.body;
+    const { action, expectedVersion } = req.body;
+    const idempotencyKey = req.body.idempotencyKey || req.get('Idempotency-Key');
 
-    const result = gameEngine.processAction(gameId, req.player._id, action);
+    // The player gets the outcome and their own filtered view of the game
+    const result = await gameEngine.withGameLock(gameId, () => {
+        const actionResult = gameEngine.processAction(gameId, req.player._id, action, { expectedVersion, idempotencyKey });
+        return {
+            ...gameEngine.summarizeAction(gameId, actionResult),
+            gameState: gameEngine.getGameState(gameId, req.player._id)
+        };
+    });
 
     logger.logGameEvent('action_performed', gameId, req.player._id, { action });
 
@@ -341,6 +544,448 @@ router.post('/:gameId/action', authenticate, [
     });
 }));
 
+/**
+ * @swagger
+ * /api/v1/games/{gameId}/pause:
+ *   post:
+ *     summary: Pause a game, or vote to pause it
+ *     description: The host pauses the game at once; other players' votes pause it once every player agrees.
+ *     tags: [Games]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: gameId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Game paused or vote recorded
+ *       400:
+ *         description: Game is not active
+ *       404:
+ *         description: Game not found
+ */
+router.post('/:gameId/pause', authenticate, catchAsync(async (req, res) => {
+    const { gameId } = req.params;
+
+    const pause = await gameEngine.withGameLock(gameId, () => gameEngine.pauseGame(gameId, req.player._id));
+
+    res.json({
+        status: 'success',
+        data: {
+            pause
+        }
+    });
+}));
+
+/**
+ * @swagger
+ * /api/v1/games/{gameId}/resume:
+ *   post:
+ *     summary: Resume a paused game, or vote to resume it
+ *     tags: [Games]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: gameId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Game resumed or vote recorded
+ *       400:
+ *         description: Game is not paused
+ *       404:
+ *         description: Game not found
+ */
+router.post('/:gameId/resume', authenticate, catchAsync(async (req, res) => {
+    const { gameId } = req.params;
+
+    const resume = await gameEngine.withGameLock(gameId, () => gameEngine.resumeGame(gameId, req.player._id));
+
+    res.json({
+        status: 'success',
+        data: {
+            resume
+        }
+    });
+}));
+
+/**
+ * @swagger
+ * /api/v1/games/{gameId}/control:
+ *   post:
+ *     summary: Take the player's turns back from the bot
+ *     description: Under the bot timeout policy a bot plays for players who time out until they act again.
+ *     tags: [Games]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: gameId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Control returned to the player
+ *       404:
+ *         description: Game not found
+ */
+router.post('/:gameId/control', authenticate, catchAsync(async (req, res) => {
+    const { gameId } = req.params;
+
+    const botControlled = await gameEngine.withGameLock(gameId, () => gameEngine.takeControl(gameId, req.player._id));
+
+    res.json({
+        status: 'success',
+        data: {
+            wasBotControlled: botControlled
+        }
+    });
+}));
+
+/**
+ * @swagger
+ * /api/v1/games/{gameId}/takeback:
+ *   post:
+ *     summary: Request to take back your last action
+ *     tags: [Games]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: gameId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Takeback requested
+ *       400:
+ *         description: Takebacks not allowed or nothing to take back
+ *       404:
+ *         description: Game not found
+ */
+router.post('/:gameId/takeback', authenticate, catchAsync(async (req, res) => {
+    const { gameId } = req.params;
+
+    const takeback = await gameEngine.withGameLock(gameId, () => gameEngine.requestTakeback(gameId, req.player._id));
+
+    res.status(201).json({
+        status: 'success',
+        data: {
+            takeback
+        }
+    });
+}));
+
+/**
+ * @swagger
+ * /api/v1/games/{gameId}/takeback/respond:
+ *   post:
+ *     summary: Accept or decline a pending takeback request
+ *     tags: [Games]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: gameId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - accept
+ *             properties:
+ *               accept:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Response recorded
+ *       400:
+ *         description: No takeback pending
+ *       404:
+ *         description: Game not found
+ */
+router.post('/:gameId/takeback/respond', authenticate, [
+    body('accept')
+        .isBoolean()
+        .toBoolean()
+        .withMessage('Accept must be a boolean')
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        throw new AppError(`Validation error: ${errors.array().map(e => e.msg).join(', ')}`, 400);
+    }
+
+    const { gameId } = req.params;
+    const { accept } = req.body;
+
+    const takeback = await gameEngine.withGameLock(gameId, () => (
+        gameEngine.respondToTakeback(gameId, req.player._id, accept)
+    ));
+
+    res.json({
+        status: 'success',
+        data: {
+            takeback
+        }
+    });
+}));
+
+/**
+ * @swagger
+ * /api/v1/games/{gameId}/resign:
+ *   post:
+ *     summary: Resign from a game
+ *     description: With two players the opponent wins; in larger games the player drops out and the rest play on.
+ *     tags: [Games]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: gameId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Player resigned
+ *       400:
+ *         description: Game is not active
+ *       404:
+ *         description: Game not found
+ */
+router.post('/:gameId/resign', authenticate, catchAsync(async (req, res) => {
+    const { gameId } = req.params;
+
+    const result = await gameEngine.withGameLock(gameId, () => gameEngine.resign(gameId, req.player._id));
+
+    res.json({
+        status: 'success',
+        data: {
+            result
+        }
+    });
+}));
+
+/**
+ * @swagger
+ * /api/v1/games/{gameId}/draw-offer:
+ *   post:
+ *     summary: Offer a draw to the other players
+ *     tags: [Games]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: gameId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Draw offered
+ *       400:
+ *         description: Game is not active or a draw offer is already pending
+ *       404:
+ *         description: Game not found
+ */
+router.post('/:gameId/draw-offer', authenticate, catchAsync(async (req, res) => {
+    const { gameId } = req.params;
+
+    const drawOffer = await gameEngine.withGameLock(gameId, () => gameEngine.offerDraw(gameId, req.player._id));
+
+    res.status(201).json({
+        status: 'success',
+        data: {
+            drawOffer
+        }
+    });
+}));
+
+/**
+ * @swagger
+ * /api/v1/games/{gameId}/draw-response:
+ *   post:
+ *     summary: Accept or decline a pending draw offer
+ *     tags: [Games]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: gameId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - accept
+ *             properties:
+ *               accept:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Response recorded
+ *       400:
+ *         description: No draw offer pending
+ *       404:
+ *         description: Game not found
+ */
+router.post('/:gameId/draw-response', authenticate, [
+    body('accept')
+        .isBoolean()
+        .toBoolean()
+        .withMessage('Accept must be a boolean')
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        throw new AppError(`Validation error: ${errors.array().map(e => e.msg).join(', ')}`, 400);
+    }
+
+    const { gameId } = req.params;
+    const { accept } = req.body;
+
+    const drawOffer = await gameEngine.withGameLock(gameId, () => gameEngine.respondToDraw(gameId, req.player._id, accept));
+
+    res.json({
+        status: 'success',
+        data: {
+            drawOffer
+        }
+    });
+}));
+
+/**
+ * @swagger
+ * /api/v1/games/{gameId}/rematch:
+ *   post:
+ *     summary: Offer a rematch after a game has ended
+ *     tags: [Games]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: gameId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               swapFirstPlayer:
+ *                 type: boolean
+ *                 description: Let the second player move first (and swap colours)
+ *     responses:
+ *       201:
+ *         description: Rematch offered
+ *       400:
+ *         description: Game has not ended or a rematch is already pending
+ *       404:
+ *         description: Game not found
+ */
+router.post('/:gameId/rematch', authenticate, [
+    body('swapFirstPlayer')
+        .optional()
+        .isBoolean()
+        .toBoolean()
+        .withMessage('Swap first player must be a boolean')
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        throw new AppError(`Validation error: ${errors.array().map(e => e.msg).join(', ')}`, 400);
+    }
+
+    const { gameId } = req.params;
+
+    const rematchOffer = await gameEngine.withGameLock(gameId, () => (
+        gameEngine.offerRematch(gameId, req.player._id, req.body.swapFirstPlayer === true)
+    ));
+
+    res.status(201).json({
+        status: 'success',
+        data: {
+            rematchOffer
+        }
+    });
+}));
+
+/**
+ * @swagger
+ * /api/v1/games/{gameId}/rematch/respond:
+ *   post:
+ *     summary: Accept or decline a rematch offer
+ *     description: The rematch starts with the same config and players once every player accepts.
+ *     tags: [Games]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: gameId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - accept
+ *             properties:
+ *               accept:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Response recorded
+ *       400:
+ *         description: No rematch offer pending
+ *       404:
+ *         description: Game not found
+ */
+router.post('/:gameId/rematch/respond', authenticate, [
+    body('accept')
+        .isBoolean()
+        .toBoolean()
+        .withMessage('Accept must be a boolean')
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        throw new AppError(`Validation error: ${errors.array().map(e => e.msg).join(', ')}`, 400);
+    }
+
+    const { gameId } = req.params;
+    const { accept } = req.body;
+
+    const rematch = await gameEngine.withGameLock(gameId, () => gameEngine.respondToRematch(gameId, req.player._id, accept));
+
+    res.json({
+        status: 'success',
+        data: {
+            rematch
+        }
+    });
+}));
+
 /**
  * @swagger
  * /api/v1/games/{gameId}/ready:
@@ -373,6 +1018,7 @@ router.post('/:gameId/action', authenticate, [
 router.post('/:gameId/ready', authenticate, [
     body('ready')
         .isBoolean()
+        .toBoolean()
         .withMessage('Ready must be a boolean')
 ], catchAsync(async (req, res) => {
     const errors = validationResult(req);
@@ -383,16 +1029,18 @@ router.post('/:gameId/ready', authenticate, [
     const { gameId } = req.params;
     const { ready } = req.body;
 
-    const game = gameEngine.getGame(gameId);
-    if (!game) {
-        throw new AppError('Game not found', 404);
-    }
+    await gameEngine.withGameLock(gameId, () => {
+        const game = gameEngine.getGame(gameId);
+        if (!game) {
+            throw new AppError('Game not found', 404);
+        }
 
-    const gamePlayer = game.state.players.find(p => p.id === req.player._id);
-    if (gamePlayer) {
-        gamePlayer.ready = ready;
-        game.state.updatedAt = new Date();
-    }
+        const gamePlayer = game.state.players.find(p => p.id === req.player._id);
+        if (gamePlayer) {
+            gamePlayer.ready = ready;
+            game.state.updatedAt = new Date();
+        }
+    });
 
     logger.logGameEvent('player_ready', gameId, req.player._id, { ready });
 
@@ -1,15 +1,61 @@
 const EventEmitter = require('events');
 const logger = require('../utils/logger');
+const SeededRandom = require('../utils/random');
 const config = require('../config');
 const GameState = require('../models/GameState');
 const Player = require('../models/Player');
+const gameRegistry = require('./gameRegistry');
+const turnOrderStrategies = require('./turnOrder');
+const { createTimeControl } = require('./clock');
+const { createGameStore } = require('./gameStore');
+const { createTimerService } = require('./timerService');
+const { GameStateError, assertTransition, isFinished, getFinishStatus } = require('./gameLifecycle');
+const {
+    getVersion,
+    bumpVersion,
+    checkVersion,
+    summarizeResult,
+    findIdempotentResult,
+    rememberIdempotentResult
+} = require('./concurrency');
+const { createPatch } = require('./statePatch');
+const { validateActionPayload } = require('./actionSchema');
+
+const TAKEBACK_TIMEOUT = 30000;
+const BOT_MOVE_DELAY = 2000;
+const DEFAULT_FORFEIT_AFTER = 3;
+const TIMEOUT_POLICIES = ['default', 'skip', 'forfeit', 'bot'];
+const RECONNECT_GRACE_PERIOD = 60000;
+const RECOVERABLE_STATUSES = ['waiting', 'active', 'paused'];
+
+// Action log entries for players losing, with the end reason the winner gets
+// and the reason announced to the other players
+const FORFEITS = {
+    flag_fall: { endReason: 'timeout' },
+    timeout_forfeit: { endReason: 'forfeit', reason: 'timeout' },
+    resign: { endReason: 'forfeit', reason: 'resign' },
+    abandon: { endReason: 'forfeit', reason: 'disconnected' }
+};
 
 class GameEngine extends EventEmitter {
-    constructor() {
+    /**
+     * @param {GameRegistry} registry - Game type registry used to resolve rule modules
+     * @param {GameStore} store - Where games and player presence live
+     * @param {TimerService} timers - Where turn, game, takeback and reconnect timers live
+     */
+    constructor(
+        registry = gameRegistry,
+        store = createGameStore(config.game.store),
+        timers = createTimerService(config.game.timers)
+    ) {
         super();
+        this.registry = registry;
+        this.store = store;
+        this.timers = timers;
+        this.timers.setHandler(timer => this.fireTimer(timer));
         this.activeGames = new Map();
-        this.gameTimers = new Map();
-        this.turnTimers = new Map();
+        this.saveQueues = new Map(); // gameId -> last queued database save
+        this.lockedGames = new Set(); // gameIds this node holds the store lock of
     }
 
     /**
@@ -18,16 +64,37 @@ class GameEngine extends EventEmitter {
      * @returns {Object} Game instance
      */
     createGame(gameConfig) {
+        // Fail early for game types without a rule module
+        const gameRules = this.registry.get(gameConfig.gameType);
+        if (gameConfig.turnMode === 'simultaneous' && !gameRules.supportsSimultaneous) {
+            throw new Error(`Game type ${gameConfig.gameType} does not support simultaneous turns`);
+        }
+        const strategy = turnOrderStrategies.getStrategy(gameConfig.turnOrderStrategy);
+        if (gameRules.fixedTurnOrder && strategy.reordersTurns) {
+            throw new Error(`Game type ${gameConfig.gameType} needs a fixed turn order (join or random)`);
+        }
+        if (gameConfig.timeControl) {
+            if (gameConfig.turnMode === 'simultaneous') {
+                throw new Error('Time controls are not supported with simultaneous turns');
+            }
+            createTimeControl(gameConfig.timeControl);
+        }
+        if (gameConfig.timeoutPolicy && !TIMEOUT_POLICIES.includes(gameConfig.timeoutPolicy)) {
+            throw new Error(`Unsupported timeout policy: ${gameConfig.timeoutPolicy}`);
+        }
+
         const gameId = this.generateGameId();
+        const seed = gameConfig.seed !== undefined ? `${gameConfig.seed}` : SeededRandom.generateSeed();
         const game = {
             id: gameId,
-            config: gameConfig,
+            config: { ...gameConfig, seed },
             state: {
                 status: 'waiting',
                 players: [],
                 currentTurn: null,
                 turnOrder: [],
                 gameData: {},
+                rng: SeededRandom.createState(seed),
                 createdAt: new Date(),
                 updatedAt: new Date()
             },
@@ -41,6 +108,7 @@ class GameEngine extends EventEmitter {
 
         // Set game timeout
         this.setGameTimeout(gameId);
+        this.persistGame(game);
 
         return game;
     }
@@ -84,6 +152,7 @@ class GameEngine extends EventEmitter {
             this.checkGameStart(gameId);
         }
 
+        this.persistGame(game);
         return true;
     }
 
@@ -105,7 +174,9 @@ class GameEngine extends EventEmitter {
         }
 
         game.state.players.splice(playerIndex, 1);
+        this.removeFromTurnOrder(game, [playerId]);
         game.state.updatedAt = new Date();
+        this.clearReconnectTimer(gameId, playerId);
 
         logger.logGameEvent('player_left', gameId, playerId);
 
@@ -119,9 +190,147 @@ class GameEngine extends EventEmitter {
             this.endGame(gameId, 'insufficient_players');
         }
 
+        this.persistGame(game);
+        return true;
+    }
+
+    /**
+     * Mark a player as disconnected and hold their seat for the game's
+     * reconnect grace period. Players who do not reconnect in time forfeit
+     * an active game, or leave a game that has not started.
+     * @param {string} gameId - Game ID
+     * @param {string} playerId - Player ID
+     * @returns {number|null} Epoch ms when the seat is released, or null for finished games
+     */
+    disconnectPlayer(gameId, playerId) {
+        const game = this.activeGames.get(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        const player = game.state.players.find(p => String(p.id) === String(playerId));
+        if (!player) {
+            throw new Error('Player not found in game');
+        }
+
+        player.connected = false;
+        player.disconnectedAt = new Date();
+        game.state.updatedAt = new Date();
+
+        if (isFinished(game.state.status)) {
+            return null;
+        }
+
+        const gracePeriod = this.getReconnectGracePeriod(game);
+        player.reconnectDeadline = Date.now() + gracePeriod;
+        this.setReconnectTimer(gameId, playerId, gracePeriod);
+
+        logger.logGameEvent('player_disconnected', gameId, playerId, { gracePeriod });
+        this.emit('playerDisconnected', {
+            gameId,
+            playerId,
+            gracePeriod,
+            reconnectDeadline: player.reconnectDeadline
+        });
+
+        return player.reconnectDeadline;
+    }
+
+    /**
+     * Give a reconnecting player their held seat back
+     * @param {string} gameId - Game ID
+     * @param {string} playerId - Player ID
+     * @returns {boolean} Whether the player had been disconnected
+     */
+    reconnectPlayer(gameId, playerId) {
+        const game = this.activeGames.get(gameId);
+        if (!game) return false;
+
+        const player = game.state.players.find(p => String(p.id) === String(playerId));
+        if (!player || player.connected) return false;
+
+        this.clearReconnectTimer(gameId, playerId);
+        player.connected = true;
+        player.disconnectedAt = null;
+        player.reconnectDeadline = null;
+        player.lastActivity = new Date();
+        game.state.updatedAt = new Date();
+
+        logger.logGameEvent('player_reconnected', gameId, playerId);
+        this.emit('playerReconnected', { gameId, playerId });
+
         return true;
     }
 
+    /**
+     * Get the IDs of games holding a seat for a disconnected player
+     * @param {string} playerId - Player ID
+     * @returns {Array} Game IDs
+     */
+    getHeldSeats(playerId) {
+        return this.getActiveGames()
+            .filter(game => game.state.players.some(p => String(p.id) === String(playerId) && !p.connected))
+            .map(game => game.id);
+    }
+
+    /**
+     * Get how long a game holds a disconnected player's seat
+     * @param {Object} game - Game object
+     * @returns {number} Grace period in ms
+     */
+    getReconnectGracePeriod(game) {
+        return game.config.reconnectGracePeriod || config.game.reconnectGracePeriod || RECONNECT_GRACE_PERIOD;
+    }
+
+    /**
+     * Release a seat whose player did not reconnect in time
+     * @param {string} gameId - Game ID
+     * @param {string} playerId - Player ID
+     */
+    handleReconnectTimeout(gameId, playerId) {
+        const game = this.activeGames.get(gameId);
+        if (!game) return;
+
+        const player = game.state.players.find(p => String(p.id) === String(playerId));
+        if (!player || player.connected || isFinished(game.state.status)) return;
+
+        // Paused games keep the seat until play goes on
+        if (game.state.status === 'paused') {
+            this.setReconnectTimer(gameId, playerId, this.getReconnectGracePeriod(game));
+            return;
+        }
+
+        player.reconnectDeadline = null;
+
+        logger.logGameEvent('seat_released', gameId, playerId);
+        this.emit('seatReleased', { gameId, playerId, roomId: game.config.roomId });
+
+        if (game.state.status === 'active' && game.state.turnOrder.some(id => String(id) === String(playerId))) {
+            this.forfeitPlayer(gameId, playerId, 'abandon');
+        } else if (game.state.status === 'waiting') {
+            this.removePlayer(gameId, player.id);
+        }
+    }
+
+    /**
+     * Set a disconnected player's reconnect timer
+     * @param {string} gameId - Game ID
+     * @param {string} playerId - Player ID
+     * @param {number} duration - Time until the seat is released
+     */
+    setReconnectTimer(gameId, playerId, duration) {
+        this.timers.schedule({ type: 'reconnect', gameId, playerId }, Date.now() + duration);
+    }
+
+    /**
+     * Clear a player's reconnect timer
+     * @param {string} gameId - Game ID
+     * @param {string} playerId - Player ID
+     */
+    clearReconnectTimer(gameId, playerId) {
+        this.timers.cancel({ type: 'reconnect', gameId, playerId });
+    }
+
     /**
      * Start a game
      * @param {string} gameId - Game ID
@@ -134,7 +343,7 @@ class GameEngine extends EventEmitter {
         }
 
         if (game.state.status !== 'waiting') {
-            throw new Error('Game is not in waiting status');
+            throw new GameStateError('Game is not in waiting status', game.state.status, 'active');
         }
 
         if (game.state.players.length < game.config.minPlayers) {
@@ -142,15 +351,18 @@ class GameEngine extends EventEmitter {
         }
 
         // Initialize game state
-        game.state.status = 'active';
-        game.state.turnOrder = this.generateTurnOrder(game.state.players);
-        game.state.currentTurn = game.state.turnOrder[0];
-        game.state.gameData = this.initializeGameData(game);
+        this.transitionGame(game, 'active');
+        game.state.startingPlayers = game.state.players.map(p => ({ id: p.id, name: p.name }));
+        game.state.turnHistory = [];
+        this.setupGame(game);
         game.state.startedAt = new Date();
         game.state.updatedAt = new Date();
 
+        this.emit('roundStarted', { gameId, round: 1, totalRounds: game.state.totalRounds });
+
         // Start first turn
         this.startTurn(gameId);
+        this.persistGame(game);
 
         logger.logGameEvent('game_started', gameId);
 
@@ -162,18 +374,50 @@ class GameEngine extends EventEmitter {
      * @param {string} gameId - Game ID
      * @param {string} playerId - Player ID
      * @param {Object} action - Action data
-     * @returns {Object} Action result
+     * @param {Object} options - Options ({ automated } for actions the server plays for the player,
+     *                           { expectedVersion } to reject the action if the game has changed since,
+     *                           { idempotencyKey } to return the first result when the action is retried)
+     * @returns {Object} Action result, or for a retry the first outcome with duplicate: true and the
+     *                   player's current gameState
      */
-    processAction(gameId, playerId, action) {
+    processAction(gameId, playerId, action, options = {}) {
         const game = this.activeGames.get(gameId);
         if (!game) {
             throw new Error('Game not found');
         }
 
+        // A retried action gets its first outcome back, with the player's view
+        // of the game as it is now
+        const original = findIdempotentResult(game, playerId, options.idempotencyKey);
+        if (original) {
+            return { ...original, duplicate: true, gameState: this.getGameState(gameId, playerId) };
+        }
+
+        if (game.state.status === 'paused') {
+            throw new Error('Game is paused');
+        }
+
         if (game.state.status !== 'active') {
             throw new Error('Game is not active');
         }
 
+        checkVersion(game, options.expectedVersion);
+
+        // Player input must be well formed before rule code sees it, and
+        // acting shows the player is back at the board
+        if (!options.automated) {
+            this.validateActionSchema(game, action);
+            this.markPlayerActive(game, playerId);
+        }
+
+        if (this.isSimultaneous(game)) {
+            const commit = this.commitAction(game, playerId, action);
+            this.lapseDrawOffer(game, playerId);
+            this.rememberOutcome(game, playerId, options.idempotencyKey, commit);
+            this.persistGame(game);
+            return commit;
+        }
+
         if (game.state.currentTurn !== playerId) {
             throw new Error('Not your turn');
         }
@@ -184,313 +428,2363 @@ class GameEngine extends EventEmitter {
             throw new Error(validationResult.error);
         }
 
-        // Process action
-        const result = this.executeAction(game, playerId, action);
+        this.lapseDrawOffer(game, playerId);
 
-        // Update game state
-        game.state.gameData = result.gameData;
+        // Process action
+        const result = this.applyAction(game, playerId, action);
         game.state.updatedAt = new Date();
 
         logger.logGameEvent('action_processed', gameId, playerId, { action, result });
 
-        // Check for game end conditions
+        if (result.eliminatedPlayers && result.eliminatedPlayers.length > 0) {
+            result.eliminatedPlayers.forEach((eliminatedId) => {
+                logger.logGameEvent('player_eliminated', gameId, eliminatedId);
+            });
+        }
+
+        // Check for round and game end conditions
         if (result.gameEnded) {
-            this.endGame(gameId, result.endReason, result.winner);
-        } else {
-            // Move to next turn
+            this.finishRound(gameId, result);
+        } else if (result.turnComplete !== false) {
+            // Move to next turn unless the rules expect more actions this turn
             this.nextTurn(gameId);
         }
 
+        // Persist after every action so the game survives a restart
+        this.rememberOutcome(game, playerId, options.idempotencyKey, result);
+        this.persistGame(game);
+
         return result;
     }
 
     /**
-     * Get current game state
+     * Describe what a processed action did for clients, leaving out game
+     * data: each player gets that filtered, as a state patch or snapshot
      * @param {string} gameId - Game ID
-     * @param {string} playerId - Player ID (for filtering private data)
-     * @returns {Object} Game state
+     * @param {Object} result - Result returned by processAction
+     * @returns {Object} Outcome ({ version, committed, gameEnded, winner }, and duplicate for retries)
      */
-    getGameState(gameId, playerId = null) {
-        const game = this.activeGames.get(gameId);
-        if (!game) {
-            throw new Error('Game not found');
+    summarizeAction(gameId, result) {
+        if (result.duplicate) {
+            const { gameState, ...outcome } = result;
+            return outcome;
         }
 
-        const state = { ...game.state };
+        return summarizeResult(result, getVersion(this.activeGames.get(gameId)));
+    }
 
-        // Filter private data based on player
-        if (playerId) {
-            state.gameData = this.filterPrivateData(state.gameData, playerId);
-        }
+    /**
+     * Remember an action's outcome under its idempotency key. It is stored
+     * before the game is saved, so the key survives a restart, with the
+     * version that save gives the game: the next one, or the final version
+     * endGame already gave a game the action ended.
+     * @param {Object} game - Game object
+     * @param {string} playerId - Player ID
+     * @param {string} key - Idempotency key (optional)
+     * @param {Object} result - Action result or commit status
+     */
+    rememberOutcome(game, playerId, key, result) {
+        const version = isFinished(game.state.status) ? getVersion(game) : getVersion(game) + 1;
+        rememberIdempotentResult(game, playerId, key, summarizeResult(result, version));
+    }
 
-        return state;
+    /**
+     * Check whether a game's players act simultaneously each turn
+     * @param {Object} game - Game object
+     * @returns {boolean} Whether the game uses simultaneous turns
+     */
+    isSimultaneous(game) {
+        return game.config.turnMode === 'simultaneous';
     }
 
     /**
-     * End a game
-     * @param {string} gameId - Game ID
-     * @param {string} reason - End reason
-     * @param {string} winner - Winner ID (optional)
+     * Commit a player's hidden action for the current simultaneous turn.
+     * The turn resolves once every player in the turn order has committed.
+     * @param {Object} game - Game object
+     * @param {string} playerId - Player ID
+     * @param {Object} action - Action data
+     * @returns {Object} Commit status ({ committed, waitingFor, resolved, result })
      */
-    endGame(gameId, reason, winner = null) {
-        const game = this.activeGames.get(gameId);
-        if (!game) {
-            throw new Error('Game not found');
+    commitAction(game, playerId, action) {
+        if (!game.state.turnOrder.some(id => String(id) === String(playerId))) {
+            throw new Error('Not your turn');
         }
 
-        game.state.status = 'ended';
-        game.state.endedAt = new Date();
-        game.state.endReason = reason;
-        game.state.winner = winner;
-        game.state.updatedAt = new Date();
+        if (game.state.pendingActions[playerId] !== undefined) {
+            throw new Error('Action already submitted for this turn');
+        }
 
-        // Clear timers
-        this.clearGameTimers(gameId);
+        const validationResult = this.validateAction(game, playerId, action);
+        if (!validationResult.valid) {
+            throw new Error(validationResult.error);
+        }
 
-        // Save game state to database
-        this.saveGameState(game);
+        game.state.pendingActions[playerId] = action;
+        game.state.updatedAt = new Date();
 
-        logger.logGameEvent('game_ended', gameId, null, { reason, winner });
+        logger.logGameEvent('action_committed', game.id, playerId);
+        this.emit('actionCommitted', { gameId: game.id, playerId });
 
-        // Emit game end event
-        this.emit('gameEnded', { gameId, reason, winner, gameState: game.state });
+        const waitingFor = this.getUncommittedPlayers(game);
+        if (waitingFor.length > 0) {
+            return { committed: true, waitingFor, resolved: false };
+        }
 
-        // Remove from active games after a delay
-        setTimeout(() => {
-            this.activeGames.delete(gameId);
-        }, 60000); // Keep for 1 minute after ending
+        const result = this.resolveSimultaneousTurn(game.id);
+        return { committed: true, waitingFor, resolved: true, result };
     }
 
     /**
-     * Generate turn order
-     * @param {Array} players - Players array
-     * @returns {Array} Turn order
+     * Get the players who have not committed an action this turn
+     * @param {Object} game - Game object
+     * @returns {Array} Player IDs
      */
-    generateTurnOrder(players) {
-        const playerIds = players.map(p => p.id);
-        // Fisher-Yates shuffle
-        for (let i = playerIds.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [playerIds[i], playerIds[j]] = [playerIds[j], playerIds[i]];
-        }
-        return playerIds;
+    getUncommittedPlayers(game) {
+        return game.state.turnOrder.filter(id => game.state.pendingActions[id] === undefined);
     }
 
     /**
-     * Start a turn
+     * Reveal and resolve the committed actions of a simultaneous turn
      * @param {string} gameId - Game ID
+     * @returns {Object} Action result
      */
-    startTurn(gameId) {
+    resolveSimultaneousTurn(gameId) {
         const game = this.activeGames.get(gameId);
-        if (!game) return;
+        if (!game) return null;
 
-        const currentPlayer = game.state.players.find(p => p.id === game.state.currentTurn);
-        if (!currentPlayer) return;
+        const actions = game.state.pendingActions;
+        game.state.pendingActions = {};
 
-        // Set turn timer
-        this.setTurnTimer(gameId);
+        const result = this.applySimultaneousActions(game, actions);
+        game.state.updatedAt = new Date();
 
-        logger.logGameEvent('turn_started', gameId, game.state.currentTurn);
+        logger.logGameEvent('actions_resolved', gameId, null, { actions, result });
+        this.emit('actionsRevealed', { gameId, actions, result });
 
-        // Emit turn start event
-        this.emit('turnStarted', { gameId, playerId: game.state.currentTurn });
+        if (result.eliminatedPlayers && result.eliminatedPlayers.length > 0) {
+            result.eliminatedPlayers.forEach((eliminatedId) => {
+                logger.logGameEvent('player_eliminated', gameId, eliminatedId);
+            });
+        }
+        Object.entries(result.rejectedActions || {}).forEach(([playerId, error]) => {
+            logger.logGameEvent('action_rejected', gameId, playerId, { error });
+        });
+
+        if (result.gameEnded) {
+            this.finishRound(gameId, result);
+        } else {
+            this.nextTurn(gameId);
+        }
+
+        return result;
     }
 
     /**
-     * Move to next turn
-     * @param {string} gameId - Game ID
+     * Resolve a simultaneous turn's actions through the rule module, append
+     * them to the action log and apply the result to the game state
+     * @param {Object} game - Game object
+     * @param {Object} actions - Actions by player ID
+     * @returns {Object} Action result
      */
-    nextTurn(gameId) {
-        const game = this.activeGames.get(gameId);
-        if (!game) return;
+    applySimultaneousActions(game, actions) {
+        this.recordHistory(game, 'simultaneous', null, actions);
 
-        // Clear current turn timer
-        this.clearTurnTimer(gameId);
+        const result = this.getRules(game).resolveActions(game, actions);
+        game.state.gameData = result.gameData;
 
-        // Find next player in turn order
-        const currentIndex = game.state.turnOrder.indexOf(game.state.currentTurn);
-        const nextIndex = (currentIndex + 1) % game.state.turnOrder.length;
-        game.state.currentTurn = game.state.turnOrder[nextIndex];
+        if (result.eliminatedPlayers && result.eliminatedPlayers.length > 0) {
+            this.removeFromTurnOrder(game, result.eliminatedPlayers);
+        }
 
-        // Start next turn
-        this.startTurn(gameId);
+        return result;
     }
 
     /**
-     * Set turn timer
-     * @param {string} gameId - Game ID
+     * Set up turn order and initial game data for a game that is starting
+     * @param {Object} game - Game object
      */
-    setTurnTimer(gameId) {
-        this.clearTurnTimer(gameId);
-
-        const timer = setTimeout(() => {
-            this.handleTurnTimeout(gameId);
-        }, game.turnTimeLimit);
-
-        this.turnTimers.set(gameId, timer);
+    setupGame(game) {
+        game.state.initialTurnOrder = this.generateTurnOrder(game);
+        game.state.currentRound = 1;
+        game.state.totalRounds = game.config.totalRounds || 1;
+        game.state.turnNumber = 1;
+        game.state.scores = {};
+        game.state.initialTurnOrder.forEach((playerId) => {
+            game.state.scores[playerId] = 0;
+        });
+        game.state.roundResults = [];
+        this.setupRound(game);
     }
 
     /**
-     * Clear turn timer
-     * @param {string} gameId - Game ID
+     * Set up turn order and fresh game data for the current round. The
+     * base order rotates each round; players eliminated in earlier rounds
+     * take part again.
+     * @param {Object} game - Game object
      */
-    clearTurnTimer(gameId) {
-        const timer = this.turnTimers.get(gameId);
-        if (timer) {
-            clearTimeout(timer);
-            this.turnTimers.delete(gameId);
+    setupRound(game) {
+        const { initialTurnOrder } = game.state;
+        const offset = (game.state.currentRound - 1) % initialTurnOrder.length;
+
+        game.state.turnOrder = [...initialTurnOrder.slice(offset), ...initialTurnOrder.slice(0, offset)];
+        game.state.currentTurn = null;
+        game.state.pendingActions = {};
+        game.state.extraTurns = [];
+        game.state.skipTurns = {};
+        game.state.clocks = this.createClocks(game);
+        game.state.turnStartedAt = null;
+        game.state.gameData = this.initializeGameData(game);
+
+        // Simultaneous turns have no current player
+        if (!this.isSimultaneous(game)) {
+            game.state.currentTurn = this.getTurnOrderStrategy(game).firstPlayer(game, this.getTurnOrderContext(game));
         }
     }
 
     /**
-     * Handle turn timeout
-     * @param {string} gameId - Game ID
+     * Record the result of a round that the rules ended, and set up the
+     * next round unless the match is over
+     * @param {Object} game - Game object
+     * @param {Object} result - Action result that ended the round
+     * @returns {Object} Match status ({ matchEnded, winner, endReason })
      */
-    handleTurnTimeout(gameId) {
-        const game = this.activeGames.get(gameId);
-        if (!game) return;
+    completeRound(game, result) {
+        const { state } = game;
+        const winner = result.winner === undefined ? null : result.winner;
 
-        logger.logGameEvent('turn_timeout', gameId, game.state.currentTurn);
+        state.roundResults.push({ round: state.currentRound, winner, endReason: result.endReason });
+        if (winner !== null && state.scores[winner] !== undefined) {
+            state.scores[winner] += 1;
+        }
 
-        // Process default action or skip turn
-        const defaultAction = this.getDefaultAction(game, game.state.currentTurn);
-        if (defaultAction) {
-            this.processAction(gameId, game.state.currentTurn, defaultAction);
-        } else {
-            this.nextTurn(gameId);
+        // Single games end with the rules' own result
+        if (state.totalRounds === 1) {
+            return { matchEnded: true, winner, endReason: result.endReason };
         }
-    }
 
-    /**
-     * Set game timeout
-     * @param {string} gameId - Game ID
-     */
-    setGameTimeout(gameId) {
-        const timer = setTimeout(() => {
-            this.handleGameTimeout(gameId);
-        }, config.game.gameTimeout);
+        const standings = state.initialTurnOrder
+            .map(playerId => [playerId, state.scores[playerId]])
+            .sort((a, b) => b[1] - a[1]);
+        const [leaderId, leaderScore] = standings[0];
+        const runnerUpScore = standings.length > 1 ? standings[1][1] : 0;
+        const remainingRounds = state.totalRounds - state.currentRound;
+
+        // The leader clinches when nobody can catch up in the remaining rounds
+        if (remainingRounds === 0 || leaderScore > runnerUpScore + remainingRounds) {
+            const matchWinner = leaderScore > runnerUpScore ? leaderId : null;
+            return {
+                matchEnded: true,
+                winner: matchWinner,
+                endReason: matchWinner === null ? 'draw' : 'victory'
+            };
+        }
+
+        state.currentRound += 1;
+        state.turnNumber += 1;
+        this.setupRound(game);
 
-        this.gameTimers.set(gameId, timer);
+        return { matchEnded: false, winner: null, endReason: null };
     }
 
     /**
-     * Clear game timers
+     * End the current round and either start the next one or end the match
      * @param {string} gameId - Game ID
+     * @param {Object} result - Action result that ended the round
      */
-    clearGameTimers(gameId) {
-        const gameTimer = this.gameTimers.get(gameId);
-        if (gameTimer) {
-            clearTimeout(gameTimer);
-            this.gameTimers.delete(gameId);
+    finishRound(gameId, result) {
+        const game = this.activeGames.get(gameId);
+        if (!game) return;
+
+        const round = game.state.currentRound;
+        const match = this.completeRound(game, result);
+        const roundResult = game.state.roundResults[game.state.roundResults.length - 1];
+
+        logger.logGameEvent('round_ended', gameId, null, { ...roundResult, scores: game.state.scores });
+        this.emit('roundEnded', {
+            gameId,
+            round,
+            winner: roundResult.winner,
+            endReason: roundResult.endReason,
+            scores: { ...game.state.scores }
+        });
+
+        if (match.matchEnded) {
+            this.endGame(gameId, match.endReason, match.winner);
+            return;
         }
 
+        logger.logGameEvent('round_started', gameId, null, { round: game.state.currentRound });
+        this.emit('roundStarted', { gameId, round: game.state.currentRound, totalRounds: game.state.totalRounds });
+
         this.clearTurnTimer(gameId);
+        this.startTurn(gameId);
     }
 
     /**
-     * Handle game timeout
-     * @param {string} gameId - Game ID
+     * Execute an action, append it to the action log and apply its result to
+     * the game state. The action must already be validated.
+     * @param {Object} game - Game object
+     * @param {string} playerId - Player ID
+     * @param {Object} action - Action data
+     * @returns {Object} Action result
      */
-    handleGameTimeout(gameId) {
-        logger.logGameEvent('game_timeout', gameId);
-        this.endGame(gameId, 'timeout');
-    }
+    applyAction(game, playerId, action) {
+        this.recordHistory(game, 'action', playerId, action);
 
-    /**
-     * Check if game should start
-     * @param {string} gameId - Game ID
-     */
-    checkGameStart(gameId) {
-        const game = this.activeGames.get(gameId);
-        if (!game) return;
+        const result = this.executeAction(game, playerId, action);
+        game.state.gameData = result.gameData;
 
-        const readyPlayers = game.state.players.filter(p => p.ready);
-        if (readyPlayers.length >= game.config.minPlayers &&
-            readyPlayers.length === game.state.players.length) {
-            this.startGame(gameId);
+        if (result.eliminatedPlayers && result.eliminatedPlayers.length > 0) {
+            this.removeFromTurnOrder(game, result.eliminatedPlayers);
         }
-    }
 
-    /**
-     * Generate unique game ID
-     * @returns {string} Game ID
-     */
-    generateGameId() {
-        return `game_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        // Queue extra turns (haste) and skipped turns (stun) granted by the rules
+        (result.extraTurns || []).forEach((extraId) => {
+            game.state.extraTurns.push(extraId);
+        });
+        (result.skipTurns || []).forEach((skippedId) => {
+            game.state.skipTurns[skippedId] = (game.state.skipTurns[skippedId] || 0) + 1;
+        });
+
+        return result;
     }
 
     /**
-     * Initialize game data (to be overridden by specific game types)
+     * Append an entry to the game's action log
      * @param {Object} game - Game object
-     * @returns {Object} Initial game data
+     * @param {string} type - Entry type ('action', 'turn_skipped', 'simultaneous', 'draw' or a forfeit type)
+     * @param {string} playerId - Player ID
+     * @param {Object} action - Action data (actions only)
      */
-    initializeGameData(game) {
-        return {};
+    recordHistory(game, type, playerId, action = null) {
+        if (!game.state.turnHistory) {
+            game.state.turnHistory = [];
+        }
+
+        game.state.turnHistory.push({
+            type,
+            playerId,
+            action,
+            turnNumber: game.state.turnNumber,
+            round: game.state.currentRound,
+            // Generator state before the entry, so its random outcomes can be reproduced
+            seed: game.state.rng ? game.state.rng.state : null,
+            timestamp: new Date()
+        });
     }
 
     /**
-     * Validate action (to be overridden by specific game types)
+     * Rebuild a game's state after a number of action log entries by
+     * replaying the log from the game's initial config and seed
+     * @param {Object} game - Game object
+     * @param {number} step - Number of log entries to apply (defaults to all)
+     * @returns {Object} Replayed game object
+     */
+    replayGame(game, step = null) {
+        const history = game.state.turnHistory || [];
+        const targetStep = step === null ? history.length : step;
+
+        if (!Number.isInteger(targetStep) || targetStep < 0 || targetStep > history.length) {
+            throw new Error(`Replay step must be between 0 and ${history.length}`);
+        }
+
+        const startingPlayers = game.state.startingPlayers || game.state.players;
+        const replay = {
+            id: game.id,
+            config: game.config,
+            rules: game.rules,
+            maxPlayers: game.maxPlayers,
+            turnTimeLimit: game.turnTimeLimit,
+            state: {
+                status: 'active',
+                players: startingPlayers.map(p => ({ id: p.id, name: p.name })),
+                currentTurn: null,
+                turnOrder: [],
+                gameData: {},
+                rng: SeededRandom.createState(game.config.seed),
+                turnHistory: [],
+                startedAt: game.state.startedAt
+            }
+        };
+
+        this.setupGame(replay);
+
+        history.slice(0, targetStep).forEach((entry) => {
+            if (entry.type === 'turn_skipped') {
+                this.recordHistory(replay, entry.type, entry.playerId);
+                this.advanceTurn(replay);
+                return;
+            }
+
+            let result;
+            if (entry.type === 'simultaneous') {
+                result = this.applySimultaneousActions(replay, entry.action);
+            } else if (FORFEITS[entry.type]) {
+                result = this.applyForfeit(replay, entry.playerId, entry.type);
+            } else if (entry.type === 'draw') {
+                result = this.applyAgreedDraw(replay);
+            } else {
+                result = this.applyAction(replay, entry.playerId, entry.action);
+            }
+            if (result.gameEnded) {
+                const match = this.completeRound(replay, result);
+                if (match.matchEnded) {
+                    replay.state.status = 'ended';
+                    replay.state.endReason = match.endReason;
+                    replay.state.winner = match.winner;
+                }
+            } else if (result.turnComplete !== false) {
+                this.advanceTurn(replay);
+            }
+        });
+
+        // Keep the original timestamps rather than the replay's
+        replay.state.turnHistory = history.slice(0, targetStep);
+
+        return replay;
+    }
+
+    /**
+     * Get a game's state at a step of its action log
+     * @param {Object} game - Game object
+     * @param {number} step - Number of log entries to apply (defaults to all)
+     * @param {string} playerId - Player ID (for filtering private data of unfinished games)
+     * @returns {Object} Replay step
+     */
+    getReplay(game, step = null, playerId = null) {
+        const replay = this.replayGame(game, step);
+        const history = game.state.turnHistory || [];
+        const appliedSteps = replay.state.turnHistory.length;
+
+        const ended = game.state.status === 'ended';
+        const state = this.hideRandomState(replay.state, ended);
+        if (playerId && !ended) {
+            state.gameData = this.filterPrivateData(state.gameData, playerId, replay);
+        }
+
+        let entry = appliedSteps > 0 ? history[appliedSteps - 1] : null;
+        if (entry && !ended) {
+            const { seed, ...visibleEntry } = entry;
+            entry = visibleEntry;
+        }
+
+        return {
+            gameId: game.id,
+            step: appliedSteps,
+            totalSteps: history.length,
+            entry,
+            state
+        };
+    }
+
+    /**
+     * Get an active game, or rebuild a finished one from its saved record
+     * @param {string} gameId - Game ID
+     * @returns {Promise<Object|null>} Game object
+     */
+    async findGame(gameId) {
+        await this.syncGame(gameId);
+        const activeGame = this.activeGames.get(gameId);
+        if (activeGame) return activeGame;
+
+        const record = await GameState.findOne({ gameId }).lean();
+        if (!record) return null;
+
+        return this.restoreGame(record);
+    }
+
+    /**
+     * Rebuild a game object from its saved record
+     * @param {Object} record - GameState document
+     * @returns {Object} Game object
+     */
+    restoreGame(record) {
+        return {
+            id: record.gameId,
+            config: { ...record.config, gameType: record.gameType },
+            state: record.state,
+            rules: record.config.rules || {},
+            maxPlayers: record.config.maxPlayers || config.game.maxPlayersPerGame,
+            turnTimeLimit: record.config.turnTimeLimit || config.game.turnTimeLimit
+        };
+    }
+
+    /**
+     * Reload the games that were in progress when the server last stopped
+     * and resume their timers from the stored deadlines. Players who are not
+     * connected to any node count as disconnected until their socket joins again.
+     * @returns {Promise<Array>} IDs of the recovered games
+     */
+    async recoverGames() {
+        const records = await GameState.find({ 'state.status': { $in: RECOVERABLE_STATUSES } }).lean();
+        const recovered = [];
+
+        for (const record of records) {
+            if (this.activeGames.has(record.gameId)) continue;
+
+            try {
+                await this.withGameLock(record.gameId, async () => {
+                    // A shared store may hold a newer copy than the database
+                    if (!this.activeGames.has(record.gameId)) {
+                        const game = this.restoreGame(record);
+                        this.registry.get(game.config.gameType);
+                        this.activeGames.set(game.id, game);
+                        this.restoreTimers(game);
+                    }
+
+                    // Sockets that dropped with the old server are not connected anywhere
+                    const game = this.activeGames.get(record.gameId);
+                    for (const player of game.state.players.filter(p => p.connected)) {
+                        if (!await this.store.getPresence(player.id)) {
+                            this.disconnectPlayer(game.id, player.id);
+                        }
+                    }
+                });
+                recovered.push(record.gameId);
+
+                logger.logGameEvent('game_recovered', record.gameId, null, { status: record.state.status });
+            } catch (error) {
+                this.clearGameTimers(record.gameId);
+                this.clearReconnectTimers(record.gameId);
+                this.activeGames.delete(record.gameId);
+                logger.error(`Failed to recover game ${record.gameId}:`, error);
+            }
+        }
+
+        logger.logDatabaseOperation('recover', 'GameState', `${recovered.length} games`);
+        return recovered;
+    }
+
+    /**
+     * Restart a recovered game's timers from its stored deadlines. Deadlines
+     * that passed in the meantime fire straight away.
+     * @param {Object} game - Game object
+     */
+    restoreTimers(game) {
+        const { state } = game;
+        const now = Date.now();
+        const remaining = deadline => Math.max(new Date(deadline).getTime() - now, 0);
+
+        // Paused games keep their timers frozen until they resume
+        if (state.status !== 'paused') {
+            this.setGameTimeout(game.id, state.gameDeadline ? remaining(state.gameDeadline) : undefined);
+        }
+
+        if (state.status === 'active') {
+            if (state.turnDeadline) {
+                this.setTurnTimer(game.id, remaining(state.turnDeadline));
+            }
+            if (state.pendingTakeback && state.pendingTakeback.expiresAt) {
+                this.setTakebackTimer(game.id, remaining(state.pendingTakeback.expiresAt));
+            }
+        }
+
+        state.players.forEach((player) => {
+            if (!player.connected && player.reconnectDeadline) {
+                this.setReconnectTimer(game.id, player.id, remaining(player.reconnectDeadline));
+            }
+        });
+    }
+
+    /**
+     * Run an engine call on a game under the game's store lock. With a
+     * shared store the game's latest state is loaded first and saved for
+     * the other nodes afterwards; in-process games need no lock, as engine
+     * calls are synchronous.
+     * @param {string} gameId - Game ID
+     * @param {Function} fn - Engine call
+     * @param {Object} options - Options ({ readOnly } for calls that leave the game unchanged)
+     * @returns {Promise<*>} The call's result
+     */
+    async withGameLock(gameId, fn, options = {}) {
+        if (!this.store.shared) {
+            return fn();
+        }
+
+        const token = await this.store.acquireLock(gameId);
+        this.lockedGames.add(gameId);
+        try {
+            await this.syncGame(gameId);
+            const result = await fn();
+
+            const game = this.activeGames.get(gameId);
+            if (game && !options.readOnly) {
+                await this.store.saveGame(game);
+            }
+            return result;
+        } finally {
+            this.lockedGames.delete(gameId);
+            await this.store.releaseLock(gameId, token);
+        }
+    }
+
+    /**
+     * Replace this node's copy of a game when another node saved a newer one
+     * @param {string} gameId - Game ID
+     * @returns {Promise<boolean>} Whether the game was reloaded
+     */
+    async syncGame(gameId) {
+        const game = await this.store.loadGame(gameId);
+        if (!game) return false;
+
+        // Durable timers are shared by every node already
+        if (this.timers.durable) {
+            this.activeGames.set(gameId, game);
+            return true;
+        }
+
+        this.clearGameTimers(gameId);
+        this.clearReconnectTimers(gameId);
+        this.activeGames.set(gameId, game);
+        if (RECOVERABLE_STATUSES.includes(game.state.status)) {
+            this.restoreTimers(game);
+        }
+
+        return true;
+    }
+
+    /**
+     * Run a timer's handler. With a shared store it runs under the game's
+     * lock, and is dropped when another node has moved the game on since
+     * the timer was set; that node's copy of the timer takes over.
+     * @param {string} gameId - Game ID
+     * @param {Function} handler - Timer handler
+     */
+    runTimer(gameId, handler) {
+        if (!this.store.shared) {
+            handler();
+            return;
+        }
+
+        const game = this.activeGames.get(gameId);
+        this.withGameLock(gameId, () => {
+            if (this.activeGames.get(gameId) === game) {
+                handler();
+            }
+        }).catch((error) => {
+            logger.error(`Timer failed for game ${gameId}:`, error);
+        });
+    }
+
+    /**
+     * Fire a timer set through the timer service. Durable timers fire on
+     * whichever node claims them, so they run under the game's lock against
+     * its latest state, and only if the game still has the timer due: a
+     * timer that was cleared after it was claimed is dropped, and one that
+     * was set again is put back with its new deadline.
+     * @param {Object} timer - Timer ({ type, gameId, playerId })
+     * @returns {Promise|undefined} Resolves once a durable timer has run
+     */
+    fireTimer(timer) {
+        if (!this.timers.durable) {
+            this.runTimer(timer.gameId, () => this.handleTimer(timer));
+            return undefined;
+        }
+
+        return this.withGameLock(timer.gameId, () => {
+            const deadline = this.getTimerDeadline(timer);
+            if (deadline === null) return;
+
+            if (deadline > Date.now()) {
+                this.timers.schedule(timer, deadline);
+                return;
+            }
+
+            this.handleTimer(timer);
+        }).catch((error) => {
+            // Try again on the next sweep
+            logger.error(`Timer failed for game ${timer.gameId}:`, error);
+            this.timers.schedule(timer, Date.now());
+        });
+    }
+
+    /**
+     * Run a timer's handler
+     * @param {Object} timer - Timer ({ type, gameId, playerId })
+     */
+    handleTimer({ type, gameId, playerId }) {
+        switch (type) {
+            case 'turn': {
+                const game = this.activeGames.get(gameId);
+                this.handleTurnTimeout(gameId);
+                if (game) {
+                    this.persistGame(game);
+                }
+                break;
+            }
+            case 'game': {
+                const game = this.activeGames.get(gameId);
+                this.handleGameTimeout(gameId);
+                if (game) {
+                    this.persistGame(game);
+                }
+                break;
+            }
+            case 'takeback':
+                this.resolveTakeback(gameId, false, 'timeout');
+                break;
+            case 'reconnect':
+                this.handleReconnectTimeout(gameId, playerId);
+                break;
+            default:
+                logger.warn(`Unknown timer type: ${type}`);
+        }
+    }
+
+    /**
+     * Get the deadline a game currently has for a timer
+     * @param {Object} timer - Timer ({ type, gameId, playerId })
+     * @returns {number|null} Deadline in ms since the epoch, or null when the game has no such timer running
+     */
+    getTimerDeadline({ type, gameId, playerId }) {
+        const game = this.activeGames.get(gameId);
+        if (!game) return null;
+
+        const { state } = game;
+        const running = state.status === 'waiting' || state.status === 'active';
+        const toTime = deadline => (deadline ? new Date(deadline).getTime() : null);
+
+        switch (type) {
+            case 'turn':
+                return state.status === 'active' ? toTime(state.turnDeadline) : null;
+            case 'game':
+                return running ? toTime(state.gameDeadline) : null;
+            case 'takeback':
+                return state.status === 'active' && state.pendingTakeback ? toTime(state.pendingTakeback.expiresAt) : null;
+            case 'reconnect': {
+                const player = state.players.find(p => String(p.id) === String(playerId));
+                return player && !player.connected ? toTime(player.reconnectDeadline) : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Get current game state
+     * @param {string} gameId - Game ID
+     * @param {string} playerId - Player ID (for filtering private data)
+     * @returns {Object} Game state
+     */
+    getGameState(gameId, playerId = null) {
+        const game = this.activeGames.get(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        const state = this.hideRandomState(game.state, game.state.status === 'ended');
+        delete state.idempotencyKeys;
+
+        // Committed actions stay hidden until the turn resolves
+        if (state.pendingActions) {
+            const { pendingActions } = state;
+            state.committedPlayers = Object.keys(pendingActions);
+            state.pendingActions = playerId && pendingActions[playerId] !== undefined
+                ? { [playerId]: pendingActions[playerId] }
+                : {};
+        }
+
+        // Clocks show the time left right now, including the running turn
+        if (state.clocks) {
+            state.clocks = this.getClockTimes(game);
+        }
+
+        // Filter private data based on player
+        if (playerId) {
+            state.gameData = this.filterPrivateData(state.gameData, playerId, game);
+        }
+
+        return state;
+    }
+
+    /**
+     * Get a player's view of a game as JSON, with the patch that brings an
+     * earlier view of theirs up to date
+     * @param {string} gameId - Game ID
+     * @param {string} playerId - Player ID (for filtering private data)
+     * @param {Object} baseState - The player's earlier view (optional)
+     * @returns {Object} { version, state, patch }, where patch is null without a base view
+     */
+    getGameStatePatch(gameId, playerId, baseState = null) {
+        const state = JSON.parse(JSON.stringify(this.getGameState(gameId, playerId)));
+
+        return {
+            version: state.version || 0,
+            state,
+            patch: baseState ? createPatch(baseState, state) : null
+        };
+    }
+
+    /**
+     * Copy game state without the generator state, which would let players
+     * predict upcoming random outcomes while the game is running
+     * @param {Object} gameState - Game state
+     * @param {boolean} ended - Whether the game has ended
+     * @returns {Object} Game state without generator state
+     */
+    hideRandomState(gameState, ended) {
+        const { rng, ...state } = gameState;
+        if (!ended && state.turnHistory) {
+            state.turnHistory = state.turnHistory.map(({ seed, ...entry }) => entry);
+        }
+        return state;
+    }
+
+    /**
+     * Move a game to another status. Every status change goes through here,
+     * so illegal ones are rejected and listeners (such as the game's room)
+     * hear about each one.
+     * @param {Object} game - Game object
+     * @param {string} status - New status
+     */
+    transitionGame(game, status) {
+        const from = game.state.status;
+        assertTransition(from, status);
+
+        game.state.status = status;
+        game.state.updatedAt = new Date();
+
+        this.emit('gameStatusChanged', { gameId: game.id, roomId: game.config.roomId, from, to: status });
+    }
+
+    /**
+     * End a game. Games that never started are cancelled rather than ended.
+     * @param {string} gameId - Game ID
+     * @param {string} reason - End reason
+     * @param {string} winner - Winner ID (optional)
+     */
+    endGame(gameId, reason, winner = null) {
+        const game = this.activeGames.get(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        this.transitionGame(game, getFinishStatus(game.state.status));
+        this.stopClock(game);
+        game.state.endedAt = new Date();
+        game.state.endReason = reason;
+        game.state.winner = winner;
+        game.state.pendingTakeback = null;
+        game.state.drawOffer = null;
+        game.state.updatedAt = new Date();
+
+        // Clear timers
+        this.clearGameTimers(gameId);
+        this.clearReconnectTimers(gameId);
+
+        // Give the game its final version; the caller's persistGame saves it
+        bumpVersion(game);
+        this.emit('gameStateChanged', { gameId, version: game.state.version });
+
+        logger.logGameEvent('game_ended', gameId, null, { reason, winner });
+
+        // Emit game end event
+        this.emit('gameEnded', { gameId, reason, winner, gameState: game.state });
+
+        // Remove from active games after a delay
+        setTimeout(() => {
+            this.activeGames.delete(gameId);
+        }, 60000); // Keep for 1 minute after ending
+    }
+
+    /**
+     * Remove players from the turn order while keeping them in the game
+     * @param {string} gameId - Game ID
+     * @param {Array} playerIds - Eliminated player IDs
+     */
+    eliminatePlayers(gameId, playerIds) {
+        const game = this.activeGames.get(gameId);
+        if (!game) return;
+
+        this.removeFromTurnOrder(game, playerIds);
+        game.state.updatedAt = new Date();
+
+        playerIds.forEach((playerId) => {
+            logger.logGameEvent('player_eliminated', gameId, playerId);
+        });
+    }
+
+    /**
+     * Remove players from a game's turn order
+     * @param {Object} game - Game object
+     * @param {Array} playerIds - Player IDs
+     */
+    removeFromTurnOrder(game, playerIds) {
+        const removed = playerIds.map(String);
+        const { turnOrder, currentTurn } = game.state;
+
+        // Remember the current player's seat so the player after them moves next
+        const currentIndex = turnOrder.findIndex(id => String(id) === String(currentTurn));
+        if (currentIndex !== -1 && removed.includes(String(currentTurn))) {
+            game.state.vacatedSeat = turnOrder.slice(0, currentIndex).filter(id => !removed.includes(String(id))).length;
+        }
+
+        game.state.turnOrder = turnOrder.filter(id => !removed.includes(String(id)));
+    }
+
+    /**
+     * Pause an active game. The host pauses it at once; other players vote
+     * and the game pauses when every player still in the turn order agrees.
+     * @param {string} gameId - Game ID
+     * @param {string} playerId - Player ID
+     * @returns {Object} Pause status ({ paused, votes, required })
+     */
+    pauseGame(gameId, playerId) {
+        const game = this.activeGames.get(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        if (game.state.status !== 'active') {
+            throw new GameStateError('Game is not active', game.state.status, 'paused');
+        }
+
+        const vote = this.castPauseVote(game, playerId, 'pause');
+        if (!vote.passed) {
+            this.persistGame(game);
+            return { paused: false, votes: vote.votes, required: vote.required };
+        }
+
+        // Freeze timers, keeping the time left on them
+        const now = Date.now();
+        const { turnDeadline } = game.state;
+        this.transitionGame(game, 'paused');
+        game.state.pause = {
+            pausedBy: playerId,
+            pausedAt: new Date(now),
+            turnTimeRemaining: turnDeadline ? Math.max(turnDeadline - now, 0) : undefined,
+            gameTimeRemaining: Math.max(game.state.gameDeadline - now, 0)
+        };
+        game.state.pauseVote = null;
+        game.state.updatedAt = new Date();
+
+        this.clearGameTimers(gameId);
+        this.persistGame(game);
+
+        logger.logGameEvent('game_paused', gameId, playerId);
+        this.emit('gamePaused', { gameId, playerId, pause: game.state.pause });
+
+        return { paused: true, votes: vote.votes, required: vote.required };
+    }
+
+    /**
+     * Resume a paused game, by the host or by unanimous vote
+     * @param {string} gameId - Game ID
+     * @param {string} playerId - Player ID
+     * @returns {Object} Resume status ({ resumed, votes, required })
+     */
+    resumeGame(gameId, playerId) {
+        const game = this.activeGames.get(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        if (game.state.status !== 'paused') {
+            throw new GameStateError('Game is not paused', game.state.status, 'active');
+        }
+
+        const vote = this.castPauseVote(game, playerId, 'resume');
+        if (!vote.passed) {
+            this.persistGame(game);
+            return { resumed: false, votes: vote.votes, required: vote.required };
+        }
+
+        const { pause } = game.state;
+        const pausedFor = Date.now() - new Date(pause.pausedAt).getTime();
+        this.transitionGame(game, 'active');
+        game.state.pause = null;
+        game.state.pauseVote = null;
+        game.state.updatedAt = new Date();
+
+        // Restart timers with the time that was left when the game paused,
+        // and leave the paused time off the running clock
+        this.setGameTimeout(gameId, pause.gameTimeRemaining);
+        if (pause.turnTimeRemaining !== undefined) {
+            this.setTurnTimer(gameId, pause.turnTimeRemaining);
+        }
+        if (game.state.turnStartedAt) {
+            game.state.turnStartedAt += pausedFor;
+        }
+        this.persistGame(game);
+
+        logger.logGameEvent('game_resumed', gameId, playerId, { pausedFor });
+        this.emit('gameResumed', { gameId, playerId });
+
+        return { resumed: true, votes: vote.votes, required: vote.required };
+    }
+
+    /**
+     * Record a player's vote to pause or resume a game
+     * @param {Object} game - Game object
+     * @param {string} playerId - Player ID
+     * @param {string} action - 'pause' or 'resume'
+     * @returns {Object} Vote status ({ passed, votes, required })
+     */
+    castPauseVote(game, playerId, action) {
+        const isHost = game.config.createdBy !== undefined && String(game.config.createdBy) === String(playerId);
+        const isPlayer = game.state.turnOrder.some(id => String(id) === String(playerId));
+        if (!isHost && !isPlayer) {
+            throw new Error('Player not found in game');
+        }
+
+        const required = game.state.turnOrder.length;
+        if (isHost) {
+            return { passed: true, votes: [playerId], required };
+        }
+
+        // A vote for the other action starts a new vote
+        if (!game.state.pauseVote || game.state.pauseVote.action !== action) {
+            game.state.pauseVote = { action, votes: [] };
+        }
+
+        const { votes } = game.state.pauseVote;
+        if (!votes.some(id => String(id) === String(playerId))) {
+            votes.push(playerId);
+        }
+
+        const passed = game.state.turnOrder.every(id => votes.some(voterId => String(voterId) === String(id)));
+        if (!passed) {
+            logger.logGameEvent('pause_vote', game.id, playerId, { action, votes: votes.length, required });
+            this.emit('pauseVote', { gameId: game.id, playerId, action, votes: [...votes], required });
+        }
+
+        return { passed, votes: [...votes], required };
+    }
+
+    /**
+     * Resign from a game. With two players the opponent wins; in larger
+     * games the player drops out and the others play on.
+     * @param {string} gameId - Game ID
+     * @param {string} playerId - Player ID
+     * @returns {Object} Forfeit result ({ gameEnded, endReason, winner })
+     */
+    resign(gameId, playerId) {
+        const game = this.activeGames.get(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        if (game.state.status !== 'active') {
+            throw new Error('Game is not active');
+        }
+
+        if (!game.state.turnOrder.some(id => String(id) === String(playerId))) {
+            throw new Error('Player not found in game');
+        }
+
+        if (game.state.drawOffer) {
+            this.resolveDrawOffer(gameId, false, 'cancelled');
+        }
+
+        return this.forfeitPlayer(gameId, playerId, 'resign');
+    }
+
+    /**
+     * Offer a draw to the other players
+     * @param {string} gameId - Game ID
+     * @param {string} playerId - Player ID
+     * @returns {Object} Draw offer
+     */
+    offerDraw(gameId, playerId) {
+        const game = this.activeGames.get(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        if (game.state.status !== 'active') {
+            throw new Error('Game is not active');
+        }
+
+        if (game.state.drawOffer) {
+            throw new Error('A draw offer is already pending');
+        }
+
+        if (!game.state.turnOrder.some(id => String(id) === String(playerId))) {
+            throw new Error('Player not found in game');
+        }
+
+        const drawOffer = {
+            offeredBy: playerId,
+            approvals: [playerId],
+            offeredAt: new Date()
+        };
+        game.state.drawOffer = drawOffer;
+        game.state.updatedAt = new Date();
+        this.persistGame(game);
+
+        logger.logGameEvent('draw_offered', gameId, playerId);
+        this.emit('drawOffered', { gameId, playerId, drawOffer });
+
+        return drawOffer;
+    }
+
+    /**
+     * Accept or decline a pending draw offer. The game is drawn once every
+     * player still in the turn order has accepted; a single decline rejects it.
+     * @param {string} gameId - Game ID
+     * @param {string} playerId - Responding player ID
+     * @param {boolean} accept - Whether the player accepts
+     * @returns {Object} Draw offer status ({ resolved, accepted })
+     */
+    respondToDraw(gameId, playerId, accept) {
+        const game = this.activeGames.get(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        const { drawOffer } = game.state;
+        if (!drawOffer) {
+            throw new Error('No draw offer is pending');
+        }
+
+        if (String(drawOffer.offeredBy) === String(playerId)) {
+            throw new Error('Players cannot respond to their own draw offer');
+        }
+
+        if (!game.state.turnOrder.some(id => String(id) === String(playerId))) {
+            throw new Error('Player not found in game');
+        }
+
+        logger.logGameEvent('draw_response', gameId, playerId, { accept });
+
+        if (!accept) {
+            this.resolveDrawOffer(gameId, false, 'declined');
+            this.persistGame(game);
+            return { resolved: true, accepted: false };
+        }
+
+        if (!drawOffer.approvals.some(id => String(id) === String(playerId))) {
+            drawOffer.approvals.push(playerId);
+        }
+
+        const waitingFor = game.state.turnOrder.filter(id =>
+            !drawOffer.approvals.some(approvedId => String(approvedId) === String(id))
+        );
+        if (waitingFor.length > 0) {
+            this.persistGame(game);
+            return { resolved: false, accepted: false };
+        }
+
+        this.resolveDrawOffer(gameId, true, 'accepted');
+        this.persistGame(game);
+        return { resolved: true, accepted: true };
+    }
+
+    /**
+     * Decline a pending draw offer for a player who acts instead of answering it
+     * @param {Object} game - Game object
+     * @param {string} playerId - Player ID
+     */
+    lapseDrawOffer(game, playerId) {
+        const { drawOffer } = game.state;
+        if (drawOffer && !drawOffer.approvals.some(id => String(id) === String(playerId))) {
+            this.resolveDrawOffer(game.id, false, 'declined');
+        }
+    }
+
+    /**
+     * Resolve a pending draw offer, ending the round in a draw when accepted
+     * @param {string} gameId - Game ID
+     * @param {boolean} accepted - Whether the draw was agreed
+     * @param {string} reason - Resolution reason ('accepted', 'declined' or 'cancelled')
+     */
+    resolveDrawOffer(gameId, accepted, reason) {
+        const game = this.activeGames.get(gameId);
+        if (!game || !game.state.drawOffer) return;
+
+        const drawOffer = game.state.drawOffer;
+        game.state.drawOffer = null;
+        game.state.updatedAt = new Date();
+
+        logger.logGameEvent('draw_resolved', gameId, drawOffer.offeredBy, { accepted, reason });
+        this.emit('drawResolved', { gameId, playerId: drawOffer.offeredBy, accepted, reason });
+
+        if (accepted) {
+            this.finishRound(gameId, this.applyAgreedDraw(game));
+        }
+    }
+
+    /**
+     * Append an agreed draw to the action log
+     * @param {Object} game - Game object
+     * @returns {Object} Action result
+     */
+    applyAgreedDraw(game) {
+        this.recordHistory(game, 'draw', null);
+        return { gameEnded: true, endReason: 'draw', winner: null };
+    }
+
+    /**
+     * Offer the players of a finished game a rematch
+     * @param {string} gameId - Game ID
+     * @param {string} playerId - Player ID
+     * @param {boolean} swapFirstPlayer - Whether the second player moves first in the rematch
+     * @returns {Object} Rematch offer
+     */
+    offerRematch(gameId, playerId, swapFirstPlayer = false) {
+        const game = this.activeGames.get(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        if (game.state.status !== 'ended') {
+            throw new Error('Game has not ended');
+        }
+
+        if (game.state.rematchGameId) {
+            throw new Error('A rematch has already been created');
+        }
+
+        if (game.state.rematchOffer) {
+            throw new Error('A rematch offer is already pending');
+        }
+
+        if (!game.state.players.some(p => String(p.id) === String(playerId))) {
+            throw new Error('Player not found in game');
+        }
+
+        if (game.state.players.length < game.config.minPlayers) {
+            throw new Error('Not enough players for a rematch');
+        }
+
+        const rematchOffer = {
+            offeredBy: playerId,
+            approvals: [playerId],
+            swapFirstPlayer,
+            offeredAt: new Date()
+        };
+        game.state.rematchOffer = rematchOffer;
+        this.persistGame(game);
+
+        logger.logGameEvent('rematch_offered', gameId, playerId, { swapFirstPlayer });
+        this.emit('rematchOffered', { gameId, playerId, rematchOffer });
+
+        return rematchOffer;
+    }
+
+    /**
+     * Accept or decline a rematch offer. The rematch starts once every
+     * player of the finished game has accepted; a single decline rejects it.
+     * @param {string} gameId - Game ID
+     * @param {string} playerId - Responding player ID
+     * @param {boolean} accept - Whether the player accepts
+     * @returns {Object} Rematch status ({ resolved, accepted, rematchGameId })
+     */
+    respondToRematch(gameId, playerId, accept) {
+        const game = this.activeGames.get(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        const { rematchOffer } = game.state;
+        if (!rematchOffer) {
+            throw new Error('No rematch offer is pending');
+        }
+
+        if (!game.state.players.some(p => String(p.id) === String(playerId))) {
+            throw new Error('Player not found in game');
+        }
+
+        logger.logGameEvent('rematch_response', gameId, playerId, { accept });
+
+        if (!accept) {
+            game.state.rematchOffer = null;
+            this.persistGame(game);
+            this.emit('rematchResolved', { gameId, playerId: rematchOffer.offeredBy, accepted: false, rematchGameId: null });
+            return { resolved: true, accepted: false, rematchGameId: null };
+        }
+
+        if (!rematchOffer.approvals.some(id => String(id) === String(playerId))) {
+            rematchOffer.approvals.push(playerId);
+        }
+
+        const waitingFor = game.state.players.filter(p =>
+            !rematchOffer.approvals.some(approvedId => String(approvedId) === String(p.id))
+        );
+        if (waitingFor.length > 0) {
+            this.persistGame(game);
+            return { resolved: false, accepted: false, rematchGameId: null };
+        }
+
+        game.state.rematchOffer = null;
+        const rematch = this.createRematch(game, rematchOffer.swapFirstPlayer);
+
+        this.emit('rematchResolved', {
+            gameId,
+            playerId: rematchOffer.offeredBy,
+            accepted: true,
+            rematchGameId: rematch.id,
+            roomId: game.config.roomId
+        });
+
+        return { resolved: true, accepted: true, rematchGameId: rematch.id };
+    }
+
+    /**
+     * Start a new game with a finished game's config and players, linked to it
+     * @param {Object} game - Finished game object
+     * @param {boolean} swapFirstPlayer - Whether the second player moves first
+     * @returns {Object} Rematch game instance
+     */
+    createRematch(game, swapFirstPlayer) {
+        // A fresh seed, so the rematch does not repeat the same random outcomes
+        const { seed, ...rematchConfig } = game.config;
+        let players = game.state.players.map(p => ({ id: p.id, name: p.name }));
+
+        // Rotate the base order so the second player moves first, which also
+        // swaps colours/marks assigned by turn order. Initiative orders decide
+        // the first player themselves.
+        const strategy = rematchConfig.turnOrderStrategy || 'random';
+        if (swapFirstPlayer && ['join', 'random'].includes(strategy)) {
+            const order = (game.state.initialTurnOrder || players.map(p => p.id))
+                .map(id => players.find(p => String(p.id) === String(id)))
+                .filter(Boolean);
+            players = [...order.slice(1), order[0]];
+            rematchConfig.turnOrderStrategy = 'join';
+        }
+
+        const rematch = this.createGame({ ...rematchConfig, previousGameId: game.id });
+        players.forEach(player => this.addPlayer(rematch.id, player));
+        this.startGame(rematch.id);
+
+        game.state.rematchGameId = rematch.id;
+        this.persistGame(game);
+
+        logger.logGameEvent('rematch_created', game.id, null, { rematchGameId: rematch.id });
+
+        return rematch;
+    }
+
+    /**
+     * Check whether a game allows takebacks. Ranked games never do; other
+     * games opt in with the allowTakeback rule.
+     * @param {Object} game - Game object
+     * @returns {boolean} Whether takebacks are allowed
+     */
+    canTakeback(game) {
+        return !game.config.ranked && Boolean(game.rules && game.rules.allowTakeback);
+    }
+
+    /**
+     * Ask the other players to undo a player's last action
+     * @param {string} gameId - Game ID
+     * @param {string} playerId - Requesting player ID
+     * @returns {Object} Pending takeback
+     */
+    requestTakeback(gameId, playerId) {
+        const game = this.activeGames.get(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        if (game.state.status !== 'active') {
+            throw new Error('Game is not active');
+        }
+
+        if (!this.canTakeback(game)) {
+            throw new Error('Takebacks are not allowed in this game');
+        }
+
+        if (game.state.pendingTakeback) {
+            throw new Error('A takeback request is already pending');
+        }
+
+        if (!game.state.players.some(p => String(p.id) === String(playerId))) {
+            throw new Error('Player not found in game');
+        }
+
+        const history = game.state.turnHistory || [];
+        let step = history.length - 1;
+        while (step >= 0 && !(history[step].type === 'action' && String(history[step].playerId) === String(playerId))) {
+            step--;
+        }
+        if (step < 0) {
+            throw new Error('No action to take back');
+        }
+
+        const timeout = game.rules.takebackTimeout || TAKEBACK_TIMEOUT;
+        const takeback = {
+            requestedBy: playerId,
+            step,
+            approvals: [],
+            requestedAt: new Date(),
+            expiresAt: new Date(Date.now() + timeout)
+        };
+        game.state.pendingTakeback = takeback;
+        game.state.updatedAt = new Date();
+
+        this.setTakebackTimer(gameId, timeout);
+        this.persistGame(game);
+
+        logger.logGameEvent('takeback_requested', gameId, playerId, { step });
+        this.emit('takebackRequested', { gameId, playerId, takeback });
+
+        return takeback;
+    }
+
+    /**
+     * Accept or decline a pending takeback. The takeback is applied once
+     * every other player has accepted; a single decline rejects it.
+     * @param {string} gameId - Game ID
+     * @param {string} playerId - Responding player ID
+     * @param {boolean} accept - Whether the player accepts
+     * @returns {Object} Takeback status ({ resolved, accepted })
+     */
+    respondToTakeback(gameId, playerId, accept) {
+        const game = this.activeGames.get(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        const takeback = game.state.pendingTakeback;
+        if (!takeback) {
+            throw new Error('No takeback request is pending');
+        }
+
+        if (String(takeback.requestedBy) === String(playerId)) {
+            throw new Error('Players cannot respond to their own takeback request');
+        }
+
+        if (!game.state.turnOrder.some(id => String(id) === String(playerId))) {
+            throw new Error('Player not found in game');
+        }
+
+        logger.logGameEvent('takeback_response', gameId, playerId, { accept });
+
+        if (!accept) {
+            this.resolveTakeback(gameId, false, 'declined');
+            return { resolved: true, accepted: false };
+        }
+
+        if (!takeback.approvals.some(id => String(id) === String(playerId))) {
+            takeback.approvals.push(playerId);
+        }
+
+        // Every opponent still in the turn order has to agree
+        const waitingFor = game.state.turnOrder.filter(id =>
+            String(id) !== String(takeback.requestedBy) &&
+            !takeback.approvals.some(approvedId => String(approvedId) === String(id))
+        );
+        if (waitingFor.length > 0) {
+            this.persistGame(game);
+            return { resolved: false, accepted: false };
+        }
+
+        this.resolveTakeback(gameId, true, 'accepted');
+        return { resolved: true, accepted: true };
+    }
+
+    /**
+     * Resolve a pending takeback, rolling the game back when accepted
+     * @param {string} gameId - Game ID
+     * @param {boolean} accepted - Whether the takeback was accepted
+     * @param {string} reason - Resolution reason ('accepted', 'declined' or 'timeout')
+     */
+    resolveTakeback(gameId, accepted, reason) {
+        const game = this.activeGames.get(gameId);
+        if (!game || !game.state.pendingTakeback) return;
+
+        const takeback = game.state.pendingTakeback;
+        game.state.pendingTakeback = null;
+        this.clearTakebackTimer(gameId);
+
+        if (accepted) {
+            this.rollBack(game, takeback.step);
+        }
+
+        logger.logGameEvent('takeback_resolved', gameId, takeback.requestedBy, { accepted, reason });
+        this.emit('takebackResolved', {
+            gameId,
+            playerId: takeback.requestedBy,
+            accepted,
+            reason,
+            step: takeback.step
+        });
+
+        if (accepted) {
+            this.startTurn(gameId);
+        }
+        this.persistGame(game);
+    }
+
+    /**
+     * Roll a game back to a step of its action log
+     * @param {Object} game - Game object
+     * @param {number} step - Number of log entries to keep
+     */
+    rollBack(game, step) {
+        // Time spent on the turn being taken back still counts
+        this.stopClock(game, false);
+        const replay = this.replayGame(game, step);
+
+        [
+            'turnOrder', 'currentTurn', 'pendingActions', 'extraTurns', 'skipTurns', 'turnGauges',
+            'currentRound', 'scores', 'roundResults', 'turnNumber', 'gameData', 'rng', 'turnHistory'
+        ].forEach((field) => {
+            game.state[field] = replay.state[field];
+        });
+        game.state.updatedAt = new Date();
+
+        this.clearTurnTimer(game.id);
+    }
+
+    /**
+     * Set the timer that declines a pending takeback nobody answered
+     * @param {string} gameId - Game ID
+     * @param {number} duration - Time until the takeback is declined
+     */
+    setTakebackTimer(gameId, duration) {
+        this.timers.schedule({ type: 'takeback', gameId }, Date.now() + duration);
+    }
+
+    /**
+     * Clear takeback timer
+     * @param {string} gameId - Game ID
+     */
+    clearTakebackTimer(gameId) {
+        this.timers.cancel({ type: 'takeback', gameId });
+    }
+
+    /**
+     * Generate the base turn order with the game's turn order strategy
+     * @param {Object} game - Game object
+     * @returns {Array} Turn order
+     */
+    generateTurnOrder(game) {
+        const playerIds = game.state.players.map(p => p.id);
+        return this.getTurnOrderStrategy(game).createOrder(game, playerIds, this.getTurnOrderContext(game));
+    }
+
+    /**
+     * Get the turn order strategy for a game
+     * @param {Object} game - Game object
+     * @returns {TurnOrderStrategy} Strategy
+     */
+    getTurnOrderStrategy(game) {
+        return turnOrderStrategies.getStrategy(game.config.turnOrderStrategy);
+    }
+
+    /**
+     * Get the context turn order strategies work with
+     * @param {Object} game - Game object
+     * @returns {Object} Strategy context ({ random, getInitiative })
+     */
+    getTurnOrderContext(game) {
+        const rules = this.getRules(game);
+        return {
+            random: this.getRandom(game),
+            getInitiative: playerId => (typeof rules.getInitiative === 'function' ? rules.getInitiative(game, playerId) : 0)
+        };
+    }
+
+    /**
+     * Get the seeded random number generator for a game
+     * @param {Object} game - Game object
+     * @returns {SeededRandom} Generator
+     */
+    getRandom(game) {
+        return SeededRandom.forGame(game);
+    }
+
+    /**
+     * Start a turn
+     * @param {string} gameId - Game ID
+     */
+    startTurn(gameId) {
+        const game = this.activeGames.get(gameId);
+        if (!game) return;
+
+        if (this.isSimultaneous(game)) {
+            this.setTurnTimer(gameId);
+
+            logger.logGameEvent('turn_started', gameId, null, { turnNumber: game.state.turnNumber });
+
+            // Every player in the turn order acts this turn
+            this.emit('turnStarted', { gameId, playerId: null, playerIds: [...game.state.turnOrder] });
+            return;
+        }
+
+        const currentPlayer = game.state.players.find(p => p.id === game.state.currentTurn);
+        if (!currentPlayer) return;
+
+        // Run the player's clock, the bot's move delay or the turn time limit
+        game.state.turnStartedAt = Date.now();
+        this.setTurnTimer(gameId, this.getTurnDuration(game));
+
+        logger.logGameEvent('turn_started', gameId, game.state.currentTurn);
+
+        // Emit turn start event
+        this.emit('turnStarted', {
+            gameId,
+            playerId: game.state.currentTurn,
+            clocks: this.getClockTimes(game) || undefined
+        });
+    }
+
+    /**
+     * Move to next turn
+     * @param {string} gameId - Game ID
+     */
+    nextTurn(gameId) {
+        const game = this.activeGames.get(gameId);
+        if (!game) return;
+
+        // Clear current turn timer
+        this.clearTurnTimer(gameId);
+        this.stopClock(game);
+
+        const skipped = this.advanceTurn(game);
+        skipped.forEach((playerId) => {
+            logger.logGameEvent('turn_skipped', gameId, playerId);
+            this.emit('turnSkipped', { gameId, playerId });
+        });
+
+        // Start next turn
+        this.startTurn(gameId);
+    }
+
+    /**
+     * Pass the turn to the next player. Extra turns granted by the rules
+     * come first; players with skipped turns are passed over.
+     * @param {Object} game - Game object
+     * @returns {Array} IDs of players whose turn was skipped
+     */
+    advanceTurn(game) {
+        game.state.turnNumber += 1;
+        if (this.isSimultaneous(game)) {
+            return [];
+        }
+
+        const { extraTurns, skipTurns } = game.state;
+        const inTurnOrder = playerId => game.state.turnOrder.some(id => String(id) === String(playerId));
+
+        while (extraTurns.length > 0) {
+            const playerId = extraTurns.shift();
+            if (inTurnOrder(playerId)) {
+                game.state.currentTurn = game.state.turnOrder.find(id => String(id) === String(playerId));
+                return [];
+            }
+        }
+
+        const strategy = this.getTurnOrderStrategy(game);
+        const context = this.getTurnOrderContext(game);
+        const skipped = [];
+        let nextId = strategy.nextPlayer(game, context);
+
+        while (skipTurns[nextId] > 0) {
+            skipTurns[nextId] -= 1;
+            if (skipTurns[nextId] === 0) {
+                delete skipTurns[nextId];
+            }
+            skipped.push(nextId);
+            game.state.currentTurn = nextId;
+            nextId = strategy.nextPlayer(game, context);
+        }
+
+        game.state.currentTurn = nextId;
+        return skipped;
+    }
+
+    /**
+     * Set turn timer
+     * @param {string} gameId - Game ID
+     * @param {number} duration - Time until the turn times out (defaults to the turn time limit)
+     */
+    setTurnTimer(gameId, duration) {
+        this.clearTurnTimer(gameId);
+
+        const game = this.activeGames.get(gameId);
+        if (!game) return;
+
+        const timeLimit = duration === undefined ? game.turnTimeLimit : duration;
+        game.state.turnDeadline = Date.now() + timeLimit;
+
+        this.timers.schedule({ type: 'turn', gameId }, game.state.turnDeadline);
+    }
+
+    /**
+     * Clear turn timer
+     * @param {string} gameId - Game ID
+     */
+    clearTurnTimer(gameId) {
+        this.timers.cancel({ type: 'turn', gameId });
+    }
+
+    /**
+     * Get how long the current turn may run before it times out
+     * @param {Object} game - Game object
+     * @param {number} elapsed - Time already spent on the turn in ms
+     * @returns {number|undefined} Duration in ms (undefined for the turn time limit)
+     */
+    getTurnDuration(game, elapsed = 0) {
+        const { currentTurn } = game.state;
+        const timeControl = this.getTimeControl(game);
+        if (timeControl) {
+            return Math.max(timeControl.timeUntilFlag(game.state.clocks[currentTurn]) - elapsed, 0);
+        }
+
+        return this.isBotControlled(game, currentTurn) ? BOT_MOVE_DELAY : undefined;
+    }
+
+    /**
+     * Handle turn timeout
+     * @param {string} gameId - Game ID
+     */
+    handleTurnTimeout(gameId) {
+        const game = this.activeGames.get(gameId);
+        if (!game) return;
+
+        if (this.getTimeControl(game)) {
+            logger.logGameEvent('turn_timeout', gameId, game.state.currentTurn);
+            this.handleFlagFall(gameId);
+            return;
+        }
+
+        if (this.isSimultaneous(game)) {
+            this.handleSimultaneousTimeout(gameId);
+            return;
+        }
+
+        const playerId = game.state.currentTurn;
+
+        // The bot's thinking time is up, which is not the player's timeout
+        if (this.isBotControlled(game, playerId)) {
+            this.playAutomatedTurn(gameId, playerId, 'bot');
+            return;
+        }
+
+        logger.logGameEvent('turn_timeout', gameId, playerId);
+
+        const outcome = this.recordTimeout(game, playerId);
+        if (outcome === 'forfeit') {
+            this.forfeitPlayer(gameId, playerId, 'timeout_forfeit');
+            return;
+        }
+
+        this.playAutomatedTurn(gameId, playerId, outcome);
+    }
+
+    /**
+     * Apply the timeout policy to every player who did not commit an action
+     * before a simultaneous turn timed out, then resolve the turn
+     * @param {string} gameId - Game ID
+     */
+    handleSimultaneousTimeout(gameId) {
+        const game = this.activeGames.get(gameId);
+        logger.logGameEvent('turn_timeout', gameId, null, { turnNumber: game.state.turnNumber });
+
+        const forfeited = [];
+        this.getUncommittedPlayers(game).forEach((playerId) => {
+            const outcome = this.recordTimeout(game, playerId);
+            if (outcome === 'forfeit') {
+                forfeited.push(playerId);
+                return;
+            }
+
+            const action = this.getAutomatedAction(game, playerId, outcome);
+            if (action && this.validateAction(game, playerId, action).valid) {
+                game.state.pendingActions[playerId] = action;
+            }
+        });
+
+        for (const playerId of forfeited) {
+            const result = this.applyForfeit(game, playerId, 'timeout_forfeit');
+            this.emit('playerForfeited', { gameId, playerId, reason: 'timeout' });
+            if (result.gameEnded) {
+                game.state.pendingActions = {};
+                this.finishRound(gameId, result);
+                return;
+            }
+        }
+
+        this.resolveSimultaneousTurn(gameId);
+    }
+
+    /**
+     * Count a player's timeout, record it in the game's events and decide
+     * what happens to the turn under the game's timeout policy:
+     *   default  play the rules' default action (the default policy)
+     *   skip     pass the turn
+     *   forfeit  play the default action, and forfeit after forfeitAfter
+     *            consecutive timeouts
+     *   bot      hand the player's turns to a bot until they act again
+     * @param {Object} game - Game object
+     * @param {string} playerId - Player ID
+     * @returns {string} Outcome ('default', 'skip', 'forfeit' or 'bot')
+     */
+    recordTimeout(game, playerId) {
+        const policy = game.config.timeoutPolicy || 'default';
+        const forfeitAfter = game.config.forfeitAfter || DEFAULT_FORFEIT_AFTER;
+
+        if (!game.state.timeouts) {
+            game.state.timeouts = {};
+        }
+        const timeouts = game.state.timeouts[playerId] || { total: 0, consecutive: 0 };
+        timeouts.total += 1;
+        timeouts.consecutive += 1;
+        game.state.timeouts[playerId] = timeouts;
+
+        let outcome = policy;
+        if (policy === 'forfeit') {
+            outcome = timeouts.consecutive >= forfeitAfter ? 'forfeit' : 'default';
+        }
+
+        this.recordEvent(game, 'turn_timeout', playerId, {
+            policy,
+            outcome,
+            consecutive: timeouts.consecutive,
+            turnNumber: game.state.turnNumber
+        });
+
+        if (outcome === 'bot') {
+            this.setBotControl(game, playerId, true);
+        }
+
+        return outcome;
+    }
+
+    /**
+     * Get the action the server plays for a player
+     * @param {Object} game - Game object
+     * @param {string} playerId - Player ID
+     * @param {string} outcome - Timeout outcome ('default', 'skip' or 'bot')
+     * @returns {Object|null} Action, or null to skip the turn
+     */
+    getAutomatedAction(game, playerId, outcome) {
+        if (outcome === 'bot') {
+            return this.getBotAction(game, playerId);
+        }
+        return outcome === 'default' ? this.getDefaultAction(game, playerId) : null;
+    }
+
+    /**
+     * Play actions for a player until their turn is over, or skip the turn
+     * when there is no action to play
+     * @param {string} gameId - Game ID
+     * @param {string} playerId - Player ID
+     * @param {string} outcome - Timeout outcome ('default', 'skip' or 'bot')
+     */
+    playAutomatedTurn(gameId, playerId, outcome) {
+        const game = this.activeGames.get(gameId);
+
+        let action = this.getAutomatedAction(game, playerId, outcome);
+        if (!action) {
+            this.recordHistory(game, 'turn_skipped', playerId);
+            this.nextTurn(gameId);
+            return;
+        }
+
+        while (action) {
+            const result = this.processAction(gameId, playerId, action, { automated: true });
+            if (result.turnComplete !== false) break;
+            action = this.getAutomatedAction(game, playerId, outcome);
+        }
+    }
+
+    /**
+     * Reset a player's consecutive timeouts and take their turns back from the bot
+     * @param {Object} game - Game object
+     * @param {string} playerId - Player ID
+     */
+    markPlayerActive(game, playerId) {
+        const timeouts = game.state.timeouts && game.state.timeouts[playerId];
+        if (timeouts) {
+            timeouts.consecutive = 0;
+        }
+
+        if (this.isBotControlled(game, playerId)) {
+            this.setBotControl(game, playerId, false);
+        }
+    }
+
+    /**
+     * Take a player's turns back from the bot before they act
+     * @param {string} gameId - Game ID
+     * @param {string} playerId - Player ID
+     * @returns {boolean} Whether the bot was playing for the player
+     */
+    takeControl(gameId, playerId) {
+        const game = this.activeGames.get(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        if (!this.isBotControlled(game, playerId)) {
+            return false;
+        }
+
+        this.markPlayerActive(game, playerId);
+
+        // Give the player the rest of their turn instead of the bot's move delay
+        if (game.state.status === 'active' && String(game.state.currentTurn) === String(playerId)) {
+            this.setTurnTimer(gameId, this.getTurnDuration(game));
+        }
+
+        return true;
+    }
+
+    /**
+     * Check whether a bot is playing a player's turns
+     * @param {Object} game - Game object
+     * @param {string} playerId - Player ID
+     * @returns {boolean} Whether the player is bot controlled
+     */
+    isBotControlled(game, playerId) {
+        return Boolean(game.state.botControlled && game.state.botControlled[playerId]);
+    }
+
+    /**
+     * Hand a player's turns to the bot or back to the player
+     * @param {Object} game - Game object
+     * @param {string} playerId - Player ID
+     * @param {boolean} enabled - Whether the bot plays for the player
+     */
+    setBotControl(game, playerId, enabled) {
+        if (!game.state.botControlled) {
+            game.state.botControlled = {};
+        }
+
+        if (enabled) {
+            game.state.botControlled[playerId] = true;
+        } else {
+            delete game.state.botControlled[playerId];
+        }
+
+        this.recordEvent(game, enabled ? 'bot_control_started' : 'bot_control_ended', playerId);
+        logger.logGameEvent(enabled ? 'bot_control_started' : 'bot_control_ended', game.id, playerId);
+        this.emit('botControlChanged', { gameId: game.id, playerId, botControlled: enabled });
+    }
+
+    /**
+     * Append an entry to the game's event log
+     * @param {Object} game - Game object
+     * @param {string} type - Event type
+     * @param {string} playerId - Player ID
+     * @param {Object} data - Event data
+     */
+    recordEvent(game, type, playerId = null, data = {}) {
+        if (!game.state.events) {
+            game.state.events = [];
+        }
+
+        game.state.events.push({ type, playerId, data, timestamp: new Date() });
+    }
+
+    /**
+     * Get the time control for a game
+     * @param {Object} game - Game object
+     * @returns {TimeControl|null} Time control, or null for untimed games
+     */
+    getTimeControl(game) {
+        return game.config.timeControl ? createTimeControl(game.config.timeControl) : null;
+    }
+
+    /**
+     * Create a full clock for every player in the turn order
+     * @param {Object} game - Game object
+     * @returns {Object|null} Clocks by player ID, or null for untimed games
+     */
+    createClocks(game) {
+        const timeControl = this.getTimeControl(game);
+        if (!timeControl) return null;
+
+        const clocks = {};
+        game.state.turnOrder.forEach((playerId) => {
+            clocks[playerId] = timeControl.createClock();
+        });
+        return clocks;
+    }
+
+    /**
+     * Get every player's clock with the running turn's time taken off
+     * @param {Object} game - Game object
+     * @returns {Object|null} Clocks by player ID, or null for untimed games
+     */
+    getClockTimes(game) {
+        const timeControl = this.getTimeControl(game);
+        const { clocks, currentTurn, turnStartedAt, pause } = game.state;
+        if (!timeControl || !clocks) return null;
+
+        const times = { ...clocks };
+        if (turnStartedAt && clocks[currentTurn]) {
+            // A paused clock stands still at the moment the game paused
+            const now = pause ? new Date(pause.pausedAt).getTime() : Date.now();
+            times[currentTurn] = timeControl.elapse(clocks[currentTurn], now - turnStartedAt).clock;
+        }
+        return times;
+    }
+
+    /**
+     * Stop the current player's clock, charging the time spent this turn
+     * @param {Object} game - Game object
+     * @param {boolean} completed - Whether the turn was completed (applies the increment)
+     */
+    stopClock(game, completed = true) {
+        const timeControl = this.getTimeControl(game);
+        const { clocks, currentTurn, turnStartedAt } = game.state;
+        if (!timeControl || !clocks || !turnStartedAt || !clocks[currentTurn]) return;
+
+        const elapsed = Date.now() - turnStartedAt;
+        clocks[currentTurn] = completed
+            ? timeControl.completeTurn(clocks[currentTurn], elapsed)
+            : timeControl.elapse(clocks[currentTurn], elapsed).clock;
+        game.state.turnStartedAt = null;
+    }
+
+    /**
+     * Handle the current player's clock running out. The player loses; with
+     * more players left they drop out of the turn order and play goes on.
+     * @param {string} gameId - Game ID
+     */
+    handleFlagFall(gameId) {
+        const game = this.activeGames.get(gameId);
+        if (!game) return;
+
+        const playerId = game.state.currentTurn;
+        const timeControl = this.getTimeControl(game);
+        const clock = game.state.clocks[playerId];
+        game.state.clocks[playerId] = timeControl.elapse(clock, timeControl.timeUntilFlag(clock)).clock;
+        game.state.turnStartedAt = null;
+
+        this.emit('flagFell', { gameId, playerId });
+        this.forfeitPlayer(gameId, playerId, 'flag_fall');
+    }
+
+    /**
+     * Make a player lose, then end the round, pass the turn on if it was
+     * theirs, or resolve a simultaneous turn the others have all committed to
+     * @param {string} gameId - Game ID
+     * @param {string} playerId - Player ID
+     * @param {string} type - Forfeit type ('flag_fall', 'timeout_forfeit', 'resign' or 'abandon')
+     * @returns {Object} Forfeit result
+     */
+    forfeitPlayer(gameId, playerId, type) {
+        const game = this.activeGames.get(gameId);
+        if (!game) return null;
+
+        const result = this.applyForfeit(game, playerId, type);
+        game.state.updatedAt = new Date();
+
+        logger.logGameEvent(type, gameId, playerId);
+        if (FORFEITS[type].reason) {
+            this.emit('playerForfeited', { gameId, playerId, reason: FORFEITS[type].reason });
+        }
+
+        if (result.gameEnded) {
+            this.finishRound(gameId, result);
+        } else if (result.turnComplete) {
+            this.nextTurn(gameId);
+        } else if (this.isSimultaneous(game)) {
+            delete game.state.pendingActions[playerId];
+            if (this.getUncommittedPlayers(game).length === 0) {
+                this.resolveSimultaneousTurn(gameId);
+            }
+        }
+
+        this.persistGame(game);
+        return result;
+    }
+
+    /**
+     * Append a forfeit to the action log, take the player out of the game
+     * data through the rule module and drop them from the turn order. The
+     * last player left wins.
+     * @param {Object} game - Game object
+     * @param {string} playerId - ID of the player who forfeits
+     * @param {string} type - Forfeit type ('flag_fall', 'timeout_forfeit', 'resign' or 'abandon')
+     * @returns {Object} Action result
+     */
+    applyForfeit(game, playerId, type) {
+        const wasCurrentTurn = String(game.state.currentTurn) === String(playerId);
+        this.recordHistory(game, type, playerId);
+
+        const rules = this.getRules(game);
+        const elimination = typeof rules.eliminatePlayer === 'function'
+            ? rules.eliminatePlayer(game, playerId)
+            : { gameData: game.state.gameData, gameEnded: false };
+        game.state.gameData = elimination.gameData;
+        this.removeFromTurnOrder(game, [playerId]);
+
+        // The rule module may decide the game before one player is left
+        const remaining = game.state.turnOrder;
+        if (elimination.gameEnded || remaining.length <= 1) {
+            const winner = elimination.gameEnded ? elimination.winner : remaining[0];
+            return {
+                gameEnded: true,
+                endReason: FORFEITS[type].endReason,
+                winner: winner === undefined ? null : winner
+            };
+        }
+
+        // The turn only passes on when it was the forfeiting player's
+        return {
+            gameEnded: false,
+            eliminatedPlayers: [playerId],
+            turnComplete: wasCurrentTurn && !this.isSimultaneous(game)
+        };
+    }
+
+    /**
+     * Set game timeout
+     * @param {string} gameId - Game ID
+     * @param {number} duration - Time until the game times out (defaults to the game timeout)
+     */
+    setGameTimeout(gameId, duration = config.game.gameTimeout) {
+        const deadline = Date.now() + duration;
+        const game = this.activeGames.get(gameId);
+        if (game) {
+            game.state.gameDeadline = deadline;
+        }
+
+        this.timers.schedule({ type: 'game', gameId }, deadline);
+    }
+
+    /**
+     * Clear game timers
+     * @param {string} gameId - Game ID
+     */
+    clearGameTimers(gameId) {
+        this.timers.cancel({ type: 'game', gameId });
+        this.clearTurnTimer(gameId);
+        this.clearTakebackTimer(gameId);
+    }
+
+    /**
+     * Clear the reconnect timers of every player in a game
+     * @param {string} gameId - Game ID
+     */
+    clearReconnectTimers(gameId) {
+        const game = this.activeGames.get(gameId);
+        if (!game) return;
+
+        game.state.players.forEach((player) => {
+            this.clearReconnectTimer(gameId, player.id);
+        });
+    }
+
+    /**
+     * Handle game timeout
+     * @param {string} gameId - Game ID
+     */
+    handleGameTimeout(gameId) {
+        logger.logGameEvent('game_timeout', gameId);
+        this.endGame(gameId, 'timeout');
+    }
+
+    /**
+     * Check if game should start
+     * @param {string} gameId - Game ID
+     */
+    checkGameStart(gameId) {
+        const game = this.activeGames.get(gameId);
+        if (!game) return;
+
+        const readyPlayers = game.state.players.filter(p => p.ready);
+        if (readyPlayers.length >= game.config.minPlayers &&
+            readyPlayers.length === game.state.players.length) {
+            this.startGame(gameId);
+        }
+    }
+
+    /**
+     * Generate unique game ID
+     * @returns {string} Game ID
+     */
+    generateGameId() {
+        return `game_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * Register a rule module for a game type
+     * @param {string} gameType - Game type name
+     * @param {Object} rules - Rule module implementing the GameRules hooks
+     */
+    registerGameType(gameType, rules) {
+        this.registry.register(gameType, rules);
+    }
+
+    /**
+     * Get the rule module for a game
+     * @param {Object} game - Game object
+     * @returns {Object} Rule module
+     */
+    getRules(game) {
+        return this.registry.get(game.config.gameType);
+    }
+
+    /**
+     * Initialize game data using the game type's rule module
+     * @param {Object} game - Game object
+     * @returns {Object} Initial game data
+     */
+    initializeGameData(game) {
+        return this.getRules(game).initializeGameData(game);
+    }
+
+    /**
+     * Validate action using the game type's rule module
      * @param {Object} game - Game object
      * @param {string} playerId - Player ID
      * @param {Object} action - Action data
      * @returns {Object} Validation result
      */
     validateAction(game, playerId, action) {
-        return { valid: true };
+        return this.getRules(game).validateAction(game, playerId, action);
     }
 
     /**
-     * Execute action (to be overridden by specific game types)
+     * Check an action's payload against the game type's action schemas
+     * @param {Object} game - Game object
+     * @param {Object} action - Action data
+     * @throws {ActionValidationError} When the payload does not match
+     */
+    validateActionSchema(game, action) {
+        const rules = this.getRules(game);
+        if (typeof rules.getActionSchemas !== 'function') return;
+
+        validateActionPayload(rules.getActionSchemas(), action);
+    }
+
+    /**
+     * Execute action using the game type's rule module
      * @param {Object} game - Game object
      * @param {string} playerId - Player ID
      * @param {Object} action - Action data
      * @returns {Object} Action result
      */
     executeAction(game, playerId, action) {
-        return {
-            gameData: game.state.gameData,
-            gameEnded: false
-        };
+        return this.getRules(game).executeAction(game, playerId, action);
     }
 
     /**
-     * Get default action for timeout (to be overridden by specific game types)
+     * Get default action for timeout using the game type's rule module
      * @param {Object} game - Game object
      * @param {string} playerId - Player ID
      * @returns {Object} Default action
      */
     getDefaultAction(game, playerId) {
-        return null;
+        return this.getRules(game).getDefaultAction(game, playerId);
+    }
+
+    /**
+     * Get the action a bot plays for a player whose turns it controls
+     * @param {Object} game - Game object
+     * @param {string} playerId - Player ID
+     * @returns {Object|null} Bot action
+     */
+    getBotAction(game, playerId) {
+        const rules = this.getRules(game);
+        return typeof rules.getBotAction === 'function'
+            ? rules.getBotAction(game, playerId)
+            : rules.getDefaultAction(game, playerId);
     }
 
     /**
-     * Filter private data (to be overridden by specific game types)
+     * Filter private data using the game type's rule module
      * @param {Object} gameData - Game data
      * @param {string} playerId - Player ID
+     * @param {Object} game - Game object
      * @returns {Object} Filtered game data
      */
-    filterPrivateData(gameData, playerId) {
-        return gameData;
+    filterPrivateData(gameData, playerId, game) {
+        return this.getRules(game).filterPrivateData(gameData, playerId, game);
     }
 
     /**
-     * Save game state to database
+     * Save a game, and share it with the other nodes when the store is
+     * shared. Each save of a game in progress gives it a new state version,
+     * announced with gameStateChanged; a finished game keeps the final
+     * version endGame gave it.
      * @param {Object} game - Game object
      */
-    async saveGameState(game) {
-        try {
-            const gameState = new GameState({
-                gameId: game.id,
-                state: game.state,
-                config: game.config,
-                createdAt: game.state.createdAt,
-                updatedAt: game.state.updatedAt
+    persistGame(game) {
+        if (!isFinished(game.state.status)) {
+            bumpVersion(game);
+            this.emit('gameStateChanged', { gameId: game.id, version: game.state.version });
+        }
+
+        this.queueSave(game);
+
+        // A game changed under its lock is shared before the lock is released
+        // (see withGameLock); new games nobody else can see yet are shared now
+        if (this.store.shared && !this.lockedGames.has(game.id)) {
+            this.store.saveGame(game).catch((error) => {
+                logger.error('Failed to share game state:', error);
+            });
+        }
+    }
+
+    /**
+     * Save a game to the database once the saves already queued for it are
+     * done, so writes land in order. Failures are logged and announced with
+     * gameSaveFailed.
+     * @param {Object} game - Game object
+     * @returns {Promise} Resolves when the save is done or has failed
+     */
+    queueSave(game) {
+        const previous = this.saveQueues.get(game.id);
+        const save = (previous ? previous.then(() => this.saveGameState(game)) : this.saveGameState(game))
+            .catch((error) => {
+                logger.error('Failed to save game state:', error);
+                this.emit('gameSaveFailed', { gameId: game.id, version: getVersion(game), error });
+            })
+            .then(() => {
+                if (this.saveQueues.get(game.id) === save) {
+                    this.saveQueues.delete(game.id);
+                }
             });
 
-            await gameState.save();
+        this.saveQueues.set(game.id, save);
+        return save;
+    }
+
+    /**
+     * Wait for the queued database saves of a game, or of every game
+     * @param {string} gameId - Game ID (optional)
+     * @returns {Promise} Resolves when the saves are done
+     */
+    async flushSaves(gameId) {
+        const saves = gameId ? [this.saveQueues.get(gameId)] : Array.from(this.saveQueues.values());
+        await Promise.all(saves.filter(Boolean));
+    }
+
+    /**
+     * Save game state to database. The write only applies over an older
+     * version of the game, so a save that lands late never replaces newer
+     * state saved by another node.
+     * @param {Object} game - Game object
+     * @returns {Promise<boolean>} Whether the state was written
+     */
+    async saveGameState(game) {
+        const version = getVersion(game);
+
+        try {
+            await GameState.findOneAndUpdate(
+                { gameId: game.id, 'state.version': { $not: { $gt: version } } },
+                {
+                    gameType: game.config.gameType,
+                    config: game.config,
+                    state: game.state,
+                    roomId: game.config.roomId,
+                    createdBy: game.config.createdBy,
+                    previousGameId: game.config.previousGameId,
+                    rematchGameId: game.state.rematchGameId,
+                    'analytics.totalTurns': (game.state.turnHistory || []).length,
+                    'analytics.totalTimeouts': Object.values(game.state.timeouts || {})
+                        .reduce((total, timeouts) => total + timeouts.total, 0),
+                    'analytics.timeoutsByPlayer': game.state.timeouts || {}
+                },
+                { upsert: true, setDefaultsOnInsert: true }
+            );
             logger.logDatabaseOperation('save', 'GameState', game.id);
+            return true;
         } catch (error) {
-            logger.error('Failed to save game state:', error);
+            // A newer version is stored: the filter missed and the upsert hit the unique gameId
+            if (error.code === 11000) {
+                logger.warn(`Skipped stale save of game ${game.id} at version ${version}`);
+                return false;
+            }
+            throw error;
         }
     }
 
@@ -0,0 +1,91 @@
+/**
+ * Game lifecycle: the statuses a game moves through and the transitions
+ * allowed between them.
+ *
+ *   waiting ──> active <──> paused
+ *      │          │           │
+ *      v          v           │
+ *  cancelled    ended <───────┘
+ *
+ * A game that stops before it starts is cancelled; one that stops after
+ * it started has ended. Ended and cancelled games are finished and never
+ * change status again.
+ */
+const GAME_STATUSES = ['waiting', 'active', 'paused', 'ended', 'cancelled'];
+
+const TRANSITIONS = {
+    waiting: ['active', 'cancelled'],
+    active: ['paused', 'ended'],
+    paused: ['active', 'ended'],
+    ended: [],
+    cancelled: []
+};
+
+const FINISHED_STATUSES = ['ended', 'cancelled'];
+
+/**
+ * Error for a status change the lifecycle does not allow
+ */
+class GameStateError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {string} from - Current status
+     * @param {string} to - Requested status
+     */
+    constructor(message, from, to) {
+        super(message);
+        this.name = 'GameStateError';
+        this.code = 'INVALID_GAME_TRANSITION';
+        this.from = from;
+        this.to = to;
+        this.statusCode = 409;
+        this.status = 'fail';
+        this.isOperational = true;
+
+        Error.captureStackTrace(this, this.constructor);
+    }
+}
+
+/**
+ * Check whether a game may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} Whether the transition is allowed
+ */
+const canTransition = (from, to) => Boolean(TRANSITIONS[from] && TRANSITIONS[from].includes(to));
+
+/**
+ * Reject a transition the lifecycle does not allow
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {string} message - Error message (optional)
+ */
+const assertTransition = (from, to, message = `Cannot move game from ${from} to ${to}`) => {
+    if (!canTransition(from, to)) {
+        throw new GameStateError(message, from, to);
+    }
+};
+
+/**
+ * Check whether a game is over
+ * @param {string} status - Game status
+ * @returns {boolean} Whether the game ended or was cancelled
+ */
+const isFinished = status => FINISHED_STATUSES.includes(status);
+
+/**
+ * Get the status a game stops in
+ * @param {string} status - Current status
+ * @returns {string} 'cancelled' for games that never started, 'ended' otherwise
+ */
+const getFinishStatus = status => (status === 'waiting' ? 'cancelled' : 'ended');
+
+module.exports = {
+    GAME_STATUSES,
+    TRANSITIONS,
+    GameStateError,
+    canTransition,
+    assertTransition,
+    isFinished,
+    getFinishStatus
+};
\ No newline at end of file
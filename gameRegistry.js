@@ -0,0 +1,83 @@
+const GameRules = require('./gameRules');
+const TicTacToeRules = require('./ticTacToe');
+const CheckersRules = require('./checkers');
+const ChessRules = require('./chess');
+const BattleRules = require('./battle');
+
+class GameRegistry {
+    constructor() {
+        this.gameTypes = new Map(); // gameType -> rule module
+    }
+
+    /**
+     * Register a rule module for a game type
+     * @param {string} gameType - Game type name
+     * @param {Object} rules - Rule module implementing the GameRules hooks
+     * @returns {GameRegistry} Registry instance
+     */
+    register(gameType, rules) {
+        if (!gameType || typeof gameType !== 'string') {
+            throw new Error('Game type must be a non-empty string');
+        }
+
+        const missingHooks = GameRules.HOOKS.filter(hook => !rules || typeof rules[hook] !== 'function');
+        if (missingHooks.length > 0) {
+            throw new Error(`Rule module for ${gameType} is missing hooks: ${missingHooks.join(', ')}`);
+        }
+
+        this.gameTypes.set(gameType, rules);
+        return this;
+    }
+
+    /**
+     * Remove a game type
+     * @param {string} gameType - Game type name
+     * @returns {boolean} Whether the game type was registered
+     */
+    unregister(gameType) {
+        return this.gameTypes.delete(gameType);
+    }
+
+    /**
+     * Check if a game type is registered
+     * @param {string} gameType - Game type name
+     * @returns {boolean} Registration status
+     */
+    has(gameType) {
+        return this.gameTypes.has(gameType);
+    }
+
+    /**
+     * Get the rule module for a game type
+     * @param {string} gameType - Game type name
+     * @returns {Object} Rule module
+     */
+    get(gameType) {
+        const rules = this.gameTypes.get(gameType);
+        if (!rules) {
+            throw new Error(`Unsupported game type: ${gameType}`);
+        }
+        return rules;
+    }
+
+    /**
+     * Get all registered game types
+     * @returns {Array} Game type names
+     */
+    getGameTypes() {
+        return Array.from(this.gameTypes.keys());
+    }
+}
+
+const registry = new GameRegistry();
+
+// Built-in game types, each with its own rule module except `custom`,
+// which uses the pass-through base rules. More are added with register().
+registry.register('chess', new ChessRules());
+registry.register('checkers', new CheckersRules());
+registry.register('tic-tac-toe', new TicTacToeRules());
+registry.register('battle', new BattleRules());
+registry.register('custom', new GameRules());
+
+module.exports = registry;
+module.exports.GameRegistry = GameRegistry;
\ No newline at end of file
@@ -0,0 +1,59 @@
+const { createEngine, startTestGame } = require('./testHelpers');
+const GameRules = require('../src/core/gameRules');
+const ChessRules = require('../src/core/chess');
+const gameRegistry = require('../src/core/gameRegistry');
+const { GameRegistry } = require('../src/core/gameRegistry');
+
+describe('Game type registry', () => {
+    let registry;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        registry = new GameRegistry();
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('should register the built-in game types', () => {
+        expect(gameRegistry.getGameTypes()).toEqual(
+            expect.arrayContaining(['chess', 'checkers', 'tic-tac-toe', 'battle', 'custom'])
+        );
+        expect(gameRegistry.get('chess')).toBeInstanceOf(ChessRules);
+    });
+
+    it('should look up and remove registered rule modules', () => {
+        const rules = new GameRules();
+
+        expect(registry.register('dice', rules)).toBe(registry);
+        expect(registry.has('dice')).toBe(true);
+        expect(registry.get('dice')).toBe(rules);
+
+        expect(registry.unregister('dice')).toBe(true);
+        expect(registry.has('dice')).toBe(false);
+    });
+
+    it('should reject unknown game types and incomplete rule modules', () => {
+        expect(() => registry.get('poker')).toThrow('Unsupported game type: poker');
+        expect(() => registry.register('', new GameRules())).toThrow('Game type must be a non-empty string');
+        expect(() => registry.register('dice', { validateAction: () => ({ valid: true }) }))
+            .toThrow('Rule module for dice is missing hooks: initializeGameData, executeAction');
+    });
+
+    it('should dispatch engine hooks to the registered rule module', () => {
+        const rules = new GameRules();
+        jest.spyOn(rules, 'initializeGameData').mockReturnValue({ dice: [] });
+        registry.register('dice', rules);
+        const gameEngine = createEngine(registry);
+
+        const game = startTestGame(gameEngine, { gameType: 'dice', minPlayers: 1, maxPlayers: 2 }, ['p1']);
+
+        expect(rules.initializeGameData).toHaveBeenCalledWith(game);
+        expect(game.state.gameData).toEqual({ dice: [] });
+        expect(() => gameEngine.createGame({ gameType: 'chess', minPlayers: 2, maxPlayers: 2 }))
+            .toThrow('Unsupported game type: chess');
+    });
+});
\ No newline at end of file
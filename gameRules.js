@@ -0,0 +1,194 @@
+const SeededRandom = require('../utils/random');
+
+/**
+ * Base class for game type rule modules.
+ *
+ * A rule module implements the hooks GameEngine calls while a game runs.
+ * Concrete game types extend this class and override the hooks they need;
+ * the defaults describe a pass-through game with no rules of its own.
+ */
+class GameRules {
+    /**
+     * Whether sides (colours, marks) are dealt from the turn order when the
+     * game starts, so players must keep strictly taking turns in that order.
+     * Such game types reject turn order strategies that reorder turns.
+     * @returns {boolean} Whether the turn order must stay fixed
+     */
+    get fixedTurnOrder() {
+        return false;
+    }
+
+    /**
+     * Whether the game type can be played with simultaneous turns
+     * (turnMode 'simultaneous'). Rule modules opt in when their actions
+     * still make sense resolved together after being committed blind.
+     * @returns {boolean} Whether simultaneous turns are supported
+     */
+    get supportsSimultaneous() {
+        return false;
+    }
+
+    /**
+     * Get the game's seeded random number generator. Rule modules must use
+     * it for all randomness so games can be replayed from their seed.
+     * @param {Object} game - Game object
+     * @returns {SeededRandom} Generator
+     */
+    getRandom(game) {
+        return SeededRandom.forGame(game);
+    }
+
+    /**
+     * Initialize game data when a game starts
+     * @param {Object} game - Game object
+     * @returns {Object} Initial game data
+     */
+    initializeGameData(game) {
+        return {};
+    }
+
+    /**
+     * Get the Joi schema of each action type's data. Actions are checked
+     * against them before validateAction runs, so rule code only sees
+     * well-formed payloads. Game types without schemas accept any action.
+     * @returns {Object} Joi schema by action type
+     */
+    getActionSchemas() {
+        return {};
+    }
+
+    /**
+     * Validate an action before it is executed
+     * @param {Object} game - Game object
+     * @param {string} playerId - Player ID
+     * @param {Object} action - Action data
+     * @returns {Object} Validation result ({ valid, error })
+     */
+    validateAction(game, playerId, action) {
+        return { valid: true };
+    }
+
+    /**
+     * Execute a validated action
+     * @param {Object} game - Game object
+     * @param {string} playerId - Player ID
+     * @param {Object} action - Action data
+     * @returns {Object} Action result ({ gameData, gameEnded, endReason, winner }).
+     *   Set turnComplete to false to keep the turn with the same player, and
+     *   list eliminatedPlayers to drop players from the turn order. List
+     *   extraTurns to give players another turn next, and skipTurns to make
+     *   players miss their next turn.
+     */
+    executeAction(game, playerId, action) {
+        return {
+            gameData: game.state.gameData,
+            gameEnded: false
+        };
+    }
+
+    /**
+     * Resolve the actions all players committed for a simultaneous turn.
+     * The default executes them one at a time in turn order, validating
+     * each against the state the earlier ones left: an action that no
+     * longer holds (e.g. a square another player took first) is rejected
+     * and listed in rejectedActions. Override it when actions should take
+     * effect at the same time.
+     * @param {Object} game - Game object
+     * @param {Object} actions - Validated actions by player ID; players who
+     *   did not act are missing
+     * @returns {Object} Action result, as returned by executeAction, with
+     *   rejectedActions (error by player ID)
+     */
+    resolveActions(game, actions) {
+        let result = { gameData: game.state.gameData, gameEnded: false };
+        const eliminatedPlayers = [];
+        const rejectedActions = {};
+
+        for (const playerId of game.state.turnOrder) {
+            if (actions[playerId] === undefined) continue;
+
+            const stepGame = { ...game, state: { ...game.state, gameData: result.gameData } };
+            const validation = this.validateAction(stepGame, playerId, actions[playerId]);
+            if (!validation.valid) {
+                rejectedActions[playerId] = validation.error;
+                continue;
+            }
+
+            result = this.executeAction(stepGame, playerId, actions[playerId]);
+            eliminatedPlayers.push(...(result.eliminatedPlayers || []));
+
+            if (result.gameEnded) break;
+        }
+
+        return { ...result, eliminatedPlayers, rejectedActions };
+    }
+
+    /**
+     * Take a player who forfeits (resigns, loses on time or abandons the
+     * game) out of the game data. The engine drops them from the turn order;
+     * rule modules that track players in their game data mark them out here
+     * and check whether that decides the game.
+     * @param {Object} game - Game object
+     * @param {string} playerId - ID of the player who forfeits
+     * @returns {Object} Result ({ gameData, gameEnded, winner })
+     */
+    eliminatePlayer(game, playerId) {
+        return {
+            gameData: game.state.gameData,
+            gameEnded: false
+        };
+    }
+
+    /**
+     * Get a player's speed/initiative stat, used by the initiative and
+     * active time battle turn orders
+     * @param {Object} game - Game object
+     * @param {string} playerId - Player ID
+     * @returns {number} Initiative (higher acts first and more often)
+     */
+    getInitiative(game, playerId) {
+        return 0;
+    }
+
+    /**
+     * Get the action to play when a turn times out
+     * @param {Object} game - Game object
+     * @param {string} playerId - Player ID
+     * @returns {Object|null} Default action, or null to skip the turn
+     */
+    getDefaultAction(game, playerId) {
+        return null;
+    }
+
+    /**
+     * Get the action a bot plays for a player whose turns it took over
+     * after a timeout. The default plays the timeout default action.
+     * @param {Object} game - Game object
+     * @param {string} playerId - Player ID
+     * @returns {Object|null} Bot action, or null to skip the turn
+     */
+    getBotAction(game, playerId) {
+        return this.getDefaultAction(game, playerId);
+    }
+
+    /**
+     * Remove data a player is not allowed to see
+     * @param {Object} gameData - Game data
+     * @param {string} playerId - Player ID
+     * @param {Object} game - Game object
+     * @returns {Object} Filtered game data
+     */
+    filterPrivateData(gameData, playerId, game) {
+        return gameData;
+    }
+}
+
+GameRules.HOOKS = [
+    'initializeGameData',
+    'validateAction',
+    'executeAction',
+    'getDefaultAction',
+    'filterPrivateData'
+];
+
+module.exports = GameRules;
\ No newline at end of file
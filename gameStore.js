@@ -0,0 +1,241 @@
+const os = require('os');
+const crypto = require('crypto');
+const redisClient = require('../config/redis');
+
+const KEY_PREFIX = 'game_engine:';
+const GAME_TTL = 24 * 60 * 60; // Seconds a shared game is kept after its last save
+const LOCK_TTL = 5000;
+const LOCK_WAIT = 3000;
+const LOCK_RETRY_DELAY = 50;
+
+// Store a game under the next revision of its counter, in one step so
+// saves from different nodes never share a revision
+const SAVE_GAME_SCRIPT = `
+local revision = redis.call('incr', KEYS[2])
+redis.call('set', KEYS[1], '{"revision":' .. revision .. ',"game":' .. ARGV[1] .. '}', 'EX', ARGV[2])
+redis.call('expire', KEYS[2], ARGV[2])
+return revision`;
+
+// Delete a lock only if this node still holds it
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+end
+return 0`;
+
+/**
+ * Where games and player presence live.
+ *
+ * The default store keeps everything in this process: the engine's own
+ * activeGames are the only copy, so there is nothing to load or save and
+ * no lock to take. Shared stores let several server instances run the
+ * same games: a node loads a game's latest state under the game's lock
+ * before changing it, and saves it before letting go.
+ */
+class GameStore {
+    constructor() {
+        this.shared = false;
+        this.nodeId = process.env.NODE_ID || `${os.hostname()}:${process.pid}`;
+        this.presence = new Map(); // playerId -> { nodeId, socketId, connectedAt }
+    }
+
+    /**
+     * Load a game if another node has saved a newer copy than this node's
+     * @param {string} gameId - Game ID
+     * @returns {Promise<Object|null>} Game object, or null when this node is up to date
+     */
+    async loadGame(gameId) {
+        return null;
+    }
+
+    /**
+     * Share a game's current state with the other nodes
+     * @param {Object} game - Game object
+     */
+    async saveGame(game) {
+    }
+
+    /**
+     * Take a game's lock, waiting for another node to release it
+     * @param {string} gameId - Game ID
+     * @returns {Promise<string|null>} Lock token
+     */
+    async acquireLock(gameId) {
+        return null;
+    }
+
+    /**
+     * Release a game's lock
+     * @param {string} gameId - Game ID
+     * @param {string} token - Lock token from acquireLock
+     */
+    async releaseLock(gameId, token) {
+    }
+
+    /**
+     * Record which node and socket a player is connected through
+     * @param {string} playerId - Player ID
+     * @param {string} socketId - Socket ID
+     */
+    async setPresence(playerId, socketId) {
+        this.presence.set(String(playerId), this.createPresence(socketId));
+    }
+
+    /**
+     * Forget a player's connection, unless they have connected again since
+     * @param {string} playerId - Player ID
+     * @param {string} socketId - Socket ID of the closed connection
+     */
+    async removePresence(playerId, socketId) {
+        const presence = this.presence.get(String(playerId));
+        if (presence && presence.socketId === socketId) {
+            this.presence.delete(String(playerId));
+        }
+    }
+
+    /**
+     * Get where a player is connected
+     * @param {string} playerId - Player ID
+     * @returns {Promise<Object|null>} Presence ({ nodeId, socketId, connectedAt })
+     */
+    async getPresence(playerId) {
+        return this.presence.get(String(playerId)) || null;
+    }
+
+    /**
+     * Count the players connected to any node
+     * @returns {Promise<number>} Connected players
+     */
+    async countPresence() {
+        return this.presence.size;
+    }
+
+    /**
+     * Build a presence entry for a socket on this node
+     * @param {string} socketId - Socket ID
+     * @returns {Object} Presence
+     */
+    createPresence(socketId) {
+        return { nodeId: this.nodeId, socketId, connectedAt: new Date().toISOString() };
+    }
+}
+
+/**
+ * Games and presence shared through Redis. Games are stored as JSON with
+ * a revision number counted in Redis, so a node only reloads games another
+ * node changed.
+ */
+class RedisGameStore extends GameStore {
+    /**
+     * @param {Object} redis - RedisClient
+     */
+    constructor(redis = redisClient) {
+        super();
+        this.shared = true;
+        this.redis = redis;
+        this.revisions = new Map(); // gameId -> revision this node last loaded or saved
+    }
+
+    async loadGame(gameId) {
+        const record = await this.redis.get(this.gameKey(gameId));
+        if (!record || record.revision <= (this.revisions.get(gameId) || 0)) {
+            return null;
+        }
+
+        this.revisions.set(gameId, record.revision);
+        return record.game;
+    }
+
+    async saveGame(game) {
+        const revision = await this.redis.getClient().eval(SAVE_GAME_SCRIPT, {
+            keys: [this.gameKey(game.id), this.revisionKey(game.id)],
+            arguments: [JSON.stringify(game), String(GAME_TTL)]
+        });
+        this.revisions.set(game.id, revision);
+    }
+
+    async acquireLock(gameId) {
+        const token = `${this.nodeId}:${crypto.randomUUID()}`;
+        const waitUntil = Date.now() + LOCK_WAIT;
+
+        for (;;) {
+            const acquired = await this.redis.getClient().set(this.lockKey(gameId), token, { NX: true, PX: LOCK_TTL });
+            if (acquired) {
+                return token;
+            }
+
+            if (Date.now() >= waitUntil) {
+                throw new Error('Game is busy, please try again');
+            }
+
+            await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_DELAY));
+        }
+    }
+
+    async releaseLock(gameId, token) {
+        await this.redis.getClient().eval(RELEASE_LOCK_SCRIPT, {
+            keys: [this.lockKey(gameId)],
+            arguments: [token]
+        });
+    }
+
+    async setPresence(playerId, socketId) {
+        await this.redis.hset(this.presenceKey(), String(playerId), this.createPresence(socketId));
+    }
+
+    async removePresence(playerId, socketId) {
+        const presence = await this.getPresence(playerId);
+        if (presence && presence.socketId === socketId) {
+            await this.redis.getClient().hDel(this.presenceKey(), String(playerId));
+        }
+    }
+
+    async getPresence(playerId) {
+        return this.redis.hget(this.presenceKey(), String(playerId));
+    }
+
+    async countPresence() {
+        return this.redis.getClient().hLen(this.presenceKey());
+    }
+
+    gameKey(gameId) {
+        return `${KEY_PREFIX}game:${gameId}`;
+    }
+
+    revisionKey(gameId) {
+        return `${KEY_PREFIX}revision:${gameId}`;
+    }
+
+    lockKey(gameId) {
+        return `${KEY_PREFIX}lock:${gameId}`;
+    }
+
+    presenceKey() {
+        return `${KEY_PREFIX}presence`;
+    }
+}
+
+const GAME_STORES = {
+    memory: GameStore,
+    redis: RedisGameStore
+};
+
+/**
+ * Create the store configured for this server
+ * @param {string} type - Store type ('memory' or 'redis', memory by default)
+ * @returns {GameStore} Store
+ */
+const createGameStore = (type = 'memory') => {
+    const GameStoreType = GAME_STORES[type];
+    if (!GameStoreType) {
+        throw new Error(`Unsupported game store: ${type}`);
+    }
+
+    return new GameStoreType();
+};
+
+module.exports = {
+    GameStore,
+    RedisGameStore,
+    createGameStore
+};
\ No newline at end of file
@@ -0,0 +1,175 @@
+const { createEngine, startTestGame } = require('./testHelpers');
+const { GameStore, RedisGameStore, createGameStore } = require('../src/core/gameStore');
+
+const move = cell => ({ type: 'move', data: { cell } });
+const flush = () => new Promise(resolve => setTimeout(resolve, 10));
+
+// Enough of RedisClient for the store, kept in memory
+const createFakeRedis = () => {
+    const values = new Map();
+    const hashes = new Map();
+    const hash = key => hashes.get(key) || hashes.set(key, new Map()).get(key);
+
+    const client = {
+        set: async (key, value, options) => {
+            if (options.NX && values.has(key)) return null;
+            values.set(key, value);
+            return 'OK';
+        },
+        incr: async key => values.set(key, (values.get(key) || 0) + 1).get(key),
+        eval: async (script, { keys, arguments: args }) => {
+            // Save a game under its next revision
+            if (script.includes('incr')) {
+                const revision = await client.incr(keys[1]);
+                values.set(keys[0], `{"revision":${revision},"game":${args[0]}}`);
+                return revision;
+            }
+
+            // Release a lock
+            if (values.get(keys[0]) !== args[0]) return 0;
+            values.delete(keys[0]);
+            return 1;
+        },
+        hDel: async (key, field) => Number(hash(key).delete(field)),
+        hLen: async key => hash(key).size
+    };
+
+    return {
+        getClient: () => client,
+        set: async (key, value) => values.set(key, JSON.stringify(value)),
+        get: async key => (values.has(key) ? JSON.parse(values.get(key)) : null),
+        hset: async (key, field, value) => hash(key).set(field, JSON.stringify(value)),
+        hget: async (key, field) => (hash(key).has(field) ? JSON.parse(hash(key).get(field)) : null)
+    };
+};
+
+describe('Shared game store', () => {
+    let redis;
+    let engines;
+
+    const createNode = () => {
+        const engine = createEngine(undefined, new RedisGameStore(redis));
+        engines.push(engine);
+        return engine;
+    };
+
+    const startGame = async (engine) => {
+        const game = startTestGame(engine, { gameType: 'tic-tac-toe', turnOrderStrategy: 'join' });
+        await flush();
+        return game;
+    };
+
+    beforeEach(() => {
+        redis = createFakeRedis();
+        engines = [];
+    });
+
+    afterEach(() => {
+        engines.forEach((engine) => {
+            engine.getActiveGames().forEach((game) => {
+                engine.clearGameTimers(game.id);
+                engine.clearReconnectTimers(game.id);
+            });
+        });
+        jest.restoreAllMocks();
+    });
+
+    it('should keep games in memory by default', () => {
+        expect(createGameStore()).toBeInstanceOf(GameStore);
+        expect(createGameStore().shared).toBe(false);
+        expect(createGameStore('redis')).toBeInstanceOf(RedisGameStore);
+        expect(() => createGameStore('etcd')).toThrow('Unsupported game store: etcd');
+    });
+
+    it('should let another node continue a game from its latest state', async () => {
+        const nodeA = createNode();
+        const nodeB = createNode();
+        const game = await startGame(nodeA);
+
+        await nodeB.withGameLock(game.id, () => nodeB.processAction(game.id, 'p1', move(0)));
+        await nodeA.withGameLock(game.id, () => nodeA.processAction(game.id, 'p2', move(4)));
+
+        const latest = nodeA.getGame(game.id);
+        expect(latest.state.gameData.board.slice(0, 5)).toEqual(['X', null, null, null, 'O']);
+        expect(latest.state.currentTurn).toBe('p1');
+    });
+
+    it('should run one engine call per game at a time', async () => {
+        const nodeA = createNode();
+        const nodeB = createNode();
+        const game = await startGame(nodeA);
+        const calls = [];
+        let release;
+
+        const first = nodeA.withGameLock(game.id, async () => {
+            calls.push('A started');
+            await new Promise((resolve) => { release = resolve; });
+            calls.push('A finished');
+        });
+        await flush();
+        const second = nodeB.withGameLock(game.id, () => calls.push('B'));
+        await flush();
+
+        expect(calls).toEqual(['A started']);
+        release();
+        await Promise.all([first, second]);
+        expect(calls).toEqual(['A started', 'A finished', 'B']);
+    });
+
+    it('should drop timers on a node whose copy of the game is out of date', async () => {
+        const nodeA = createNode();
+        const nodeB = createNode();
+        const game = await startGame(nodeA);
+        const handler = jest.fn();
+
+        await nodeB.withGameLock(game.id, () => nodeB.processAction(game.id, 'p1', move(0)));
+        nodeA.runTimer(game.id, handler);
+        await flush();
+
+        expect(handler).not.toHaveBeenCalled();
+        expect(nodeA.getGame(game.id).state.currentTurn).toBe('p2');
+    });
+
+    it('should number saves from every node in one sequence', async () => {
+        const storeA = new RedisGameStore(redis);
+        const storeB = new RedisGameStore(redis);
+        const game = { id: 'game-1', state: { version: 1 } };
+
+        await storeA.saveGame(game);
+        expect(await storeB.loadGame(game.id)).toEqual(game);
+        await storeB.saveGame({ ...game, state: { version: 2 } });
+        await storeA.saveGame({ ...game, state: { version: 3 } });
+
+        expect(await storeB.loadGame(game.id)).toEqual({ ...game, state: { version: 3 } });
+        expect(await storeA.loadGame(game.id)).toBeNull();
+    });
+
+    it('should share a game once, before its lock is released', async () => {
+        const node = createNode();
+        const game = await startGame(node);
+        const calls = [];
+        jest.spyOn(node.store, 'saveGame').mockImplementation(async () => {
+            await flush();
+            calls.push('saved');
+        });
+        jest.spyOn(node.store, 'releaseLock').mockImplementation(async () => {
+            calls.push('released');
+        });
+
+        await node.withGameLock(game.id, () => node.processAction(game.id, 'p1', move(0)));
+
+        expect(calls).toEqual(['saved', 'released']);
+    });
+
+    it('should keep the newest connection when an old socket closes', async () => {
+        const nodeA = new RedisGameStore(redis);
+        const nodeB = new RedisGameStore(redis);
+
+        await nodeA.setPresence('p1', 'socket-1');
+        await nodeB.setPresence('p1', 'socket-2');
+        await nodeA.removePresence('p1', 'socket-1');
+
+        expect(await nodeA.getPresence('p1')).toMatchObject({ nodeId: nodeB.nodeId, socketId: 'socket-2' });
+        expect(await nodeA.countPresence()).toBe(1);
+    });
+});
\ No newline at end of file
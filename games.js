@@ -79,7 +79,7 @@ router.get('/:gameId', authenticate, gameController.getGameById);
  *             properties:
  *               gameType:
  *                 type: string
- *                 enum: [chess, checkers, tic-tac-toe, custom]
+ *                 enum: [chess, checkers, tic-tac-toe, battle, custom]
  *               maxPlayers:
  *                 type: integer
  *                 minimum: 2
@@ -167,21 +167,106 @@ router.post('/:gameId/leave', authenticate, gameController.leaveGame);
  *           schema:
  *             type: object
  *             required:
- *               - actionType
- *               - actionData
+ *               - action
  *             properties:
- *               actionType:
- *                 type: string
- *                 enum: [move, skip, surrender, chat]
- *               actionData:
+ *               action:
  *                 type: object
+ *                 description: The action's data must match the Joi schema its game type declares for the action
+ *                   type (GameRules.getActionSchemas) before any rule code runs. Game types that declare no
+ *                   schemas accept any data.
+ *                 required:
+ *                   - type
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     description: Action type declared by the game type (move for chess, checkers and
+ *                       tic-tac-toe, attack for battle)
+ *                   data:
+ *                     oneOf:
+ *                       - title: chess move
+ *                         type: object
+ *                         required: [move]
+ *                         properties:
+ *                           move:
+ *                             type: string
+ *                             description: Move in SAN (Nf3) or UCI (g1f3) notation
+ *                       - title: checkers move
+ *                         type: object
+ *                         required: [from, to]
+ *                         properties:
+ *                           from:
+ *                             type: array
+ *                             description: Square as [row, column], each 0-7
+ *                             items:
+ *                               type: integer
+ *                             minItems: 2
+ *                             maxItems: 2
+ *                           to:
+ *                             type: array
+ *                             description: Square as [row, column], each 0-7
+ *                             items:
+ *                               type: integer
+ *                             minItems: 2
+ *                             maxItems: 2
+ *                       - title: tic-tac-toe move
+ *                         type: object
+ *                         required: [cell]
+ *                         properties:
+ *                           cell:
+ *                             type: integer
+ *                             minimum: 0
+ *                             maximum: 8
+ *                           mark:
+ *                             type: string
+ *                             enum: [X, O]
+ *                       - title: battle attack
+ *                         type: object
+ *                         properties:
+ *                           targetId:
+ *                             type: string
+ *                             nullable: true
+ *                             description: Player to attack; may be omitted when only one opponent is alive
+ *               expectedVersion:
+ *                 type: integer
+ *               idempotencyKey:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Action performed successfully
  *       400:
  *         description: Invalid action
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                 code:
+ *                   type: string
+ *                   enum: [INVALID_ACTION]
+ *                   description: Set when the action does not match its game type's schemas
+ *                 details:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       path:
+ *                         type: string
+ *                         example: data.cell
+ *                       message:
+ *                         type: string
+ *                         example: '"data.cell" must be less than or equal to 8'
+ *                       type:
+ *                         type: string
+ *                         example: number.max
  *       403:
  *         description: Not your turn
+ *       409:
+ *         description: Game state has changed since the expected version
  */
 router.post('/:gameId/action', authenticate, gameController.performAction);
 
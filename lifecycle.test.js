@@ -0,0 +1,98 @@
+const { createEngine, createTestGame } = require('./testHelpers');
+const { GameStateError, canTransition, assertTransition, isFinished } = require('../src/core/gameLifecycle');
+
+describe('Game lifecycle', () => {
+    let gameEngine;
+    let transitions;
+
+    const createGame = () => createTestGame(gameEngine, {
+        gameType: 'tic-tac-toe',
+        turnOrderStrategy: 'join',
+        createdBy: 'p1',
+        roomId: 'room1'
+    });
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        gameEngine = createEngine();
+        transitions = [];
+        gameEngine.on('gameStatusChanged', data => transitions.push(data));
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('should only allow the lifecycle transitions', () => {
+        expect(canTransition('waiting', 'active')).toBe(true);
+        expect(canTransition('active', 'paused')).toBe(true);
+        expect(canTransition('paused', 'active')).toBe(true);
+        expect(canTransition('paused', 'ended')).toBe(true);
+        expect(canTransition('waiting', 'cancelled')).toBe(true);
+        expect(canTransition('waiting', 'ended')).toBe(false);
+        expect(canTransition('ended', 'active')).toBe(false);
+        expect(canTransition('cancelled', 'waiting')).toBe(false);
+        expect(isFinished('cancelled')).toBe(true);
+
+        expect(() => assertTransition('ended', 'paused')).toThrow(GameStateError);
+        expect(() => assertTransition('ended', 'paused')).toThrow('Cannot move game from ended to paused');
+    });
+
+    it('should announce every status change with the game\'s room', () => {
+        const game = createGame();
+
+        gameEngine.startGame(game.id);
+        gameEngine.pauseGame(game.id, 'p1');
+        gameEngine.resumeGame(game.id, 'p1');
+        gameEngine.resign(game.id, 'p2');
+
+        expect(transitions.map(({ from, to }) => `${from}->${to}`))
+            .toEqual(['waiting->active', 'active->paused', 'paused->active', 'active->ended']);
+        expect(transitions[0]).toEqual({ gameId: game.id, roomId: 'room1', from: 'waiting', to: 'active' });
+    });
+
+    it('should reject illegal status changes with a typed error', () => {
+        const game = createGame();
+
+        let error;
+        try {
+            gameEngine.pauseGame(game.id, 'p1');
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error).toBeInstanceOf(GameStateError);
+        expect(error).toMatchObject({
+            message: 'Game is not active',
+            code: 'INVALID_GAME_TRANSITION',
+            from: 'waiting',
+            to: 'paused',
+            statusCode: 409
+        });
+        expect(game.state.status).toBe('waiting');
+    });
+
+    it('should cancel games that time out before they start', () => {
+        const game = createGame();
+        const ended = jest.fn();
+        gameEngine.on('gameEnded', ended);
+
+        jest.advanceTimersByTime(300000);
+
+        expect(game.state.status).toBe('cancelled');
+        expect(ended).toHaveBeenCalledWith(expect.objectContaining({ gameId: game.id, reason: 'timeout' }));
+        expect(transitions).toEqual([{ gameId: game.id, roomId: 'room1', from: 'waiting', to: 'cancelled' }]);
+        expect(gameEngine.disconnectPlayer(game.id, 'p1')).toBeNull();
+    });
+
+    it('should not end a game twice', () => {
+        const game = createGame();
+        gameEngine.startGame(game.id);
+        gameEngine.endGame(game.id, 'aborted');
+
+        expect(() => gameEngine.endGame(game.id, 'timeout')).toThrow(GameStateError);
+        expect(game.state.endReason).toBe('aborted');
+    });
+});
\ No newline at end of file
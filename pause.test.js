@@ -0,0 +1,116 @@
+const { createEngine, startTestGame } = require('./testHelpers');
+
+describe('Pause and resume', () => {
+    let gameEngine;
+
+    const startGame = (playerIds = ['p1', 'p2']) => startTestGame(gameEngine, {
+        gameType: 'tic-tac-toe',
+        turnTimeLimit: 30000,
+        createdBy: 'host'
+    }, playerIds);
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        gameEngine = createEngine();
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('should let the host pause at once and freeze the turn timer', () => {
+        const game = startGame();
+        const currentTurn = game.state.currentTurn;
+        const paused = jest.fn();
+        gameEngine.on('gamePaused', paused);
+        jest.advanceTimersByTime(10000);
+
+        expect(gameEngine.pauseGame(game.id, 'host')).toMatchObject({ paused: true });
+
+        expect(game.state.status).toBe('paused');
+        expect(game.state.pause).toMatchObject({ pausedBy: 'host', turnTimeRemaining: 20000 });
+        expect(paused).toHaveBeenCalledWith(expect.objectContaining({ gameId: game.id, playerId: 'host' }));
+
+        jest.advanceTimersByTime(60000);
+        expect(game.state.currentTurn).toBe(currentTurn);
+        expect(() => gameEngine.processAction(game.id, currentTurn, { type: 'move', data: { cell: 0 } }))
+            .toThrow('Game is paused');
+    });
+
+    it('should restart timers with the remaining time on resume', () => {
+        const game = startGame();
+        const [first, second] = game.state.turnOrder;
+        const resumed = jest.fn();
+        gameEngine.on('gameResumed', resumed);
+        jest.advanceTimersByTime(25000);
+        gameEngine.pauseGame(game.id, 'host');
+        jest.advanceTimersByTime(120000);
+
+        expect(gameEngine.resumeGame(game.id, 'host')).toMatchObject({ resumed: true });
+        expect(game.state.status).toBe('active');
+        expect(resumed).toHaveBeenCalledWith({ gameId: game.id, playerId: 'host' });
+
+        jest.advanceTimersByTime(4999);
+        expect(game.state.currentTurn).toBe(first);
+        jest.advanceTimersByTime(1);
+        expect(game.state.currentTurn).toBe(second);
+    });
+
+    it('should only restart the turn timer on resume when the turn had a deadline', () => {
+        const game = startGame();
+        gameEngine.clearTurnTimer(game.id);
+        delete game.state.turnDeadline;
+        gameEngine.pauseGame(game.id, 'host');
+        const setTurnTimer = jest.spyOn(gameEngine, 'setTurnTimer');
+
+        gameEngine.resumeGame(game.id, 'host');
+
+        expect(game.state.status).toBe('active');
+        expect(setTurnTimer).not.toHaveBeenCalled();
+        expect(game.state.turnDeadline).toBeUndefined();
+    });
+
+    it('should pause and resume by unanimous vote of the players', () => {
+        const game = startGame(['p1', 'p2', 'p3']);
+        const votes = jest.fn();
+        gameEngine.on('pauseVote', votes);
+
+        expect(gameEngine.pauseGame(game.id, 'p1')).toEqual({ paused: false, votes: ['p1'], required: 3 });
+        expect(gameEngine.pauseGame(game.id, 'p1')).toEqual({ paused: false, votes: ['p1'], required: 3 });
+        expect(gameEngine.pauseGame(game.id, 'p2')).toMatchObject({ paused: false });
+        expect(game.state.status).toBe('active');
+        expect(gameEngine.pauseGame(game.id, 'p3')).toMatchObject({ paused: true });
+        expect(game.state.status).toBe('paused');
+        expect(votes).toHaveBeenCalledTimes(3);
+
+        ['p1', 'p2'].forEach(id => gameEngine.resumeGame(game.id, id));
+        expect(game.state.status).toBe('paused');
+        gameEngine.resumeGame(game.id, 'p3');
+        expect(game.state.status).toBe('active');
+    });
+
+    it('should save pause and resume votes before they pass', () => {
+        const game = startGame();
+        const persist = jest.spyOn(gameEngine, 'persistGame');
+
+        gameEngine.pauseGame(game.id, 'p1');
+        expect(persist).toHaveBeenCalledTimes(1);
+        expect(game.state.pauseVote).toEqual({ action: 'pause', votes: ['p1'] });
+
+        gameEngine.pauseGame(game.id, 'host');
+        gameEngine.resumeGame(game.id, 'p2');
+        expect(persist).toHaveBeenCalledTimes(3);
+        expect(game.state.pauseVote).toEqual({ action: 'resume', votes: ['p2'] });
+    });
+
+    it('should reject pause requests from outsiders and for games that are not active', () => {
+        const game = startGame();
+
+        expect(() => gameEngine.pauseGame(game.id, 'stranger')).toThrow('Player not found in game');
+        expect(() => gameEngine.resumeGame(game.id, 'host')).toThrow('Game is not paused');
+        gameEngine.pauseGame(game.id, 'host');
+        expect(() => gameEngine.pauseGame(game.id, 'host')).toThrow('Game is not active');
+    });
+});
\ No newline at end of file
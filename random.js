@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+
+/**
+ * Seeded pseudo-random number generator (mulberry32).
+ *
+ * The generator keeps its state in a plain { seed, state } object that is
+ * updated in place, so the object can live in game state, be persisted with
+ * it and resume the same sequence after reloading.
+ */
+class SeededRandom {
+    /**
+     * @param {Object} rngState - Generator state ({ seed, state })
+     */
+    constructor(rngState) {
+        this.rngState = rngState;
+    }
+
+    /**
+     * Create generator state for a seed
+     * @param {string|number} seed - Seed (random when omitted)
+     * @returns {Object} Generator state
+     */
+    static createState(seed = SeededRandom.generateSeed()) {
+        return {
+            seed,
+            state: SeededRandom.hashSeed(seed)
+        };
+    }
+
+    /**
+     * Generate a random seed
+     * @returns {string} Seed
+     */
+    static generateSeed() {
+        return crypto.randomBytes(8).toString('hex');
+    }
+
+    /**
+     * Hash a seed to a 32-bit integer (FNV-1a)
+     * @param {string|number} seed - Seed
+     * @returns {number} Hashed seed
+     */
+    static hashSeed(seed) {
+        const text = `${seed}`;
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Get the generator for a game, creating its state if needed
+     * @param {Object} game - Game object
+     * @returns {SeededRandom} Generator
+     */
+    static forGame(game) {
+        if (!game.state.rng) {
+            game.state.rng = SeededRandom.createState(game.config && game.config.seed);
+        }
+        return new SeededRandom(game.state.rng);
+    }
+
+    /**
+     * Get the next number
+     * @returns {number} Number in [0, 1)
+     */
+    next() {
+        this.rngState.state = (this.rngState.state + 0x6d2b79f5) >>> 0;
+        let t = this.rngState.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get an integer in [0, max)
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} Integer
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Get an integer in [min, max]
+     * @param {number} min - Inclusive lower bound
+     * @param {number} max - Inclusive upper bound
+     * @returns {number} Integer
+     */
+    range(min, max) {
+        return min + this.int(max - min + 1);
+    }
+
+    /**
+     * Pick a random element
+     * @param {Array} array - Array
+     * @returns {*} Element
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+
+    /**
+     * Shuffle an array in place (Fisher-Yates)
+     * @param {Array} array - Array
+     * @returns {Array} The shuffled array
+     */
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = this.int(i + 1);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+}
+
+module.exports = SeededRandom;
\ No newline at end of file
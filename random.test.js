@@ -0,0 +1,44 @@
+const SeededRandom = require('../src/utils/random');
+
+describe('SeededRandom', () => {
+    it('should produce the same sequence for the same seed', () => {
+        const first = new SeededRandom(SeededRandom.createState('seed'));
+        const second = new SeededRandom(SeededRandom.createState('seed'));
+        const other = new SeededRandom(SeededRandom.createState('other'));
+
+        const sequence = [1, 2, 3, 4, 5].map(() => first.next());
+
+        expect([1, 2, 3, 4, 5].map(() => second.next())).toEqual(sequence);
+        expect([1, 2, 3, 4, 5].map(() => other.next())).not.toEqual(sequence);
+        sequence.forEach((value) => {
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        });
+    });
+
+    it('should resume the sequence from stored state', () => {
+        const rngState = SeededRandom.createState(42);
+        const random = new SeededRandom(rngState);
+        random.next();
+
+        const restored = new SeededRandom(JSON.parse(JSON.stringify(rngState)));
+
+        expect(restored.next()).toBe(random.next());
+    });
+
+    it('should create game state from the configured seed', () => {
+        const game = { config: { seed: 'abc' }, state: {} };
+
+        const value = SeededRandom.forGame(game).next();
+
+        expect(game.state.rng.seed).toBe('abc');
+        expect(new SeededRandom(SeededRandom.createState('abc')).next()).toBe(value);
+    });
+
+    it('should shuffle deterministically', () => {
+        const shuffle = () => new SeededRandom(SeededRandom.createState('deck')).shuffle([1, 2, 3, 4, 5, 6]);
+
+        expect(shuffle()).toEqual(shuffle());
+        expect([...shuffle()].sort()).toEqual([1, 2, 3, 4, 5, 6]);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,109 @@
+const { createEngine, createTestGame, startTestGame } = require('./testHelpers');
+
+describe('Reconnection', () => {
+    let gameEngine;
+
+    const gameConfig = {
+        gameType: 'tic-tac-toe',
+        turnOrderStrategy: 'join',
+        reconnectGracePeriod: 20000,
+        roomId: 'room-1'
+    };
+
+    const startGame = (options = {}, playerIds) => startTestGame(gameEngine, { ...gameConfig, ...options }, playerIds);
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        gameEngine = createEngine();
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('should hold the seat and announce a countdown when a player disconnects', () => {
+        const game = startGame();
+        const disconnected = jest.fn();
+        gameEngine.on('playerDisconnected', disconnected);
+
+        const deadline = gameEngine.disconnectPlayer(game.id, 'p2');
+
+        expect(deadline).toBe(Date.now() + 20000);
+        expect(game.state.players[1]).toMatchObject({ connected: false, reconnectDeadline: deadline });
+        expect(gameEngine.getHeldSeats('p2')).toEqual([game.id]);
+        expect(disconnected).toHaveBeenCalledWith({
+            gameId: game.id,
+            playerId: 'p2',
+            gracePeriod: 20000,
+            reconnectDeadline: deadline
+        });
+    });
+
+    it('should restore a player who reconnects within the grace period', () => {
+        const game = startGame();
+        const reconnected = jest.fn();
+        gameEngine.on('playerReconnected', reconnected);
+
+        gameEngine.disconnectPlayer(game.id, 'p2');
+        jest.advanceTimersByTime(19999);
+
+        expect(gameEngine.reconnectPlayer(game.id, 'p2')).toBe(true);
+        jest.advanceTimersByTime(1);
+
+        expect(game.state.status).toBe('active');
+        expect(game.state.players[1]).toMatchObject({ connected: true, reconnectDeadline: null });
+        expect(gameEngine.getHeldSeats('p2')).toEqual([]);
+        expect(reconnected).toHaveBeenCalledWith({ gameId: game.id, playerId: 'p2' });
+        expect(gameEngine.reconnectPlayer(game.id, 'p2')).toBe(false);
+    });
+
+    it('should forfeit an active game once the grace period runs out', () => {
+        const game = startGame();
+        const released = jest.fn();
+        const forfeited = jest.fn();
+        gameEngine.on('seatReleased', released);
+        gameEngine.on('playerForfeited', forfeited);
+
+        gameEngine.disconnectPlayer(game.id, 'p2');
+        jest.advanceTimersByTime(20000);
+
+        expect(released).toHaveBeenCalledWith({ gameId: game.id, playerId: 'p2', roomId: 'room-1' });
+        expect(forfeited).toHaveBeenCalledWith({ gameId: game.id, playerId: 'p2', reason: 'disconnected' });
+        expect(game.state).toMatchObject({ status: 'ended', endReason: 'forfeit', winner: 'p1' });
+        expect(gameEngine.replayGame(game).state).toMatchObject({ status: 'ended', winner: 'p1' });
+    });
+
+    it('should free the seat of a game that has not started', () => {
+        const game = createTestGame(gameEngine, { ...gameConfig, maxPlayers: 2 }, ['p1']);
+
+        gameEngine.disconnectPlayer(game.id, 'p1');
+        jest.advanceTimersByTime(20000);
+
+        expect(game.state.players).toEqual([]);
+    });
+
+    it('should take players who leave out of the turn order', () => {
+        const game = startGame({ gameType: 'battle' }, ['p1', 'p2', 'p3']);
+
+        gameEngine.removePlayer(game.id, 'p1');
+
+        expect(game.state.turnOrder).toEqual(['p2', 'p3']);
+        expect(game.state.currentTurn).toBe('p2');
+    });
+
+    it('should keep the seat while the game is paused', () => {
+        const game = startGame({ createdBy: 'p1' });
+
+        gameEngine.pauseGame(game.id, 'p1');
+        gameEngine.disconnectPlayer(game.id, 'p2');
+        jest.advanceTimersByTime(60000);
+        expect(game.state.status).toBe('paused');
+        expect(game.state.players[1].connected).toBe(false);
+
+        gameEngine.reconnectPlayer(game.id, 'p2');
+        gameEngine.resumeGame(game.id, 'p1');
+        expect(game.state.status).toBe('active');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,169 @@
+const { createEngine, startTestGame } = require('./testHelpers');
+const GameState = require('../src/models/GameState');
+
+const move = cell => ({ type: 'move', data: { cell } });
+
+describe('Crash recovery', () => {
+    let gameEngine;
+    let saved;
+
+    const startGame = (options = {}) => startTestGame(gameEngine, {
+        gameType: 'tic-tac-toe',
+        turnTimeLimit: 30000,
+        turnOrderStrategy: 'join',
+        createdBy: 'p1',
+        ...options
+    });
+
+    // Restart with a fresh engine that loads the saved records
+    const restart = async () => {
+        await gameEngine.flushSaves();
+        gameEngine.getActiveGames().forEach((game) => {
+            gameEngine.clearGameTimers(game.id);
+            gameEngine.clearReconnectTimers(game.id);
+        });
+        gameEngine = createEngine();
+        jest.spyOn(GameState, 'find').mockImplementation(query => ({
+            lean: () => Promise.resolve(Array.from(saved.values())
+                .filter(record => query['state.status'].$in.includes(record.state.status)))
+        }));
+        return gameEngine.recoverGames();
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        saved = new Map();
+        gameEngine = createEngine();
+        gameEngine.saveGameState.mockImplementation(async (game) => {
+            saved.set(game.id, structuredClone({
+                gameId: game.id,
+                gameType: game.config.gameType,
+                config: game.config,
+                state: game.state
+            }));
+        });
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('should save the game after every action', async () => {
+        const game = startGame();
+
+        gameEngine.processAction(game.id, 'p1', move(0));
+        await gameEngine.flushSaves(game.id);
+
+        expect(saved.get(game.id).state).toMatchObject({ currentTurn: 'p2', turnNumber: 2 });
+    });
+
+    it('should write saves of a game one at a time, in order', async () => {
+        const game = startGame();
+        await gameEngine.flushSaves(game.id);
+        const pending = [];
+        const written = [];
+        gameEngine.saveGameState.mockImplementation(savedGame => new Promise((resolve) => {
+            const { turnNumber } = savedGame.state;
+            pending.push(() => {
+                written.push(turnNumber);
+                resolve();
+            });
+        }));
+
+        gameEngine.processAction(game.id, 'p1', move(0));
+        gameEngine.processAction(game.id, 'p2', move(4));
+        expect(pending).toHaveLength(1);
+
+        pending[0]();
+        for (let i = 0; i < 10; i++) await Promise.resolve(); // Let the queue move on
+        expect(pending).toHaveLength(2);
+        pending[1]();
+        await gameEngine.flushSaves(game.id);
+
+        expect(written).toEqual([game.state.turnNumber - 1, game.state.turnNumber]);
+    });
+
+    it('should report failed saves and keep saving', async () => {
+        const game = startGame();
+        const failed = jest.fn();
+        gameEngine.on('gameSaveFailed', failed);
+        const error = new Error('Database unavailable');
+        gameEngine.saveGameState.mockRejectedValueOnce(error);
+
+        gameEngine.processAction(game.id, 'p1', move(0));
+        gameEngine.processAction(game.id, 'p2', move(4));
+        await gameEngine.flushSaves();
+
+        expect(failed).toHaveBeenCalledWith({ gameId: game.id, version: game.state.version, error });
+        expect(saved.get(game.id).state.gameData.board[4]).toBe('O');
+    });
+
+    it('should not overwrite a newer stored version', async () => {
+        const game = startGame();
+        gameEngine.saveGameState.mockRestore();
+        const update = jest.spyOn(GameState, 'findOneAndUpdate')
+            .mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+        expect(await gameEngine.saveGameState(game)).toBe(false);
+        expect(update).toHaveBeenCalledWith(
+            { gameId: game.id, 'state.version': { $not: { $gt: game.state.version } } },
+            expect.any(Object),
+            expect.any(Object)
+        );
+    });
+
+    it('should reload games in progress and let play continue', async () => {
+        const game = startGame();
+        gameEngine.processAction(game.id, 'p1', move(0));
+
+        expect(await restart()).toEqual([game.id]);
+
+        const recovered = gameEngine.getGame(game.id);
+        expect(recovered.state.gameData.board[0]).toBe('X');
+        expect(recovered.state.players.every(p => !p.connected)).toBe(true);
+
+        gameEngine.reconnectPlayer(game.id, 'p2');
+        gameEngine.processAction(game.id, 'p2', move(4));
+        expect(recovered.state.currentTurn).toBe('p1');
+    });
+
+    it('should resume the turn timer from the stored deadline', async () => {
+        const game = startGame();
+        jest.advanceTimersByTime(20000);
+
+        await restart();
+        const recovered = gameEngine.getGame(game.id);
+        jest.advanceTimersByTime(9999);
+        expect(recovered.state.currentTurn).toBe('p1');
+        jest.advanceTimersByTime(1);
+
+        expect(recovered.state.currentTurn).toBe('p2');
+        expect(recovered.state.timeouts.p1).toEqual({ total: 1, consecutive: 1 });
+    });
+
+    it('should keep paused games paused', async () => {
+        const game = startGame();
+        jest.advanceTimersByTime(10000);
+        gameEngine.pauseGame(game.id, 'p1');
+
+        await restart();
+        jest.advanceTimersByTime(60000);
+        const recovered = gameEngine.getGame(game.id);
+        expect(recovered.state.status).toBe('paused');
+
+        gameEngine.resumeGame(game.id, 'p1');
+        jest.advanceTimersByTime(20000);
+        expect(recovered.state.currentTurn).toBe('p2');
+    });
+
+    it('should not reload games that ended', async () => {
+        const game = startGame();
+        gameEngine.resign(game.id, 'p2');
+        await gameEngine.flushSaves(game.id);
+
+        expect(saved.get(game.id).state.status).toBe('ended');
+        expect(await restart()).toEqual([]);
+    });
+});
\ No newline at end of file
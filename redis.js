@@ -5,6 +5,7 @@ const logger = require('../utils/logger');
 class RedisClient {
     constructor() {
         this.client = null;
+        this.subscriber = null;
         this.isConnected = false;
     }
 
@@ -59,6 +60,11 @@ class RedisClient {
 
     async disconnect() {
         try {
+            if (this.subscriber) {
+                await this.subscriber.quit();
+                this.subscriber = null;
+            }
+
             if (this.client && this.isConnected) {
                 await this.client.quit();
                 this.isConnected = false;
@@ -220,6 +226,36 @@ class RedisClient {
             throw error;
         }
     }
+
+    // Pub/sub operations
+    async publish(channel, message) {
+        try {
+            return await this.client.publish(channel, JSON.stringify(message));
+        } catch (error) {
+            logger.error('Redis publish error:', error);
+            throw error;
+        }
+    }
+
+    async subscribe(channel, listener) {
+        try {
+            // A subscribed connection cannot run other commands, so use a second one
+            if (!this.subscriber) {
+                this.subscriber = this.client.duplicate();
+                this.subscriber.on('error', (error) => {
+                    logger.error('Redis subscriber error:', error);
+                });
+                await this.subscriber.connect();
+            }
+
+            await this.subscriber.subscribe(channel, (message) => {
+                listener(JSON.parse(message));
+            });
+        } catch (error) {
+            logger.error('Redis subscribe error:', error);
+            throw error;
+        }
+    }
 }
 
 module.exports = new RedisClient(); 
\ No newline at end of file
@@ -0,0 +1,98 @@
+const { createEngine, startTestGame } = require('./testHelpers');
+
+describe('Rematch', () => {
+    let gameEngine;
+
+    const finishGame = (options = {}) => {
+        const game = startTestGame(gameEngine, {
+            gameType: 'tic-tac-toe',
+            turnOrderStrategy: 'join',
+            seed: 'first-game',
+            roomId: 'room-1',
+            ...options
+        });
+        gameEngine.resign(game.id, 'p2');
+        return game;
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        gameEngine = createEngine();
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('should start a linked game with the same config once every player accepts', () => {
+        const game = finishGame({ ranked: true, turnTimeLimit: 20000 });
+        const resolved = jest.fn();
+        gameEngine.on('rematchResolved', resolved);
+
+        gameEngine.offerRematch(game.id, 'p2');
+        const status = gameEngine.respondToRematch(game.id, 'p1', true);
+
+        const rematch = gameEngine.getGame(status.rematchGameId);
+        expect(status).toMatchObject({ resolved: true, accepted: true });
+        expect(rematch.config).toMatchObject({ ranked: true, turnTimeLimit: 20000, previousGameId: game.id, roomId: 'room-1' });
+        expect(rematch.config.seed).not.toBe('first-game');
+        expect(rematch.state.status).toBe('active');
+        expect(rematch.state.turnOrder).toEqual(['p1', 'p2']);
+        expect(game.state.rematchGameId).toBe(rematch.id);
+        expect(resolved).toHaveBeenCalledWith(expect.objectContaining({
+            accepted: true,
+            rematchGameId: rematch.id,
+            roomId: 'room-1'
+        }));
+    });
+
+    it('should let the second player move first when swapping', () => {
+        const game = finishGame();
+
+        gameEngine.offerRematch(game.id, 'p1', true);
+        const { rematchGameId } = gameEngine.respondToRematch(game.id, 'p2', true);
+
+        const rematch = gameEngine.getGame(rematchGameId);
+        expect(rematch.state.turnOrder).toEqual(['p2', 'p1']);
+        expect(rematch.state.currentTurn).toBe('p2');
+        expect(rematch.state.gameData.marks).toEqual({ p2: 'X', p1: 'O' });
+    });
+
+    it('should drop the offer when a player declines', () => {
+        const game = finishGame();
+
+        gameEngine.offerRematch(game.id, 'p1');
+        expect(gameEngine.respondToRematch(game.id, 'p2', false)).toMatchObject({ resolved: true, accepted: false });
+
+        expect(game.state.rematchOffer).toBeNull();
+        expect(gameEngine.getActiveGames()).toHaveLength(1);
+    });
+
+    it('should save rematch offers and approvals without a new version', () => {
+        const game = startTestGame(gameEngine, { gameType: 'battle', turnOrderStrategy: 'join' }, ['p1', 'p2', 'p3']);
+        gameEngine.resign(game.id, 'p2');
+        gameEngine.resign(game.id, 'p3');
+        const version = game.state.version;
+        const persist = jest.spyOn(gameEngine, 'persistGame');
+
+        gameEngine.offerRematch(game.id, 'p1');
+        gameEngine.respondToRematch(game.id, 'p2', true);
+
+        expect(persist).toHaveBeenCalledTimes(2);
+        expect(game.state.rematchOffer.approvals).toEqual(['p1', 'p2']);
+        expect(game.state.version).toBe(version);
+    });
+
+    it('should only offer rematches for finished games, once', () => {
+        const game = gameEngine.createGame({ gameType: 'tic-tac-toe', minPlayers: 2, maxPlayers: 2 });
+        expect(() => gameEngine.offerRematch(game.id, 'p1')).toThrow('Game has not ended');
+
+        const finished = finishGame();
+        gameEngine.offerRematch(finished.id, 'p1');
+        expect(() => gameEngine.offerRematch(finished.id, 'p2')).toThrow('A rematch offer is already pending');
+        gameEngine.respondToRematch(finished.id, 'p2', true);
+        expect(() => gameEngine.offerRematch(finished.id, 'p1')).toThrow('A rematch has already been created');
+    });
+});
\ No newline at end of file
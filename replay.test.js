@@ -0,0 +1,117 @@
+const { createEngine, startTestGame } = require('./testHelpers');
+const GameState = require('../src/models/GameState');
+
+describe('Action log and replay', () => {
+    let gameEngine;
+
+    const startGame = (gameType, playerIds = ['p1', 'p2'], config = {}) =>
+        startTestGame(gameEngine, { gameType, seed: 'replay-test', ...config }, playerIds);
+
+    const playDefaultActions = (game, count = Infinity) => {
+        for (let i = 0; i < count && game.state.status === 'active'; i++) {
+            const playerId = game.state.currentTurn;
+            gameEngine.processAction(game.id, playerId, gameEngine.getDefaultAction(game, playerId));
+        }
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        gameEngine = createEngine();
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('should log every accepted action with turn, round and seed', () => {
+        const game = startGame('tic-tac-toe');
+        const [first, second] = game.state.turnOrder;
+
+        gameEngine.processAction(game.id, first, { type: 'move', data: { cell: 4 } });
+        expect(() => gameEngine.processAction(game.id, second, { type: 'move', data: { cell: 4 } })).toThrow();
+        gameEngine.processAction(game.id, second, { type: 'move', data: { cell: 0 } });
+
+        expect(game.state.turnHistory).toEqual([
+            expect.objectContaining({ type: 'action', playerId: first, action: { type: 'move', data: { cell: 4 } }, turnNumber: 1, round: 1 }),
+            expect.objectContaining({ type: 'action', playerId: second, action: { type: 'move', data: { cell: 0 } }, turnNumber: 2, round: 1 })
+        ]);
+        expect(game.state.turnHistory[0].timestamp).toBeInstanceOf(Date);
+        expect(typeof game.state.turnHistory[0].seed).toBe('number');
+        expect(game.state.currentRound).toBe(1);
+    });
+
+    it('should rebuild the state at every step of a game with random outcomes', () => {
+        const game = startGame('battle', ['p1', 'p2', 'p3']);
+        const states = [JSON.parse(JSON.stringify(game.state.gameData))];
+
+        while (game.state.status === 'active') {
+            playDefaultActions(game, 1);
+            states.push(JSON.parse(JSON.stringify(game.state.gameData)));
+        }
+
+        states.forEach((gameData, step) => {
+            expect(gameEngine.replayGame(game, step).state.gameData).toEqual(gameData);
+        });
+
+        const replay = gameEngine.replayGame(game);
+        expect(replay.state).toMatchObject({
+            status: 'ended',
+            winner: game.state.winner,
+            turnOrder: game.state.turnOrder,
+            rng: game.state.rng
+        });
+    });
+
+    it('should replay multi-action turns and skipped turns', () => {
+        const game = startGame('checkers');
+        playDefaultActions(game, 6);
+        const playerId = game.state.currentTurn;
+        jest.spyOn(gameEngine.getRules(game), 'getDefaultAction').mockReturnValueOnce(null);
+
+        gameEngine.handleTurnTimeout(game.id);
+
+        expect(game.state.turnHistory[game.state.turnHistory.length - 1]).toMatchObject({ type: 'turn_skipped', playerId });
+        const replay = gameEngine.replayGame(game);
+        expect(replay.state.currentTurn).toBe(game.state.currentTurn);
+        expect(replay.state.turnNumber).toBe(game.state.turnNumber);
+        expect(replay.state.gameData).toEqual(game.state.gameData);
+    });
+
+    it('should hide private data and generator state from players of unfinished games', () => {
+        const game = startGame('battle');
+        playDefaultActions(game, 1);
+        const [first, second] = game.state.turnOrder;
+
+        const replay = gameEngine.getReplay(game, 1, first);
+
+        expect(replay).toMatchObject({ gameId: game.id, step: 1, totalSteps: 1 });
+        expect(replay.entry).not.toHaveProperty('seed');
+        expect(replay.state).not.toHaveProperty('rng');
+        expect(replay.state.gameData.combatants[first]).toHaveProperty('attackPower');
+        expect(replay.state.gameData.combatants[second]).not.toHaveProperty('attackPower');
+        expect(() => gameEngine.getReplay(game, 2, first)).toThrow('Replay step must be between 0 and 1');
+    });
+
+    it('should rebuild finished games from their saved record', async () => {
+        const game = startGame('tic-tac-toe');
+        playDefaultActions(game);
+        const record = JSON.parse(JSON.stringify({
+            gameId: game.id,
+            gameType: game.config.gameType,
+            config: game.config,
+            state: game.state
+        }));
+        gameEngine.activeGames.delete(game.id);
+        jest.spyOn(GameState, 'findOne').mockReturnValue({ lean: () => Promise.resolve(record) });
+
+        const savedGame = await gameEngine.findGame(game.id);
+        const replay = gameEngine.getReplay(savedGame);
+
+        expect(GameState.findOne).toHaveBeenCalledWith({ gameId: game.id });
+        expect(replay.step).toBe(game.state.turnHistory.length);
+        expect(replay.state.gameData).toEqual(record.state.gameData);
+        expect(replay.state.winner).toEqual(record.state.winner);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,147 @@
+const { createEngine, startTestGame } = require('./testHelpers');
+
+const move = cell => ({ type: 'move', data: { cell } });
+const attack = targetId => ({ type: 'attack', data: { targetId } });
+
+describe('Resign and draw offers', () => {
+    let gameEngine;
+
+    const startGame = (playerIds = ['p1', 'p2'], options = {}) => startTestGame(gameEngine, {
+        gameType: playerIds.length > 2 ? 'battle' : 'tic-tac-toe',
+        turnOrderStrategy: 'join',
+        ...options
+    }, playerIds);
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        gameEngine = createEngine();
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('should end a two-player game with a forfeit win for the opponent', () => {
+        const game = startGame();
+        const forfeited = jest.fn();
+        gameEngine.on('playerForfeited', forfeited);
+
+        const result = gameEngine.resign(game.id, 'p2');
+
+        expect(result).toMatchObject({ gameEnded: true, endReason: 'forfeit', winner: 'p1' });
+        expect(game.state).toMatchObject({ status: 'ended', endReason: 'forfeit', winner: 'p1' });
+        expect(forfeited).toHaveBeenCalledWith({ gameId: game.id, playerId: 'p2', reason: 'resign' });
+    });
+
+    it('should let the other players play on when one resigns', () => {
+        const game = startGame(['p1', 'p2', 'p3']);
+
+        gameEngine.resign(game.id, 'p2');
+        expect(game.state.status).toBe('active');
+        expect(game.state.turnOrder).toEqual(['p1', 'p3']);
+        expect(game.state.currentTurn).toBe('p1');
+
+        gameEngine.resign(game.id, 'p1');
+        expect(game.state).toMatchObject({ status: 'ended', endReason: 'forfeit', winner: 'p3' });
+        expect(gameEngine.replayGame(game).state).toMatchObject({ status: 'ended', winner: 'p3' });
+    });
+
+    it('should defeat the combatant of a player who resigns from a battle', () => {
+        const game = startGame(['p1', 'p2', 'p3']);
+        gameEngine.resign(game.id, 'p2');
+
+        expect(game.state.gameData.combatants.p2.isAlive).toBe(false);
+        expect(() => gameEngine.processAction(game.id, 'p1', attack('p2'))).toThrow('Target has already been defeated');
+
+        game.state.gameData.combatants.p3.hp = 1;
+        gameEngine.processAction(game.id, 'p1', attack('p3'));
+        expect(game.state).toMatchObject({ status: 'ended', endReason: 'victory', winner: 'p1' });
+    });
+
+    it('should pass the turn to the next seat when a player resigns on their turn', () => {
+        const game = startGame(['p1', 'p2', 'p3', 'p4']);
+
+        gameEngine.processAction(game.id, 'p1', attack('p2'));
+        gameEngine.processAction(game.id, 'p2', attack('p1'));
+        gameEngine.resign(game.id, 'p3');
+
+        expect(game.state.turnOrder).toEqual(['p1', 'p2', 'p4']);
+        expect(game.state.currentTurn).toBe('p4');
+
+        gameEngine.resign(game.id, 'p4');
+        expect(game.state.currentTurn).toBe('p1');
+    });
+
+    it('should reject resignations from players out of the game', () => {
+        const game = startGame();
+
+        expect(() => gameEngine.resign(game.id, 'spectator')).toThrow('Player not found in game');
+    });
+
+    it('should draw the game once every other player accepts', () => {
+        const game = startGame(['p1', 'p2', 'p3']);
+        const resolved = jest.fn();
+        gameEngine.on('drawResolved', resolved);
+
+        gameEngine.offerDraw(game.id, 'p1');
+        expect(() => gameEngine.offerDraw(game.id, 'p2')).toThrow('A draw offer is already pending');
+        expect(() => gameEngine.respondToDraw(game.id, 'p1', true)).toThrow('Players cannot respond to their own draw offer');
+
+        expect(gameEngine.respondToDraw(game.id, 'p2', true)).toEqual({ resolved: false, accepted: false });
+        expect(gameEngine.respondToDraw(game.id, 'p3', true)).toEqual({ resolved: true, accepted: true });
+
+        expect(resolved).toHaveBeenCalledWith({ gameId: game.id, playerId: 'p1', accepted: true, reason: 'accepted' });
+        expect(game.state).toMatchObject({ status: 'ended', endReason: 'draw', winner: null });
+        expect(gameEngine.replayGame(game).state).toMatchObject({ status: 'ended', endReason: 'draw' });
+    });
+
+    it('should save pending draw offers and approvals', () => {
+        const game = startGame(['p1', 'p2', 'p3']);
+
+        const persist = jest.spyOn(gameEngine, 'persistGame');
+
+        gameEngine.offerDraw(game.id, 'p1');
+        expect(persist).toHaveBeenCalledTimes(1);
+        expect(game.state.drawOffer.approvals).toEqual(['p1']);
+
+        gameEngine.respondToDraw(game.id, 'p2', true);
+        expect(persist).toHaveBeenCalledTimes(2);
+        expect(game.state.drawOffer.approvals).toEqual(['p1', 'p2']);
+    });
+
+    it('should reject a draw offer on a single decline', () => {
+        const game = startGame();
+
+        gameEngine.offerDraw(game.id, 'p1');
+        gameEngine.respondToDraw(game.id, 'p2', false);
+
+        expect(game.state.status).toBe('active');
+        expect(game.state.drawOffer).toBeNull();
+    });
+
+    it('should decline a draw offer when a player moves instead of answering', () => {
+        const game = startGame();
+        const resolved = jest.fn();
+        gameEngine.on('drawResolved', resolved);
+
+        gameEngine.processAction(game.id, 'p1', move(0));
+        gameEngine.offerDraw(game.id, 'p1');
+        gameEngine.processAction(game.id, 'p2', move(4));
+
+        expect(game.state.drawOffer).toBeNull();
+        expect(resolved).toHaveBeenCalledWith(expect.objectContaining({ accepted: false, reason: 'declined' }));
+    });
+
+    it('should only draw the round in a match', () => {
+        const game = startGame(['p1', 'p2'], { totalRounds: 3 });
+
+        gameEngine.offerDraw(game.id, 'p1');
+        gameEngine.respondToDraw(game.id, 'p2', true);
+
+        expect(game.state.status).toBe('active');
+        expect(game.state.currentRound).toBe(2);
+        expect(game.state.roundResults).toEqual([{ round: 1, winner: null, endReason: 'draw' }]);
+    });
+});
\ No newline at end of file
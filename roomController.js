@@ -3,9 +3,11 @@ const { body, validationResult } = require('express-validator');
 const { authenticate } = require('../middleware/auth');
 const { catchAsync, AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
+const socketHandler = require('../core/socketHandler');
 const Room = require('../models/Room');
 
 const router = express.Router();
+const gameEngine = socketHandler.getGameEngine();
 
 /**
  * @swagger
@@ -98,7 +100,7 @@ router.get('/', authenticate, catchAsync(async (req, res) => {
  *                 maxLength: 200
  *               gameType:
  *                 type: string
- *                 enum: [chess, checkers, tic-tac-toe, custom]
+ *                 enum: [chess, checkers, tic-tac-toe, battle, custom]
  *               maxPlayers:
  *                 type: number
  *                 minimum: 2
@@ -109,6 +111,7 @@ router.get('/', authenticate, catchAsync(async (req, res) => {
  *                 type: string
  *               settings:
  *                 type: object
+ *                 description: Room settings; ranked rooms disallow takebacks, rules.allowTakeback enables them in casual rooms
  *     responses:
  *       201:
  *         description: Room created successfully
@@ -122,7 +125,7 @@ router.post('/', authenticate, [
         .isLength({ max: 200 })
         .withMessage('Description must be less than 200 characters'),
     body('gameType')
-        .isIn(['chess', 'checkers', 'tic-tac-toe', 'custom'])
+        .isIn(['chess', 'checkers', 'tic-tac-toe', 'battle', 'custom'])
         .withMessage('Invalid game type'),
     body('maxPlayers')
         .optional()
@@ -139,7 +142,53 @@ router.post('/', authenticate, [
     body('settings')
         .optional()
         .isObject()
-        .withMessage('Settings must be an object')
+        .withMessage('Settings must be an object'),
+    body('settings.ranked')
+        .optional()
+        .isBoolean()
+        .toBoolean()
+        .withMessage('settings.ranked must be a boolean'),
+    body('settings.rules.allowTakeback')
+        .optional()
+        .isBoolean()
+        .toBoolean()
+        .withMessage('settings.rules.allowTakeback must be a boolean'),
+    body('settings.totalRounds')
+        .optional()
+        .isInt({ min: 1, max: 15 })
+        .withMessage('settings.totalRounds must be between 1 and 15'),
+    body('settings.turnMode')
+        .optional()
+        .isIn(['sequential', 'simultaneous'])
+        .withMessage('settings.turnMode must be sequential or simultaneous'),
+    body('settings.turnOrderStrategy')
+        .optional()
+        .isIn(['join', 'random', 'initiative', 'atb'])
+        .withMessage('settings.turnOrderStrategy must be join, random, initiative or atb'),
+    body('settings.timeControl')
+        .optional()
+        .isObject()
+        .withMessage('settings.timeControl must be an object'),
+    body('settings.timeControl.type')
+        .optional()
+        .isIn(['fischer', 'bronstein', 'byoyomi'])
+        .withMessage('settings.timeControl.type must be fischer, bronstein or byoyomi'),
+    body('settings.timeControl.initial')
+        .if(body('settings.timeControl').exists())
+        .isInt({ min: 1000, max: 10800000 })
+        .withMessage('settings.timeControl.initial must be between 1 second and 3 hours'),
+    body('settings.timeoutPolicy')
+        .optional()
+        .isIn(['default', 'skip', 'forfeit', 'bot'])
+        .withMessage('settings.timeoutPolicy must be default, skip, forfeit or bot'),
+    body('settings.forfeitAfter')
+        .optional()
+        .isInt({ min: 1, max: 10 })
+        .withMessage('settings.forfeitAfter must be between 1 and 10'),
+    body('settings.reconnectGracePeriod')
+        .optional()
+        .isInt({ min: 5000, max: 600000 })
+        .withMessage('settings.reconnectGracePeriod must be between 5 seconds and 10 minutes')
 ], catchAsync(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -500,6 +549,7 @@ router.post('/:roomId/chat', authenticate, [
  *                 type: string
  *               settings:
  *                 type: object
+ *                 description: Room settings; ranked rooms disallow takebacks, rules.allowTakeback enables them in casual rooms
  *     responses:
  *       200:
  *         description: Room settings updated successfully
@@ -516,7 +566,53 @@ router.put('/:roomId/settings', authenticate, [
     body('settings')
         .optional()
         .isObject()
-        .withMessage('Settings must be an object')
+        .withMessage('Settings must be an object'),
+    body('settings.ranked')
+        .optional()
+        .isBoolean()
+        .toBoolean()
+        .withMessage('settings.ranked must be a boolean'),
+    body('settings.rules.allowTakeback')
+        .optional()
+        .isBoolean()
+        .toBoolean()
+        .withMessage('settings.rules.allowTakeback must be a boolean'),
+    body('settings.totalRounds')
+        .optional()
+        .isInt({ min: 1, max: 15 })
+        .withMessage('settings.totalRounds must be between 1 and 15'),
+    body('settings.turnMode')
+        .optional()
+        .isIn(['sequential', 'simultaneous'])
+        .withMessage('settings.turnMode must be sequential or simultaneous'),
+    body('settings.turnOrderStrategy')
+        .optional()
+        .isIn(['join', 'random', 'initiative', 'atb'])
+        .withMessage('settings.turnOrderStrategy must be join, random, initiative or atb'),
+    body('settings.timeControl')
+        .optional()
+        .isObject()
+        .withMessage('settings.timeControl must be an object'),
+    body('settings.timeControl.type')
+        .optional()
+        .isIn(['fischer', 'bronstein', 'byoyomi'])
+        .withMessage('settings.timeControl.type must be fischer, bronstein or byoyomi'),
+    body('settings.timeControl.initial')
+        .if(body('settings.timeControl').exists())
+        .isInt({ min: 1000, max: 10800000 })
+        .withMessage('settings.timeControl.initial must be between 1 second and 3 hours'),
+    body('settings.timeoutPolicy')
+        .optional()
+        .isIn(['default', 'skip', 'forfeit', 'bot'])
+        .withMessage('settings.timeoutPolicy must be default, skip, forfeit or bot'),
+    body('settings.forfeitAfter')
+        .optional()
+        .isInt({ min: 1, max: 10 })
+        .withMessage('settings.forfeitAfter must be between 1 and 10'),
+    body('settings.reconnectGracePeriod')
+        .optional()
+        .isInt({ min: 5000, max: 600000 })
+        .withMessage('settings.reconnectGracePeriod must be between 5 seconds and 10 minutes')
 ], catchAsync(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -553,6 +649,85 @@ router.put('/:roomId/settings', authenticate, [
     });
 }));
 
+/**
+ * @swagger
+ * /api/v1/rooms/{roomId}/start:
+ *   post:
+ *     summary: Start a game with the room's players and settings
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Game started successfully
+ *       400:
+ *         description: Room cannot start a game
+ *       403:
+ *         description: Only host can start the game
+ */
+router.post('/:roomId/start', authenticate, catchAsync(async (req, res) => {
+    const { roomId } = req.params;
+
+    const room = await Room.findById(roomId).populate('players.playerId', 'displayName');
+    if (!room) {
+        throw new AppError('Room not found', 404);
+    }
+
+    if (!room.isPlayerHost(req.player._id)) {
+        throw new AppError('Only host can start the game', 403);
+    }
+
+    if (!room.canStartGame()) {
+        throw new AppError('Room cannot start a game', 400);
+    }
+
+    const game = gameEngine.createGame({
+        gameType: room.gameType,
+        maxPlayers: room.maxPlayers,
+        minPlayers: 2,
+        turnTimeLimit: room.settings.turnTimeLimit,
+        rules: room.settings.rules || {},
+        ranked: room.settings.ranked,
+        totalRounds: room.settings.totalRounds,
+        turnMode: room.settings.turnMode,
+        turnOrderStrategy: room.settings.turnOrderStrategy,
+        timeControl: room.settings.timeControl,
+        timeoutPolicy: room.settings.timeoutPolicy,
+        forfeitAfter: room.settings.forfeitAfter,
+        reconnectGracePeriod: room.settings.reconnectGracePeriod,
+        createdBy: req.player._id,
+        roomId
+    });
+
+    room.getActivePlayers().forEach((roomPlayer) => {
+        gameEngine.addPlayer(game.id, {
+            id: roomPlayer.playerId._id,
+            name: roomPlayer.playerId.displayName
+        });
+    });
+
+    gameEngine.startGame(game.id);
+    await room.setGame(game.id);
+
+    // Add system message
+    await room.addSystemMessage(`${req.player.displayName} started a ${room.gameType} game`);
+
+    logger.logGameEvent('game_started', game.id, req.player._id, { roomId });
+
+    res.status(201).json({
+        status: 'success',
+        data: {
+            game
+        }
+    });
+}));
+
 /**
  * @swagger
  * /api/v1/rooms/{roomId}/host:
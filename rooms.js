@@ -91,7 +91,7 @@ router.get('/:roomId', authenticate, roomController.getRoomById);
  *                 maxLength: 500
  *               gameType:
  *                 type: string
- *                 enum: [chess, checkers, tic-tac-toe, custom]
+ *                 enum: [chess, checkers, tic-tac-toe, battle, custom]
  *               maxPlayers:
  *                 type: integer
  *                 minimum: 2
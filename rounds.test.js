@@ -0,0 +1,103 @@
+const { createEngine, startTestGame } = require('./testHelpers');
+
+describe('Rounds and best-of-N matches', () => {
+    let gameEngine;
+    let roundEvents;
+
+    const startMatch = totalRounds =>
+        startTestGame(gameEngine, { gameType: 'tic-tac-toe', totalRounds, seed: 'rounds-test' });
+
+    const playCells = (game, cells) => {
+        cells.forEach((cell) => {
+            gameEngine.processAction(game.id, game.state.currentTurn, { type: 'move', data: { cell } });
+        });
+    };
+
+    // Win the round for a player, whether they move first or second
+    const winRound = (game, playerId = game.state.turnOrder[0]) => {
+        playCells(game, playerId === game.state.turnOrder[0] ? [0, 3, 1, 4, 2] : [0, 3, 1, 4, 8, 5]);
+        return playerId;
+    };
+
+    const drawRound = (game) => {
+        playCells(game, [0, 1, 2, 4, 3, 5, 7, 6, 8]);
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        gameEngine = createEngine();
+        roundEvents = [];
+        gameEngine.on('roundStarted', data => roundEvents.push(['started', data.round]));
+        gameEngine.on('roundEnded', data => roundEvents.push(['ended', data.round, data.winner]));
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('should play a single round by default', () => {
+        const game = startMatch();
+
+        const winner = winRound(game);
+
+        expect(game.state).toMatchObject({ status: 'ended', endReason: 'victory', winner, currentRound: 1, totalRounds: 1 });
+        expect(game.state.scores[winner]).toBe(1);
+        expect(roundEvents).toEqual([['started', 1], ['ended', 1, winner]]);
+    });
+
+    it('should start a fresh round with the next first player', () => {
+        const game = startMatch(3);
+        const [first, second] = game.state.turnOrder;
+
+        winRound(game);
+
+        expect(game.state.status).toBe('active');
+        expect(game.state.currentRound).toBe(2);
+        expect(game.state.turnOrder).toEqual([second, first]);
+        expect(game.state.currentTurn).toBe(second);
+        expect(game.state.gameData.board).toEqual(Array(9).fill(null));
+        expect(game.state.gameData.marks).toEqual({ [second]: 'X', [first]: 'O' });
+        expect(game.state.scores).toEqual({ [first]: 1, [second]: 0 });
+        expect(roundEvents).toEqual([['started', 1], ['ended', 1, first], ['started', 2]]);
+    });
+
+    it('should end a best-of-three when a player clinches', () => {
+        const game = startMatch(3);
+        const [first] = game.state.turnOrder;
+
+        winRound(game, first);
+        drawRound(game);
+        expect(game.state.status).toBe('active');
+        winRound(game, first);
+
+        expect(game.state).toMatchObject({ status: 'ended', endReason: 'victory', winner: first, currentRound: 3 });
+        expect(game.state.roundResults.map(result => result.winner)).toEqual([first, null, first]);
+    });
+
+    it('should end the match early once the lead cannot be caught', () => {
+        const game = startMatch(5);
+        const [first, second] = game.state.turnOrder;
+
+        winRound(game, first);
+        winRound(game, second);
+        winRound(game, first);
+        expect(game.state.status).toBe('active');
+        winRound(game, first);
+
+        expect(game.state).toMatchObject({ status: 'ended', endReason: 'victory', winner: first, currentRound: 4 });
+        expect(game.state.scores).toEqual({ [first]: 3, [second]: 1 });
+    });
+
+    it('should draw a match that ends level', () => {
+        const game = startMatch(2);
+
+        const [first, second] = game.state.turnOrder;
+        winRound(game, first);
+        winRound(game, second);
+
+        expect(game.state).toMatchObject({ status: 'ended', endReason: 'draw', winner: null, currentRound: 2 });
+        expect(gameEngine.replayGame(game).state).toMatchObject({ status: 'ended', endReason: 'draw', currentRound: 2 });
+    });
+});
\ No newline at end of file
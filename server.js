@@ -148,7 +148,9 @@ socketHandler(io);
 // Graceful shutdown
 process.on('SIGTERM', () => {
     logger.info('SIGTERM received, shutting down gracefully');
-    server.close(() => {
+    server.close(async () => {
+        // Let queued game saves reach the database
+        await socketHandler.getGameEngine().flushSaves();
         logger.info('Process terminated');
         process.exit(0);
     });
@@ -156,7 +158,9 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
     logger.info('SIGINT received, shutting down gracefully');
-    server.close(() => {
+    server.close(async () => {
+        // Let queued game saves reach the database
+        await socketHandler.getGameEngine().flushSaves();
         logger.info('Process terminated');
         process.exit(0);
     });
@@ -173,6 +177,16 @@ const startServer = async () => {
         await redis.connect();
         logger.info('Redis connected successfully');
 
+        // Relay socket messages to the other nodes when games are shared
+        await socketHandler.startBroadcasting();
+
+        // Reload games that were in progress before the last shutdown
+        const recoveredGames = await socketHandler.getGameEngine().recoverGames();
+        logger.info(`Recovered ${recoveredGames.length} games`);
+
+        // Fire game timers, including durable ones that fell due while no server was running
+        await socketHandler.getGameEngine().timers.start();
+
         // Start HTTP server
         server.listen(config.port, config.host, () => {
             logger.info(`Server running on http://${config.host}:${config.port}`);
@@ -0,0 +1,195 @@
+const { createEngine, startTestGame } = require('./testHelpers');
+const GameRules = require('../src/core/gameRules');
+const BattleRules = require('../src/core/battle');
+const TicTacToeRules = require('../src/core/ticTacToe');
+const { GameRegistry } = require('../src/core/gameRegistry');
+
+// Each player adds their number to a shared total; whoever reaches 10 wins
+class CounterRules extends GameRules {
+    get supportsSimultaneous() {
+        return true;
+    }
+
+    initializeGameData() {
+        return { total: 0, order: [] };
+    }
+
+    executeAction(game, playerId, action) {
+        const total = game.state.gameData.total + action.data.amount;
+        return {
+            gameData: { total, order: [...game.state.gameData.order, playerId] },
+            gameEnded: total >= 10,
+            endReason: 'victory',
+            winner: playerId
+        };
+    }
+}
+
+// Players claim cells of a shared board; a claimed cell cannot be taken again
+class ClaimRules extends GameRules {
+    get supportsSimultaneous() {
+        return true;
+    }
+
+    initializeGameData() {
+        return { cells: [null, null, null] };
+    }
+
+    validateAction(game, playerId, action) {
+        if (game.state.gameData.cells[action.data.cell] !== null) {
+            return { valid: false, error: 'Cell is already taken' };
+        }
+        return { valid: true };
+    }
+
+    executeAction(game, playerId, action) {
+        const cells = [...game.state.gameData.cells];
+        cells[action.data.cell] = playerId;
+        return { gameData: { cells }, gameEnded: false };
+    }
+}
+
+describe('Simultaneous turns', () => {
+    let gameEngine;
+
+    const startGame = (gameType, playerIds = ['p1', 'p2'], rules = {}) => startTestGame(gameEngine, {
+        gameType,
+        turnTimeLimit: 30000,
+        turnMode: 'simultaneous',
+        seed: 'simultaneous-test',
+        rules
+    }, playerIds);
+
+    const attack = targetId => ({ type: 'attack', data: { targetId } });
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        const registry = new GameRegistry();
+        registry.register('battle', new BattleRules());
+        registry.register('counter', new CounterRules());
+        registry.register('claim', new ClaimRules());
+        gameEngine = createEngine(registry);
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('should hide committed actions until every player has committed', () => {
+        const game = startGame('battle');
+        const gameData = game.state.gameData;
+        const revealed = jest.fn();
+        gameEngine.on('actionsRevealed', revealed);
+
+        expect(game.state.currentTurn).toBeNull();
+        expect(gameEngine.processAction(game.id, 'p1', attack('p2')))
+            .toEqual({ committed: true, waitingFor: ['p2'], resolved: false });
+
+        expect(game.state.gameData).toBe(gameData);
+        expect(gameEngine.getGameState(game.id, 'p2')).toMatchObject({ pendingActions: {}, committedPlayers: ['p1'] });
+        expect(gameEngine.getGameState(game.id, 'p1').pendingActions).toEqual({ p1: attack('p2') });
+        expect(() => gameEngine.processAction(game.id, 'p1', attack('p2'))).toThrow('Action already submitted for this turn');
+        expect(() => gameEngine.processAction(game.id, 'p3', attack('p1'))).toThrow('Not your turn');
+        expect(() => gameEngine.processAction(game.id, 'p2', attack('p2'))).toThrow('Combatants cannot attack themselves');
+
+        const { resolved, result } = gameEngine.processAction(game.id, 'p2', attack('p1'));
+
+        expect(resolved).toBe(true);
+        expect(result.gameData.log.map(entry => entry.attackerId).sort()).toEqual(['p1', 'p2']);
+        expect(revealed).toHaveBeenCalledWith(expect.objectContaining({
+            actions: { p1: attack('p2'), p2: attack('p1') }
+        }));
+        expect(game.state.pendingActions).toEqual({});
+        expect(game.state.turnNumber).toBe(2);
+        expect(game.state.turnHistory).toEqual([
+            expect.objectContaining({ type: 'simultaneous', action: { p1: attack('p2'), p2: attack('p1') }, turnNumber: 1 })
+        ]);
+    });
+
+    it('should land simultaneous attacks at once', () => {
+        const game = startGame('battle', ['p1', 'p2'], { hp: 1 });
+
+        gameEngine.processAction(game.id, 'p1', attack('p2'));
+        gameEngine.processAction(game.id, 'p2', attack('p1'));
+
+        expect(game.state).toMatchObject({ status: 'ended', endReason: 'draw', winner: null });
+    });
+
+    it('should resolve with default actions when the turn times out', () => {
+        const game = startGame('battle', ['p1', 'p2', 'p3']);
+
+        gameEngine.processAction(game.id, 'p1', attack('p2'));
+        jest.advanceTimersByTime(30000);
+
+        const [entry] = game.state.turnHistory;
+        expect(Object.keys(entry.action).sort()).toEqual(['p1', 'p2', 'p3']);
+        expect(game.state.turnNumber).toBe(2);
+    });
+
+    it('should resolve without players who have no default action', () => {
+        const game = startGame('counter');
+
+        gameEngine.processAction(game.id, 'p2', { type: 'add', data: { amount: 3 } });
+        jest.advanceTimersByTime(30000);
+
+        expect(game.state.gameData).toEqual({ total: 3, order: ['p2'] });
+    });
+
+    it('should execute actions in turn order by default', () => {
+        const game = startGame('counter');
+        const [first, second] = game.state.turnOrder;
+
+        gameEngine.processAction(game.id, second, { type: 'add', data: { amount: 8 } });
+        gameEngine.processAction(game.id, first, { type: 'add', data: { amount: 4 } });
+
+        expect(game.state.gameData.order).toEqual([first, second]);
+        expect(game.state).toMatchObject({ status: 'ended', winner: second });
+        expect(gameEngine.replayGame(game).state).toMatchObject({ status: 'ended', winner: second });
+    });
+
+    it('should rebuild simultaneous games from the action log', () => {
+        const game = startGame('battle', ['p1', 'p2', 'p3']);
+        for (let turn = 0; turn < 3; turn++) {
+            jest.advanceTimersByTime(30000);
+        }
+
+        expect(gameEngine.replayGame(game).state.gameData).toEqual(game.state.gameData);
+    });
+
+    it('should reject actions that conflict with an earlier one in turn order', () => {
+        const game = startGame('claim');
+        const [first, second] = game.state.turnOrder;
+        const revealed = jest.fn();
+        gameEngine.on('actionsRevealed', revealed);
+
+        gameEngine.processAction(game.id, second, { type: 'claim', data: { cell: 1 } });
+        const { result } = gameEngine.processAction(game.id, first, { type: 'claim', data: { cell: 1 } });
+
+        expect(game.state.gameData.cells).toEqual([null, first, null]);
+        expect(result.rejectedActions).toEqual({ [second]: 'Cell is already taken' });
+        expect(revealed).toHaveBeenCalledWith(expect.objectContaining({
+            result: expect.objectContaining({ rejectedActions: { [second]: 'Cell is already taken' } })
+        }));
+        expect(gameEngine.replayGame(game).state.gameData).toEqual(game.state.gameData);
+    });
+
+    it('should only allow simultaneous mode for rule modules that opt in', () => {
+        const registry = new GameRegistry();
+        registry.register('tic-tac-toe', new TicTacToeRules());
+
+        expect(() => createEngine(registry).createGame({ gameType: 'tic-tac-toe', turnMode: 'simultaneous' }))
+            .toThrow('Game type tic-tac-toe does not support simultaneous turns');
+    });
+
+    it('should reject simultaneous mode for rule modules that cannot resolve it', () => {
+        const registry = new GameRegistry();
+        const { resolveActions, ...plainRules } = Object.getOwnPropertyNames(GameRules.prototype)
+            .reduce((hooks, name) => ({ ...hooks, [name]: GameRules.prototype[name] }), {});
+        registry.register('plain', plainRules);
+
+        expect(() => createEngine(registry).createGame({ gameType: 'plain', turnMode: 'simultaneous' }))
+            .toThrow('Game type plain does not support simultaneous turns');
+    });
+});
\ No newline at end of file
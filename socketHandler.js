@@ -1,7 +1,10 @@
 const logger = require('../utils/logger');
 const GameEngine = require('./gameEngine');
+const Broadcaster = require('./broadcaster');
+const { isFinished } = require('./gameLifecycle');
 const PlayerService = require('../services/playerService');
 const RoomService = require('../services/roomService');
+const Room = require('../models/Room');
 const { authenticateSocket } = require('../middleware/auth');
 
 class SocketHandler {
@@ -12,6 +15,8 @@ class SocketHandler {
         this.connectedPlayers = new Map(); // socketId -> playerId
         this.playerSockets = new Map(); // playerId -> socketId
         this.gameRooms = new Map(); // gameId -> Set of socketIds
+        this.stateViews = new Map(); // `${socketId}:${gameId}` -> { version, state } last sent to the socket
+        this.broadcaster = new Broadcaster();
     }
 
     /**
@@ -50,7 +55,8 @@ class SocketHandler {
 
             // Store player connection
             this.connectedPlayers.set(socket.id, player.id);
-            this.playerSockets.set(player.id, socket.id);
+            this.playerSockets.set(String(player.id), socket.id);
+            await this.gameEngine.store.setPresence(player.id, socket.id);
 
             // Join player to their active games
             await this.joinPlayerToGames(socket, player);
@@ -105,6 +111,61 @@ class SocketHandler {
             await this.handlePlayerReady(socket, player, data);
         });
 
+        // Pause and resume
+        socket.on('pause_game', async (data) => {
+            await this.handlePauseGame(socket, player, data);
+        });
+
+        socket.on('resume_game', async (data) => {
+            await this.handleResumeGame(socket, player, data);
+        });
+
+        // Take turns back from the bot after timing out
+        socket.on('take_control', async (data) => {
+            await this.handleTakeControl(socket, player, data);
+        });
+
+        // Resignation and draw offers
+        socket.on('resign', async (data) => {
+            await this.handleResign(socket, player, data);
+        });
+
+        socket.on('draw_offer', async (data) => {
+            await this.handleDrawOffer(socket, player, data);
+        });
+
+        socket.on('draw_response', async (data) => {
+            await this.handleDrawResponse(socket, player, data);
+        });
+
+        // Rematch after a game ends
+        socket.on('rematch_offer', async (data) => {
+            await this.handleRematchOffer(socket, player, data);
+        });
+
+        socket.on('rematch_response', async (data) => {
+            await this.handleRematchResponse(socket, player, data);
+        });
+
+        // Takeback requests
+        socket.on('takeback_request', async (data) => {
+            await this.handleTakebackRequest(socket, player, data);
+        });
+
+        socket.on('takeback_response', async (data) => {
+            await this.handleTakebackResponse(socket, player, data);
+        });
+
+        // Full game state, for clients that missed a state patch
+        socket.on('request_game_state', async (data) => {
+            await this.handleRequestGameState(socket, player, data);
+        });
+
+        // Step through a game replay
+        socket.on('replay_step', async (data) => {
+            await this.handleReplayStep(socket, player, data);
+        });
+
         // Chat message
         socket.on('chat_message', async (data) => {
             await this.handleChatMessage(socket, player, data);
@@ -116,8 +177,8 @@ class SocketHandler {
         });
 
         // Disconnect
-        socket.on('disconnect', () => {
-            this.handleDisconnect(socket, player);
+        socket.on('disconnect', async () => {
+            await this.handleDisconnect(socket, player);
         });
 
         // Error handling
@@ -159,11 +220,11 @@ class SocketHandler {
             }
 
             // Notify other players
-            socket.to(roomId).emit('player_joined_room', {
+            this.emitToRoom(roomId, 'player_joined_room', {
                 playerId: player.id,
                 playerName: player.name,
                 timestamp: new Date().toISOString()
-            });
+            }, socket.id);
 
             // Send room state to joining player
             const roomState = await this.roomService.getRoomState(roomId, player.id);
@@ -205,11 +266,11 @@ class SocketHandler {
             }
 
             // Notify other players
-            socket.to(roomId).emit('player_left_room', {
+            this.emitToRoom(roomId, 'player_left_room', {
                 playerId: player.id,
                 playerName: player.name,
                 timestamp: new Date().toISOString()
-            });
+            }, socket.id);
 
             logger.logSocketEvent('leave_room', socket.id, roomId, { playerId: player.id });
 
@@ -261,7 +322,7 @@ class SocketHandler {
      */
     async handleGameAction(socket, player, data) {
         try {
-            const { gameId, action } = data;
+            const { gameId, action, expectedVersion, idempotencyKey } = data;
 
             if (!gameId || !action) {
                 socket.emit('error', { message: 'Game ID and action are required' });
@@ -269,16 +330,45 @@ class SocketHandler {
             }
 
             // Process action through game engine
-            const result = this.gameEngine.processAction(gameId, player.id, action);
+            const options = { expectedVersion, idempotencyKey };
+            const { result, outcome } = await this.gameEngine.withGameLock(gameId, () => {
+                const actionResult = this.gameEngine.processAction(gameId, player.id, action, options);
+                return { result: actionResult, outcome: this.gameEngine.summarizeAction(gameId, actionResult) };
+            });
 
-            // Broadcast action result to all players in the game
-            const gameRoom = `game_${gameId}`;
-            this.io.to(gameRoom).emit('game_action_result', {
+            // Only the outcome is sent; players get the state itself as filtered patches
+            const actionResult = {
+                gameId,
                 playerId: player.id,
                 action,
-                result,
-                timestamp: new Date().toISOString()
-            });
+                version: outcome.version,
+                gameEnded: outcome.gameEnded,
+                winner: outcome.winner
+            };
+
+            // A retry only goes back to the socket that sent it
+            if (result.duplicate) {
+                socket.emit('game_action_result', {
+                    ...actionResult,
+                    duplicate: true,
+                    timestamp: new Date().toISOString()
+                });
+            } else if (result.committed) {
+                // Simultaneous-turn actions stay hidden until the engine reveals them
+                socket.emit('action_committed', {
+                    gameId,
+                    action,
+                    waitingFor: result.waitingFor,
+                    timestamp: new Date().toISOString()
+                });
+            } else {
+                // Broadcast action result to all players in the game
+                const gameRoom = `game_${gameId}`;
+                this.emitToRoom(gameRoom, 'game_action_result', {
+                    ...actionResult,
+                    timestamp: new Date().toISOString()
+                });
+            }
 
             logger.logSocketEvent('game_action', socket.id, gameId, {
                 playerId: player.id,
@@ -287,7 +377,7 @@ class SocketHandler {
 
         } catch (error) {
             logger.error('Game action error:', error);
-            socket.emit('error', { message: error.message });
+            socket.emit('error', { message: error.message, code: error.code, details: error.details });
         }
     }
 
@@ -306,29 +396,34 @@ class SocketHandler {
                 return;
             }
 
-            const game = this.gameEngine.getGame(gameId);
-            if (!game) {
-                socket.emit('error', { message: 'Game not found' });
-                return;
-            }
+            const found = await this.gameEngine.withGameLock(gameId, () => {
+                const game = this.gameEngine.getGame(gameId);
+                if (!game) return false;
 
-            // Update player ready status
-            const gamePlayer = game.state.players.find(p => p.id === player.id);
-            if (gamePlayer) {
-                gamePlayer.ready = ready;
-                game.state.updatedAt = new Date();
-            }
+                // Update player ready status
+                const gamePlayer = game.state.players.find(p => p.id === player.id);
+                if (gamePlayer) {
+                    gamePlayer.ready = ready;
+                    game.state.updatedAt = new Date();
+                }
 
-            // Broadcast ready status to all players in the game
-            const gameRoom = `game_${gameId}`;
-            this.io.to(gameRoom).emit('player_ready_status', {
-                playerId: player.id,
-                ready,
-                timestamp: new Date().toISOString()
+                // Broadcast ready status to all players in the game
+                const gameRoom = `game_${gameId}`;
+                this.emitToRoom(gameRoom, 'player_ready_status', {
+                    playerId: player.id,
+                    ready,
+                    timestamp: new Date().toISOString()
+                });
+
+                // Check if game should start
+                this.gameEngine.checkGameStart(gameId);
+                return true;
             });
 
-            // Check if game should start
-            this.gameEngine.checkGameStart(gameId);
+            if (!found) {
+                socket.emit('error', { message: 'Game not found' });
+                return;
+            }
 
             logger.logSocketEvent('player_ready', socket.id, gameId, {
                 playerId: player.id,
@@ -342,189 +437,1080 @@ class SocketHandler {
     }
 
     /**
-     * Handle chat message
+     * Handle a request or vote to pause a game
      * @param {Object} socket - Socket instance
      * @param {Object} player - Player object
-     * @param {Object} data - Chat message data
+     * @param {Object} data - Pause data ({ gameId })
      */
-    async handleChatMessage(socket, player, data) {
+    async handlePauseGame(socket, player, data) {
         try {
-            const { roomId, message, type = 'text' } = data;
+            const { gameId } = data;
 
-            if (!roomId || !message) {
-                socket.emit('error', { message: 'Room ID and message are required' });
+            if (!gameId) {
+                socket.emit('error', { message: 'Game ID is required' });
                 return;
             }
 
-            const chatMessage = {
-                playerId: player.id,
-                playerName: player.name,
-                message,
-                type,
-                timestamp: new Date().toISOString()
-            };
+            await this.gameEngine.withGameLock(gameId, () => this.gameEngine.pauseGame(gameId, player.id));
 
-            // Broadcast message to room
-            this.io.to(roomId).emit('chat_message', chatMessage);
+            logger.logSocketEvent('pause_game', socket.id, gameId, { playerId: player.id });
 
-            // Store message in database
-            await this.roomService.addChatMessage(roomId, chatMessage);
+        } catch (error) {
+            logger.error('Pause game error:', error);
+            socket.emit('error', { message: error.message });
+        }
+    }
 
-            logger.logSocketEvent('chat_message', socket.id, roomId, {
-                playerId: player.id,
-                messageType: type
-            });
+    /**
+     * Handle a request or vote to resume a game
+     * @param {Object} socket - Socket instance
+     * @param {Object} player - Player object
+     * @param {Object} data - Resume data ({ gameId })
+     */
+    async handleResumeGame(socket, player, data) {
+        try {
+            const { gameId } = data;
+
+            if (!gameId) {
+                socket.emit('error', { message: 'Game ID is required' });
+                return;
+            }
+
+            await this.gameEngine.withGameLock(gameId, () => this.gameEngine.resumeGame(gameId, player.id));
+
+            logger.logSocketEvent('resume_game', socket.id, gameId, { playerId: player.id });
 
         } catch (error) {
-            logger.error('Chat message error:', error);
+            logger.error('Resume game error:', error);
             socket.emit('error', { message: error.message });
         }
     }
 
     /**
-     * Handle socket disconnect
+     * Handle a player taking their turns back from the bot
      * @param {Object} socket - Socket instance
      * @param {Object} player - Player object
+     * @param {Object} data - Control data ({ gameId })
      */
-    handleDisconnect(socket, player) {
+    async handleTakeControl(socket, player, data) {
         try {
-            logger.logSocketEvent('disconnect', socket.id, null, { playerId: player.id });
+            const { gameId } = data;
 
-            // Remove from connected players
-            this.connectedPlayers.delete(socket.id);
-            this.playerSockets.delete(player.id);
+            if (!gameId) {
+                socket.emit('error', { message: 'Game ID is required' });
+                return;
+            }
 
-            // Leave all rooms
-            socket.rooms.forEach((roomId) => {
-                if (roomId !== socket.id) {
-                    this.handleLeaveRoom(socket, player, { roomId });
-                }
-            });
+            await this.gameEngine.withGameLock(gameId, () => this.gameEngine.takeControl(gameId, player.id));
 
-            // Update player status
-            this.playerService.updatePlayerStatus(player.id, 'offline');
+            logger.logSocketEvent('take_control', socket.id, gameId, { playerId: player.id });
 
         } catch (error) {
-            logger.error('Disconnect error:', error);
+            logger.error('Take control error:', error);
+            socket.emit('error', { message: error.message });
         }
     }
 
     /**
-     * Join player to their active games
+     * Handle a player resigning
      * @param {Object} socket - Socket instance
      * @param {Object} player - Player object
+     * @param {Object} data - Resign data ({ gameId })
      */
-    async joinPlayerToGames(socket, player) {
+    async handleResign(socket, player, data) {
         try {
-            const activeGames = await this.playerService.getPlayerActiveGames(player.id);
+            const { gameId } = data;
 
-            for (const gameId of activeGames) {
-                await this.joinPlayerToGame(socket, player, gameId);
+            if (!gameId) {
+                socket.emit('error', { message: 'Game ID is required' });
+                return;
             }
+
+            await this.gameEngine.withGameLock(gameId, () => this.gameEngine.resign(gameId, player.id));
+
+            logger.logSocketEvent('resign', socket.id, gameId, { playerId: player.id });
+
         } catch (error) {
-            logger.error('Join player to games error:', error);
+            logger.error('Resign error:', error);
+            socket.emit('error', { message: error.message });
         }
     }
 
     /**
-     * Join player to a specific game
+     * Handle a draw offer
      * @param {Object} socket - Socket instance
      * @param {Object} player - Player object
-     * @param {string} gameId - Game ID
+     * @param {Object} data - Draw offer data ({ gameId })
      */
-    async joinPlayerToGame(socket, player, gameId) {
+    async handleDrawOffer(socket, player, data) {
         try {
-            const gameRoom = `game_${gameId}`;
-            socket.join(gameRoom);
+            const { gameId } = data;
 
-            // Add to game rooms tracking
-            if (!this.gameRooms.has(gameId)) {
-                this.gameRooms.set(gameId, new Set());
+            if (!gameId) {
+                socket.emit('error', { message: 'Game ID is required' });
+                return;
             }
-            this.gameRooms.get(gameId).add(socket.id);
 
-            // Send current game state
-            const gameState = this.gameEngine.getGameState(gameId, player.id);
-            socket.emit('game_state', {
-                gameId,
-                state: gameState,
-                timestamp: new Date().toISOString()
+            await this.gameEngine.withGameLock(gameId, () => this.gameEngine.offerDraw(gameId, player.id));
+
+            logger.logSocketEvent('draw_offer', socket.id, gameId, { playerId: player.id });
+
+        } catch (error) {
+            logger.error('Draw offer error:', error);
+            socket.emit('error', { message: error.message });
+        }
+    }
+
+    /**
+     * Handle an answer to a draw offer
+     * @param {Object} socket - Socket instance
+     * @param {Object} player - Player object
+     * @param {Object} data - Response data ({ gameId, accept })
+     */
+    async handleDrawResponse(socket, player, data) {
+        try {
+            const { gameId, accept } = data;
+
+            if (!gameId || typeof accept !== 'boolean') {
+                socket.emit('error', { message: 'Game ID and accept are required' });
+                return;
+            }
+
+            await this.gameEngine.withGameLock(gameId, () => this.gameEngine.respondToDraw(gameId, player.id, accept));
+
+            logger.logSocketEvent('draw_response', socket.id, gameId, {
+                playerId: player.id,
+                accept
             });
 
-            logger.logSocketEvent('join_game', socket.id, gameId, { playerId: player.id });
+        } catch (error) {
+            logger.error('Draw response error:', error);
+            socket.emit('error', { message: error.message });
+        }
+    }
+
+    /**
+     * Handle a rematch offer
+     * @param {Object} socket - Socket instance
+     * @param {Object} player - Player object
+     * @param {Object} data - Rematch offer data ({ gameId, swapFirstPlayer })
+     */
+    async handleRematchOffer(socket, player, data) {
+        try {
+            const { gameId, swapFirstPlayer = false } = data;
+
+            if (!gameId) {
+                socket.emit('error', { message: 'Game ID is required' });
+                return;
+            }
+
+            await this.gameEngine.withGameLock(gameId, () => (
+                this.gameEngine.offerRematch(gameId, player.id, Boolean(swapFirstPlayer))
+            ));
+
+            logger.logSocketEvent('rematch_offer', socket.id, gameId, { playerId: player.id });
 
         } catch (error) {
-            logger.error('Join player to game error:', error);
+            logger.error('Rematch offer error:', error);
+            socket.emit('error', { message: error.message });
         }
     }
 
     /**
-     * Leave player from a specific game
+     * Handle an answer to a rematch offer
      * @param {Object} socket - Socket instance
      * @param {Object} player - Player object
-     * @param {string} gameId - Game ID
+     * @param {Object} data - Response data ({ gameId, accept })
      */
-    async leavePlayerFromGame(socket, player, gameId) {
+    async handleRematchResponse(socket, player, data) {
         try {
-            const gameRoom = `game_${gameId}`;
-            socket.leave(gameRoom);
+            const { gameId, accept } = data;
 
-            // Remove from game rooms tracking
-            const gameSockets = this.gameRooms.get(gameId);
-            if (gameSockets) {
-                gameSockets.delete(socket.id);
-                if (gameSockets.size === 0) {
-                    this.gameRooms.delete(gameId);
-                }
+            if (!gameId || typeof accept !== 'boolean') {
+                socket.emit('error', { message: 'Game ID and accept are required' });
+                return;
             }
 
-            logger.logSocketEvent('leave_game', socket.id, gameId, { playerId: player.id });
+            await this.gameEngine.withGameLock(gameId, () => this.gameEngine.respondToRematch(gameId, player.id, accept));
+
+            logger.logSocketEvent('rematch_response', socket.id, gameId, {
+                playerId: player.id,
+                accept
+            });
 
         } catch (error) {
-            logger.error('Leave player from game error:', error);
+            logger.error('Rematch response error:', error);
+            socket.emit('error', { message: error.message });
         }
     }
 
     /**
-     * Set up game engine event listeners
+     * Handle a request to take back the player's last action
+     * @param {Object} socket - Socket instance
+     * @param {Object} player - Player object
+     * @param {Object} data - Takeback request data ({ gameId })
      */
-    setupGameEngineListeners() {
-        // Game started
-        this.gameEngine.on('gameStarted', (data) => {
+    async handleTakebackRequest(socket, player, data) {
+        try {
             const { gameId } = data;
-            const gameRoom = `game_${gameId}`;
 
-            this.io.to(gameRoom).emit('game_started', {
-                gameId,
-                timestamp: new Date().toISOString()
-            });
-        });
+            if (!gameId) {
+                socket.emit('error', { message: 'Game ID is required' });
+                return;
+            }
 
-        // Turn started
-        this.gameEngine.on('turnStarted', (data) => {
-            const { gameId, playerId } = data;
-            const gameRoom = `game_${gameId}`;
+            await this.gameEngine.withGameLock(gameId, () => this.gameEngine.requestTakeback(gameId, player.id));
 
-            this.io.to(gameRoom).emit('turn_started', {
-                gameId,
-                playerId,
-                timestamp: new Date().toISOString()
-            });
-        });
+            logger.logSocketEvent('takeback_request', socket.id, gameId, { playerId: player.id });
 
-        // Game ended
-        this.gameEngine.on('gameEnded', (data) => {
-            const { gameId, reason, winner, gameState } = data;
-            const gameRoom = `game_${gameId}`;
+        } catch (error) {
+            logger.error('Takeback request error:', error);
+            socket.emit('error', { message: error.message });
+        }
+    }
 
-            this.io.to(gameRoom).emit('game_ended', {
-                gameId,
-                reason,
-                winner,
-                gameState,
-                timestamp: new Date().toISOString()
+    /**
+     * Handle a response to a pending takeback request
+     * @param {Object} socket - Socket instance
+     * @param {Object} player - Player object
+     * @param {Object} data - Takeback response data ({ gameId, accept })
+     */
+    async handleTakebackResponse(socket, player, data) {
+        try {
+            const { gameId, accept } = data;
+
+            if (!gameId || typeof accept !== 'boolean') {
+                socket.emit('error', { message: 'Game ID and accept are required' });
+                return;
+            }
+
+            await this.gameEngine.withGameLock(gameId, () => this.gameEngine.respondToTakeback(gameId, player.id, accept));
+
+            logger.logSocketEvent('takeback_response', socket.id, gameId, {
+                playerId: player.id,
+                accept
             });
-        });
+
+        } catch (error) {
+            logger.error('Takeback response error:', error);
+            socket.emit('error', { message: error.message });
+        }
+    }
+
+    /**
+     * Handle a request for a full game state snapshot. Clients ask for one
+     * when a state patch's baseVersion is not the version they have.
+     * @param {Object} socket - Socket instance
+     * @param {Object} player - Player object
+     * @param {Object} data - Request data ({ gameId })
+     */
+    async handleRequestGameState(socket, player, data) {
+        try {
+            const { gameId } = data;
+
+            if (!gameId) {
+                socket.emit('error', { message: 'Game ID is required' });
+                return;
+            }
+
+            const gameSockets = this.gameRooms.get(gameId);
+            if (!gameSockets || !gameSockets.has(socket.id)) {
+                socket.emit('error', { message: 'Not in this game' });
+                return;
+            }
+
+            await this.gameEngine.withGameLock(gameId, () => {
+                this.sendGameSnapshot(socket.id, player.id, gameId);
+            }, { readOnly: true });
+
+            logger.logSocketEvent('request_game_state', socket.id, gameId, { playerId: player.id });
+
+        } catch (error) {
+            logger.error('Request game state error:', error);
+            socket.emit('error', { message: error.message });
+        }
+    }
+
+    /**
+     * Handle a request for a game's state at a step of its action log
+     * @param {Object} socket - Socket instance
+     * @param {Object} player - Player object
+     * @param {Object} data - Replay step data ({ gameId, step })
+     */
+    async handleReplayStep(socket, player, data) {
+        try {
+            const { gameId, step } = data;
+
+            if (!gameId) {
+                socket.emit('error', { message: 'Game ID is required' });
+                return;
+            }
+
+            const game = await this.gameEngine.findGame(gameId);
+            if (!game) {
+                socket.emit('error', { message: 'Game not found' });
+                return;
+            }
+
+            const replay = this.gameEngine.getReplay(game, step === undefined ? null : step, player.id);
+
+            socket.emit('replay_state', {
+                ...replay,
+                timestamp: new Date().toISOString()
+            });
+
+            logger.logSocketEvent('replay_step', socket.id, gameId, {
+                playerId: player.id,
+                step: replay.step
+            });
+
+        } catch (error) {
+            logger.error('Replay step error:', error);
+            socket.emit('error', { message: error.message });
+        }
+    }
+
+    /**
+     * Handle chat message
+     * @param {Object} socket - Socket instance
+     * @param {Object} player - Player object
+     * @param {Object} data - Chat message data
+     */
+    async handleChatMessage(socket, player, data) {
+        try {
+            const { roomId, message, type = 'text' } = data;
+
+            if (!roomId || !message) {
+                socket.emit('error', { message: 'Room ID and message are required' });
+                return;
+            }
+
+            const chatMessage = {
+                playerId: player.id,
+                playerName: player.name,
+                message,
+                type,
+                timestamp: new Date().toISOString()
+            };
+
+            // Broadcast message to room
+            this.emitToRoom(roomId, 'chat_message', chatMessage);
+
+            // Store message in database
+            await this.roomService.addChatMessage(roomId, chatMessage);
+
+            logger.logSocketEvent('chat_message', socket.id, roomId, {
+                playerId: player.id,
+                messageType: type
+            });
+
+        } catch (error) {
+            logger.error('Chat message error:', error);
+            socket.emit('error', { message: error.message });
+        }
+    }
+
+    /**
+     * Handle socket disconnect
+     * @param {Object} socket - Socket instance
+     * @param {Object} player - Player object
+     */
+    async handleDisconnect(socket, player) {
+        try {
+            logger.logSocketEvent('disconnect', socket.id, null, { playerId: player.id });
+            const rooms = Array.from(socket.rooms);
+
+            // Remove from connected players
+            this.connectedPlayers.delete(socket.id);
+            await this.gameEngine.store.removePresence(player.id, socket.id);
+
+            // The player may still be connected through another tab or device
+            const otherSocketId = this.findPlayerSocket(player.id);
+            if (otherSocketId) {
+                this.playerSockets.set(String(player.id), otherSocketId);
+                if (!await this.gameEngine.store.getPresence(player.id)) {
+                    await this.gameEngine.store.setPresence(player.id, otherSocketId);
+                }
+            } else {
+                this.playerSockets.delete(String(player.id));
+            }
+
+            const gameIds = Array.from(this.gameRooms.keys())
+                .filter(gameId => this.gameRooms.get(gameId).has(socket.id));
+
+            // Only the player's last connection dropping holds their seats
+            if (otherSocketId || await this.gameEngine.store.getPresence(player.id)) {
+                for (const gameId of gameIds) {
+                    await this.leavePlayerFromGame(socket, player, gameId);
+                }
+                return;
+            }
+
+            // Hold the player's seat in their games for the reconnect grace period
+            const heldRooms = new Set();
+            for (const gameId of gameIds) {
+                await this.leavePlayerFromGame(socket, player, gameId);
+
+                const game = await this.gameEngine.withGameLock(gameId, () => {
+                    const seatedGame = this.gameEngine.getGame(gameId);
+                    if (!seatedGame || !seatedGame.state.players.some(p => String(p.id) === String(player.id))) {
+                        return null;
+                    }
+
+                    this.gameEngine.disconnectPlayer(gameId, player.id);
+                    return seatedGame;
+                });
+
+                if (game) {
+                    heldRooms.add(`game_${gameId}`);
+                    if (game.config.roomId) {
+                        heldRooms.add(String(game.config.roomId));
+                    }
+                }
+            }
+
+            // Leave all other rooms
+            rooms.forEach((roomId) => {
+                if (roomId !== socket.id && !heldRooms.has(roomId)) {
+                    this.handleLeaveRoom(socket, player, { roomId });
+                }
+            });
+
+            // Update player status
+            this.playerService.updatePlayerStatus(player.id, 'offline');
+
+        } catch (error) {
+            logger.error('Disconnect error:', error);
+        }
+    }
+
+    /**
+     * Find a socket on this node that a player is still connected through
+     * @param {string} playerId - Player ID
+     * @returns {string|null} Socket ID
+     */
+    findPlayerSocket(playerId) {
+        for (const [socketId, connectedId] of this.connectedPlayers) {
+            if (String(connectedId) === String(playerId)) {
+                return socketId;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Join player to their active games
+     * @param {Object} socket - Socket instance
+     * @param {Object} player - Player object
+     */
+    async joinPlayerToGames(socket, player) {
+        try {
+            const activeGames = new Set(await this.playerService.getPlayerActiveGames(player.id));
+
+            // Include games still holding a seat from a dropped connection
+            this.gameEngine.getHeldSeats(player.id).forEach(gameId => activeGames.add(gameId));
+
+            for (const gameId of activeGames) {
+                await this.joinPlayerToGame(socket, player, gameId);
+            }
+        } catch (error) {
+            logger.error('Join player to games error:', error);
+        }
+    }
+
+    /**
+     * Join player to a specific game
+     * @param {Object} socket - Socket instance
+     * @param {Object} player - Player object
+     * @param {string} gameId - Game ID
+     */
+    async joinPlayerToGame(socket, player, gameId) {
+        try {
+            const gameRoom = `game_${gameId}`;
+            socket.join(gameRoom);
+
+            // Add to game rooms tracking
+            if (!this.gameRooms.has(gameId)) {
+                this.gameRooms.set(gameId, new Set());
+            }
+            this.gameRooms.get(gameId).add(socket.id);
+
+            // Give a reconnecting player their held seat back
+            await this.gameEngine.withGameLock(gameId, () => this.gameEngine.reconnectPlayer(gameId, player.id));
+
+            // Send current game state
+            this.sendGameSnapshot(socket.id, player.id, gameId);
+
+            logger.logSocketEvent('join_game', socket.id, gameId, { playerId: player.id });
+
+        } catch (error) {
+            logger.error('Join player to game error:', error);
+        }
+    }
+
+    /**
+     * Leave player from a specific game
+     * @param {Object} socket - Socket instance
+     * @param {Object} player - Player object
+     * @param {string} gameId - Game ID
+     */
+    async leavePlayerFromGame(socket, player, gameId) {
+        try {
+            const gameRoom = `game_${gameId}`;
+            socket.leave(gameRoom);
+            this.stateViews.delete(`${socket.id}:${gameId}`);
+
+            // Remove from game rooms tracking
+            const gameSockets = this.gameRooms.get(gameId);
+            if (gameSockets) {
+                gameSockets.delete(socket.id);
+                if (gameSockets.size === 0) {
+                    this.gameRooms.delete(gameId);
+                }
+            }
+
+            logger.logSocketEvent('leave_game', socket.id, gameId, { playerId: player.id });
+
+        } catch (error) {
+            logger.error('Leave player from game error:', error);
+        }
+    }
+
+    /**
+     * Set up game engine event listeners
+     */
+    setupGameEngineListeners() {
+        // Game started
+        this.gameEngine.on('gameStarted', (data) => {
+            const { gameId } = data;
+            const gameRoom = `game_${gameId}`;
+
+            this.emitToRoom(gameRoom, 'game_started', {
+                gameId,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Turn started
+        this.gameEngine.on('turnStarted', (data) => {
+            const { gameId, playerId, playerIds, clocks } = data;
+            const gameRoom = `game_${gameId}`;
+
+            this.emitToRoom(gameRoom, 'turn_started', {
+                gameId,
+                playerId,
+                playerIds,
+                clocks,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Turn skipped by the rules (e.g. stunned)
+        this.gameEngine.on('turnSkipped', (data) => {
+            const { gameId, playerId } = data;
+            const gameRoom = `game_${gameId}`;
+
+            this.emitToRoom(gameRoom, 'turn_skipped', {
+                gameId,
+                playerId,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // A player's clock ran out
+        this.gameEngine.on('flagFell', (data) => {
+            const { gameId, playerId } = data;
+            const gameRoom = `game_${gameId}`;
+
+            this.emitToRoom(gameRoom, 'flag_fell', {
+                gameId,
+                playerId,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // A player committed a simultaneous-turn action
+        this.gameEngine.on('actionCommitted', (data) => {
+            const { gameId, playerId } = data;
+            const gameRoom = `game_${gameId}`;
+
+            this.emitToRoom(gameRoom, 'player_committed', {
+                gameId,
+                playerId,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Simultaneous-turn actions revealed and resolved
+        this.gameEngine.on('actionsRevealed', (data) => {
+            const { gameId, actions, result } = data;
+            const gameRoom = `game_${gameId}`;
+
+            this.emitToRoom(gameRoom, 'actions_revealed', {
+                gameId,
+                actions,
+                rejectedActions: result.rejectedActions || {},
+                gameEnded: result.gameEnded,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Round started
+        this.gameEngine.on('roundStarted', (data) => {
+            const { gameId, round, totalRounds } = data;
+            const gameRoom = `game_${gameId}`;
+
+            this.emitToRoom(gameRoom, 'round_started', {
+                gameId,
+                round,
+                totalRounds,
+                timestamp: new Date().toISOString()
+            });
+
+        });
+
+        // Round ended
+        this.gameEngine.on('roundEnded', (data) => {
+            const { gameId, round, winner, endReason, scores } = data;
+            const gameRoom = `game_${gameId}`;
+
+            this.emitToRoom(gameRoom, 'round_ended', {
+                gameId,
+                round,
+                winner,
+                endReason,
+                scores,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Game paused
+        this.gameEngine.on('gamePaused', (data) => {
+            const { gameId, playerId, pause } = data;
+            const gameRoom = `game_${gameId}`;
+
+            this.emitToRoom(gameRoom, 'game_paused', {
+                gameId,
+                pausedBy: playerId,
+                turnTimeRemaining: pause.turnTimeRemaining,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Game resumed
+        this.gameEngine.on('gameResumed', (data) => {
+            const { gameId, playerId } = data;
+            const gameRoom = `game_${gameId}`;
+
+            this.emitToRoom(gameRoom, 'game_resumed', {
+                gameId,
+                resumedBy: playerId,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Vote to pause or resume recorded
+        this.gameEngine.on('pauseVote', (data) => {
+            const { gameId, playerId, action, votes, required } = data;
+            const gameRoom = `game_${gameId}`;
+
+            this.emitToRoom(gameRoom, 'pause_vote', {
+                gameId,
+                playerId,
+                action,
+                votes,
+                required,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // A bot took over or handed back a player's turns
+        this.gameEngine.on('botControlChanged', (data) => {
+            const { gameId, playerId, botControlled } = data;
+            const gameRoom = `game_${gameId}`;
+
+            this.emitToRoom(gameRoom, 'bot_control', {
+                gameId,
+                playerId,
+                botControlled,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // A player dropped; opponents get a countdown to the seat being released
+        this.gameEngine.on('playerDisconnected', (data) => {
+            const { gameId, playerId, gracePeriod, reconnectDeadline } = data;
+            const gameRoom = `game_${gameId}`;
+
+            this.emitToRoom(gameRoom, 'player_disconnected', {
+                gameId,
+                playerId,
+                gracePeriod,
+                reconnectDeadline: new Date(reconnectDeadline).toISOString(),
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // A player came back within the grace period
+        this.gameEngine.on('playerReconnected', (data) => {
+            const { gameId, playerId } = data;
+            const gameRoom = `game_${gameId}`;
+
+            this.emitToRoom(gameRoom, 'player_reconnected', {
+                gameId,
+                playerId,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // A disconnected player's grace period ran out
+        this.gameEngine.on('seatReleased', async (data) => {
+            const { gameId, playerId, roomId } = data;
+            const gameRoom = `game_${gameId}`;
+
+            const seatReleased = {
+                gameId,
+                playerId,
+                timestamp: new Date().toISOString()
+            };
+            this.emitToRoom(gameRoom, 'seat_released', seatReleased);
+
+            // The player may still be connected elsewhere, e.g. in the lobby
+            this.emitToPlayer(playerId, 'seat_released', seatReleased);
+
+            if (roomId) {
+                try {
+                    await this.roomService.removePlayerFromRoom(roomId, playerId);
+                    this.emitToRoom(String(roomId), 'player_left_room', {
+                        playerId,
+                        timestamp: new Date().toISOString()
+                    });
+                } catch (error) {
+                    logger.error('Release seat error:', error);
+                }
+            }
+        });
+
+        // A player forfeited, e.g. after too many timeouts
+        this.gameEngine.on('playerForfeited', (data) => {
+            const { gameId, playerId, reason } = data;
+            const gameRoom = `game_${gameId}`;
+
+            this.emitToRoom(gameRoom, 'player_forfeited', {
+                gameId,
+                playerId,
+                reason,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Draw offered
+        this.gameEngine.on('drawOffered', (data) => {
+            const { gameId, playerId, drawOffer } = data;
+            const gameRoom = `game_${gameId}`;
+
+            this.emitToRoom(gameRoom, 'draw_offered', {
+                gameId,
+                playerId,
+                drawOffer,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Draw offer accepted, declined or cancelled
+        this.gameEngine.on('drawResolved', (data) => {
+            const { gameId, playerId, accepted, reason } = data;
+            const gameRoom = `game_${gameId}`;
+
+            this.emitToRoom(gameRoom, 'draw_resolved', {
+                gameId,
+                playerId,
+                accepted,
+                reason,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Takeback requested
+        this.gameEngine.on('takebackRequested', (data) => {
+            const { gameId, playerId, takeback } = data;
+            const gameRoom = `game_${gameId}`;
+
+            this.emitToRoom(gameRoom, 'takeback_requested', {
+                gameId,
+                playerId,
+                expiresAt: takeback.expiresAt,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Takeback accepted, declined or expired
+        this.gameEngine.on('takebackResolved', (data) => {
+            const { gameId, playerId, accepted, reason } = data;
+            const gameRoom = `game_${gameId}`;
+
+            this.emitToRoom(gameRoom, 'takeback_resolved', {
+                gameId,
+                playerId,
+                accepted,
+                reason,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Rematch offered
+        this.gameEngine.on('rematchOffered', (data) => {
+            const { gameId, playerId, rematchOffer } = data;
+            const gameRoom = `game_${gameId}`;
+
+            this.emitToRoom(gameRoom, 'rematch_offered', {
+                gameId,
+                playerId,
+                rematchOffer,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Rematch accepted or declined
+        this.gameEngine.on('rematchResolved', async (data) => {
+            const { gameId, playerId, accepted, rematchGameId, roomId } = data;
+            const gameRoom = `game_${gameId}`;
+
+            this.emitToRoom(gameRoom, 'rematch_resolved', {
+                gameId,
+                playerId,
+                accepted,
+                rematchGameId,
+                timestamp: new Date().toISOString()
+            });
+
+            if (accepted) {
+                await this.moveToRematch(gameId, rematchGameId, roomId);
+            }
+        });
+
+        // Game state changed: send each player what changed in their view
+        this.gameEngine.on('gameStateChanged', (data) => {
+            this.broadcastGameState(data.gameId);
+        });
+
+        // Game ended; the final state has already gone out as a state patch
+        this.gameEngine.on('gameEnded', (data) => {
+            const { gameId, reason, winner, gameState } = data;
+            const gameRoom = `game_${gameId}`;
+
+            this.emitToRoom(gameRoom, 'game_ended', {
+                gameId,
+                reason,
+                winner,
+                version: gameState.version,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Game status changed
+        this.gameEngine.on('gameStatusChanged', async (data) => {
+            const { gameId, roomId, from, to } = data;
+            const gameRoom = `game_${gameId}`;
+
+            this.emitToRoom(gameRoom, 'game_status_changed', {
+                gameId,
+                from,
+                to,
+                timestamp: new Date().toISOString()
+            });
+
+            if (roomId && isFinished(to)) {
+                await this.releaseRoom(roomId, gameId);
+            }
+        });
+    }
+
+    /**
+     * Free a room whose game has finished, so it can start another one
+     * @param {string} roomId - Room ID
+     * @param {string} gameId - Finished game ID
+     */
+    async releaseRoom(roomId, gameId) {
+        try {
+            const room = await Room.findById(roomId);
+
+            // Leave rooms that already moved on to another game alone
+            if (room && room.gameId === gameId) {
+                await room.clearGame();
+            }
+        } catch (error) {
+            logger.error('Release room error:', error);
+        }
+    }
+
+    /**
+     * Move a finished game's sockets and room over to its rematch
+     * @param {string} gameId - Finished game ID
+     * @param {string} rematchGameId - Rematch game ID
+     * @param {string} roomId - Room ID (rooms only)
+     */
+    async moveToRematch(gameId, rematchGameId, roomId) {
+        try {
+            await this.broadcast({ type: 'rematch', gameId, rematchGameId });
+
+            if (roomId) {
+                const room = await Room.findById(roomId);
+                if (room) {
+                    await room.setGame(rematchGameId);
+                }
+            }
+        } catch (error) {
+            logger.error('Move to rematch error:', error);
+        }
+    }
+
+    /**
+     * Join this node's sockets in a finished game to its rematch
+     * @param {string} gameId - Finished game ID
+     * @param {string} rematchGameId - Rematch game ID
+     */
+    async joinSocketsToRematch(gameId, rematchGameId) {
+        const gameSockets = Array.from(this.gameRooms.get(gameId) || []);
+        for (const socketId of gameSockets) {
+            const socket = this.io.sockets.sockets.get(socketId);
+            if (socket) {
+                await this.joinPlayerToGame(socket, { id: this.connectedPlayers.get(socketId) }, rematchGameId);
+            }
+        }
+    }
+
+    /**
+     * Send every socket in a game, on every node, its own view of the game state
+     * @param {string} gameId - Game ID
+     */
+    broadcastGameState(gameId) {
+        this.broadcast({ type: 'game_state', gameId });
+    }
+
+    /**
+     * Bring every socket in a game on this node up to date with its own view
+     * of the game state, sending only what changed since its last update
+     * @param {string} gameId - Game ID
+     */
+    sendGameState(gameId) {
+        const gameSockets = this.gameRooms.get(gameId);
+        if (!gameSockets) return;
+
+        gameSockets.forEach((socketId) => {
+            const playerId = this.connectedPlayers.get(socketId);
+            const view = this.stateViews.get(`${socketId}:${gameId}`);
+            if (!view) {
+                this.sendGameSnapshot(socketId, playerId, gameId);
+                return;
+            }
+
+            const { version, state, patch } = this.gameEngine.getGameStatePatch(gameId, playerId, view.state);
+            if (patch.length === 0) return;
+
+            this.stateViews.set(`${socketId}:${gameId}`, { version, state });
+            this.io.to(socketId).emit('game_state_patch', {
+                gameId,
+                baseVersion: view.version,
+                version,
+                patch,
+                timestamp: new Date().toISOString()
+            });
+        });
+    }
+
+    /**
+     * Send a socket its full view of a game's state, the base for later patches
+     * @param {string} socketId - Socket ID
+     * @param {string} playerId - Player ID
+     * @param {string} gameId - Game ID
+     */
+    sendGameSnapshot(socketId, playerId, gameId) {
+        const { version, state } = this.gameEngine.getGameStatePatch(gameId, playerId);
+
+        this.stateViews.set(`${socketId}:${gameId}`, { version, state });
+        this.io.to(socketId).emit('game_state', {
+            gameId,
+            version,
+            state,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Emit an event to a room's sockets on every node
+     * @param {string} room - Room name
+     * @param {string} event - Event name
+     * @param {Object} payload - Event data
+     * @param {string} except - Socket ID to leave out, e.g. the sender's (optional)
+     */
+    emitToRoom(room, event, payload, except = null) {
+        this.broadcast({ type: 'room', room, event, payload, except });
+    }
+
+    /**
+     * Emit an event to a player's socket, on whichever node it is connected to
+     * @param {string} playerId - Player ID
+     * @param {string} event - Event name
+     * @param {Object} payload - Event data
+     */
+    emitToPlayer(playerId, event, payload) {
+        this.broadcast({ type: 'player', playerId: String(playerId), event, payload });
+    }
+
+    /**
+     * Deliver a message to this node's sockets and publish it to the other nodes
+     * @param {Object} message - Message (see Broadcaster)
+     * @returns {Promise} Resolves once delivered on this node
+     */
+    broadcast(message) {
+        this.broadcaster.publish(message);
+        return this.deliver(message).catch((error) => {
+            logger.error('Broadcast delivery error:', error);
+        });
+    }
+
+    /**
+     * Deliver a message to this node's sockets. Messages published by other
+     * nodes carry their nodeId.
+     * @param {Object} message - Message (see Broadcaster)
+     */
+    async deliver(message) {
+        const { type, event, payload } = message;
+
+        if (type === 'room') {
+            const target = message.except ? this.io.to(message.room).except(message.except) : this.io.to(message.room);
+            target.emit(event, payload);
+        } else if (type === 'player') {
+            const socketId = this.playerSockets.get(message.playerId);
+            if (socketId) {
+                this.io.to(socketId).emit(event, payload);
+            }
+        } else if (type === 'game_state') {
+            // Only nodes with sockets in the game send its state
+            if (!this.gameRooms.has(message.gameId)) return;
+
+            if (message.nodeId) {
+                // Wait for the sending node to save the game and pick up its state
+                await this.gameEngine.withGameLock(message.gameId, () => {
+                    this.sendGameState(message.gameId);
+                }, { readOnly: true });
+            } else {
+                this.sendGameState(message.gameId);
+            }
+        } else if (type === 'rematch') {
+            await this.joinSocketsToRematch(message.gameId, message.rematchGameId);
+        }
+    }
+
+    /**
+     * Start relaying socket messages between nodes. Only needed when
+     * several nodes share games through the Redis game store.
+     */
+    async startBroadcasting() {
+        if (!this.gameEngine.store.shared) return;
+
+        await this.broadcaster.start(this.gameEngine.store.nodeId, message => this.deliver(message));
     }
 
     /**
@@ -536,11 +1522,11 @@ class SocketHandler {
     }
 
     /**
-     * Get connected players count
-     * @returns {number} Connected players count
+     * Get connected players count across all server nodes
+     * @returns {Promise<number>} Connected players count
      */
-    getConnectedPlayersCount() {
-        return this.connectedPlayers.size;
+    async getConnectedPlayersCount() {
+        return this.gameEngine.store.countPresence();
     }
 
     /**
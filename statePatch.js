@@ -0,0 +1,93 @@
+/**
+ * JSON Patch (RFC 6902) between two JSON documents, used to send players
+ * what changed in their view of a game instead of the whole state.
+ *
+ * Patches only use add, remove and replace. Objects are compared key by
+ * key and arrays of equal length index by index; an array that changed
+ * length is replaced whole, which keeps patches simple to apply and
+ * still small for boards, whose size never changes.
+ */
+
+const isObject = value => value !== null && typeof value === 'object';
+
+/**
+ * Escape a key for a JSON Pointer
+ * @param {string} key - Object key or array index
+ * @returns {string} Escaped pointer segment
+ */
+const escapePointer = key => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+/**
+ * Unescape a JSON Pointer segment
+ * @param {string} segment - Pointer segment
+ * @returns {string} Key
+ */
+const unescapePointer = segment => segment.replace(/~1/g, '/').replace(/~0/g, '~');
+
+/**
+ * Build the patch that turns one document into another
+ * @param {*} before - Document the client has
+ * @param {*} after - Current document
+ * @param {string} path - Pointer to the documents (for recursion)
+ * @returns {Array} Patch operations
+ */
+const createPatch = (before, after, path = '') => {
+    if (before === after) return [];
+
+    const sameShape = isObject(before) && isObject(after) && Array.isArray(before) === Array.isArray(after)
+        && (!Array.isArray(before) || before.length === after.length);
+    if (!sameShape) {
+        return [{ op: 'replace', path, value: after }];
+    }
+
+    const patch = [];
+    Object.keys(before).forEach((key) => {
+        if (!(key in after)) {
+            patch.push({ op: 'remove', path: `${path}/${escapePointer(key)}` });
+        }
+    });
+    Object.keys(after).forEach((key) => {
+        const keyPath = `${path}/${escapePointer(key)}`;
+        if (!(key in before)) {
+            patch.push({ op: 'add', path: keyPath, value: after[key] });
+        } else {
+            patch.push(...createPatch(before[key], after[key], keyPath));
+        }
+    });
+
+    return patch;
+};
+
+/**
+ * Apply a patch from createPatch to a copy of a document
+ * @param {*} document - Document
+ * @param {Array} patch - Patch operations
+ * @returns {*} Patched document
+ */
+const applyPatch = (document, patch) => {
+    let result = structuredClone(document);
+
+    patch.forEach(({ op, path, value }) => {
+        if (path === '') {
+            result = structuredClone(value);
+            return;
+        }
+
+        const keys = path.slice(1).split('/').map(unescapePointer);
+        const key = keys.pop();
+        const parent = keys.reduce((node, segment) => node[segment], result);
+
+        if (op === 'remove') {
+            delete parent[key];
+        } else {
+            parent[key] = structuredClone(value);
+        }
+    });
+
+    return result;
+};
+
+module.exports = {
+    createPatch,
+    applyPatch
+};
\ No newline at end of file
@@ -0,0 +1,94 @@
+const { createEngine, startTestGame } = require('./testHelpers');
+const { createPatch, applyPatch } = require('../src/core/statePatch');
+
+const move = cell => ({ type: 'move', data: { cell } });
+
+describe('State patches', () => {
+    let gameEngine;
+
+    const startGame = (gameType = 'tic-tac-toe') => startTestGame(gameEngine, { gameType, turnOrderStrategy: 'join' });
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        gameEngine = createEngine();
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('should patch only what changed', () => {
+        const before = { board: [null, null, 'X'], turn: 'p1', offer: { by: 'p2' }, 'a/b': 1 };
+        const after = { board: [null, 'O', 'X'], turn: 'p2', log: ['O at 1'], 'a/b': 2 };
+
+        const patch = createPatch(before, after);
+
+        expect(patch).toEqual([
+            { op: 'remove', path: '/offer' },
+            { op: 'replace', path: '/board/1', value: 'O' },
+            { op: 'replace', path: '/turn', value: 'p2' },
+            { op: 'add', path: '/log', value: ['O at 1'] },
+            { op: 'replace', path: '/a~1b', value: 2 }
+        ]);
+        expect(applyPatch(before, patch)).toEqual(after);
+        expect(before.board[1]).toBeNull();
+    });
+
+    it('should replace arrays that changed length', () => {
+        const before = { history: ['e4'] };
+        const after = { history: ['e4', 'e5'] };
+
+        expect(createPatch(before, after)).toEqual([{ op: 'replace', path: '/history', value: ['e4', 'e5'] }]);
+        expect(createPatch(after, after)).toEqual([]);
+    });
+
+    it('should bring a player\'s view up to date after an action', () => {
+        const game = startGame();
+        const base = gameEngine.getGameStatePatch(game.id, 'p2');
+
+        gameEngine.processAction(game.id, 'p1', move(4));
+        const update = gameEngine.getGameStatePatch(game.id, 'p2', base.state);
+
+        expect(update.version).toBeGreaterThan(base.version);
+        expect(update.patch).toContainEqual({ op: 'replace', path: '/gameData/board/4', value: 'X' });
+        expect(applyPatch(base.state, update.patch)).toEqual(update.state);
+        expect(JSON.stringify(update.patch).length).toBeLessThan(JSON.stringify(update.state).length);
+    });
+
+    it('should keep other players\' private data out of patches', () => {
+        const game = startGame('battle');
+        const [first, second] = game.state.turnOrder;
+        const base = gameEngine.getGameStatePatch(game.id, second);
+
+        game.state.gameData.combatants[first].attackPower += 5;
+        const update = gameEngine.getGameStatePatch(game.id, second, base.state);
+
+        expect(update.patch.some(({ path }) => path.includes('attackPower'))).toBe(false);
+    });
+
+    it('should describe actions to clients without game data', () => {
+        const game = startGame('battle');
+        const [first, second] = game.state.turnOrder;
+
+        const result = gameEngine.processAction(game.id, first, { type: 'attack', data: { targetId: second } });
+        const outcome = gameEngine.summarizeAction(game.id, result);
+
+        expect(result.gameData).toBeDefined();
+        expect(outcome).toEqual({ version: game.state.version, committed: false, gameEnded: false, winner: null });
+    });
+
+    it('should announce each saved change with its version', () => {
+        const game = startGame();
+        const changes = [];
+        gameEngine.on('gameStateChanged', data => changes.push(data));
+
+        gameEngine.processAction(game.id, 'p1', move(0));
+        gameEngine.resign(game.id, 'p2');
+
+        expect(changes.map(change => change.gameId)).toEqual(changes.map(() => game.id));
+        expect(changes[changes.length - 1].version).toBe(game.state.version);
+        expect(changes.length).toBeGreaterThanOrEqual(2);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,126 @@
+const { createEngine, startTestGame } = require('./testHelpers');
+
+describe('Takebacks', () => {
+    let gameEngine;
+
+    const startGame = (gameType, config = {}, playerIds = ['p1', 'p2']) =>
+        startTestGame(gameEngine, { gameType, turnTimeLimit: 30000, seed: 'takeback-test', ...config }, playerIds);
+
+    const move = (game, san) => {
+        gameEngine.processAction(game.id, game.state.currentTurn, { type: 'move', data: { move: san } });
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        gameEngine = createEngine();
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('should only allow takebacks in unranked games that enable them', () => {
+        const disabled = startGame('chess');
+        const ranked = startGame('chess', { ranked: true, rules: { allowTakeback: true } });
+        move(disabled, 'e4');
+        move(ranked, 'e4');
+
+        expect(() => gameEngine.requestTakeback(disabled.id, disabled.state.turnOrder[0]))
+            .toThrow('Takebacks are not allowed in this game');
+        expect(() => gameEngine.requestTakeback(ranked.id, ranked.state.turnOrder[0]))
+            .toThrow('Takebacks are not allowed in this game');
+    });
+
+    it('should roll back to before the requesting player\'s last action when accepted', () => {
+        const game = startGame('chess', { rules: { allowTakeback: true } });
+        const [white, black] = game.state.turnOrder;
+        move(game, 'e4');
+        const afterE4 = JSON.parse(JSON.stringify(game.state.gameData));
+        move(game, 'e5');
+        move(game, 'Nf3');
+        const resolved = jest.fn();
+        const turnStarted = jest.fn();
+        gameEngine.on('takebackResolved', resolved);
+        gameEngine.on('turnStarted', turnStarted);
+
+        expect(() => gameEngine.requestTakeback(game.id, 'nobody')).toThrow('Player not found in game');
+        gameEngine.requestTakeback(game.id, black);
+        expect(() => gameEngine.requestTakeback(game.id, white)).toThrow('A takeback request is already pending');
+        expect(() => gameEngine.respondToTakeback(game.id, black, true))
+            .toThrow('Players cannot respond to their own takeback request');
+
+        expect(gameEngine.respondToTakeback(game.id, white, true)).toEqual({ resolved: true, accepted: true });
+
+        expect(game.state.gameData).toEqual(afterE4);
+        expect(game.state.currentTurn).toBe(black);
+        expect(game.state.turnNumber).toBe(2);
+        expect(game.state.turnHistory).toHaveLength(1);
+        expect(game.state.pendingTakeback).toBeNull();
+        expect(resolved).toHaveBeenCalledWith(expect.objectContaining({ accepted: true, reason: 'accepted', playerId: black }));
+        expect(turnStarted).toHaveBeenCalledWith({ gameId: game.id, playerId: black });
+        expect(gameEngine.timers.has({ type: 'turn', gameId: game.id })).toBe(true);
+
+        move(game, 'd5');
+        expect(game.state.gameData.moveHistory).toEqual(['e4', 'd5']);
+    });
+
+    it('should keep the game unchanged when declined or expired', () => {
+        const game = startGame('chess', { rules: { allowTakeback: true, takebackTimeout: 10000 } });
+        const [white, black] = game.state.turnOrder;
+        move(game, 'e4');
+        const gameData = game.state.gameData;
+        const resolved = jest.fn();
+        gameEngine.on('takebackResolved', resolved);
+
+        gameEngine.requestTakeback(game.id, white);
+        expect(gameEngine.respondToTakeback(game.id, black, false)).toEqual({ resolved: true, accepted: false });
+
+        gameEngine.requestTakeback(game.id, white);
+        jest.advanceTimersByTime(10000);
+
+        expect(game.state.gameData).toBe(gameData);
+        expect(game.state.currentTurn).toBe(black);
+        expect(game.state.pendingTakeback).toBeNull();
+        expect(resolved.mock.calls.map(([data]) => data.reason)).toEqual(['declined', 'timeout']);
+    });
+
+    it('should wait for every opponent to accept', () => {
+        const game = startGame('battle', { rules: { allowTakeback: true } }, ['p1', 'p2', 'p3']);
+        const [first, second, third] = game.state.turnOrder;
+        const gameData = game.state.gameData;
+        gameEngine.processAction(game.id, first, { type: 'attack', data: { targetId: second } });
+
+        gameEngine.requestTakeback(game.id, first);
+
+        expect(gameEngine.respondToTakeback(game.id, second, true)).toEqual({ resolved: false, accepted: false });
+        expect(gameEngine.respondToTakeback(game.id, third, true)).toEqual({ resolved: true, accepted: true });
+        expect(game.state.gameData).toEqual(gameData);
+        expect(game.state.currentTurn).toBe(first);
+    });
+
+    it('should save takeback requests, approvals and declines', () => {
+        const game = startGame('battle', { rules: { allowTakeback: true } }, ['p1', 'p2', 'p3']);
+        const [first, second, third] = game.state.turnOrder;
+        gameEngine.processAction(game.id, first, { type: 'attack', data: { targetId: second } });
+        const persist = jest.spyOn(gameEngine, 'persistGame');
+
+        gameEngine.requestTakeback(game.id, first);
+        expect(persist).toHaveBeenCalledTimes(1);
+
+        gameEngine.respondToTakeback(game.id, second, true);
+        expect(persist).toHaveBeenCalledTimes(2);
+        expect(game.state.pendingTakeback.approvals).toEqual([second]);
+
+        gameEngine.respondToTakeback(game.id, third, false);
+        expect(persist).toHaveBeenCalledTimes(3);
+        expect(game.state.pendingTakeback).toBeNull();
+    });
+
+    it('should require an action to take back', () => {
+        const game = startGame('chess', { rules: { allowTakeback: true } });
+
+        expect(() => gameEngine.requestTakeback(game.id, game.state.turnOrder[0])).toThrow('No action to take back');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,66 @@
+// Shared setup for the game engine suites. Requiring this module before the
+// engine keeps the logger quiet and the GameState model off the database.
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    logGameEvent: jest.fn(),
+    logDatabaseOperation: jest.fn()
+}));
+
+// Plain functions rather than jest.fn() so suites can spy on them and have
+// jest.restoreAllMocks() put the defaults back
+jest.mock('../src/models/GameState', () => ({
+    find: () => ({ lean: () => Promise.resolve([]) }),
+    findOne: () => ({ lean: () => Promise.resolve(null) }),
+    findOneAndUpdate: () => Promise.resolve(null)
+}));
+
+const GameEngine = require('../src/core/gameEngine');
+
+/**
+ * Create a game engine that skips database saves
+ * @param {...*} args - GameEngine constructor arguments
+ * @returns {GameEngine} Game engine
+ */
+const createEngine = (...args) => {
+    const gameEngine = new GameEngine(...args);
+    jest.spyOn(gameEngine, 'saveGameState').mockResolvedValue();
+    return gameEngine;
+};
+
+/**
+ * Create a game and seat players in it
+ * @param {GameEngine} gameEngine - Game engine
+ * @param {Object} config - Game configuration
+ * @param {Array} playerIds - Player IDs, seated in order
+ * @returns {Object} Game
+ */
+const createTestGame = (gameEngine, config = {}, playerIds = ['p1', 'p2']) => {
+    const game = gameEngine.createGame({
+        minPlayers: 2,
+        maxPlayers: playerIds.length,
+        ...config
+    });
+    playerIds.forEach(id => gameEngine.addPlayer(game.id, { id, name: id }));
+    return game;
+};
+
+/**
+ * Create a game, seat players and start it
+ * @param {GameEngine} gameEngine - Game engine
+ * @param {Object} config - Game configuration
+ * @param {Array} playerIds - Player IDs, seated in order
+ * @returns {Object} Game
+ */
+const startTestGame = (gameEngine, config = {}, playerIds = ['p1', 'p2']) => {
+    const game = createTestGame(gameEngine, config, playerIds);
+    gameEngine.startGame(game.id);
+    return game;
+};
+
+module.exports = {
+    createEngine,
+    createTestGame,
+    startTestGame
+};
\ No newline at end of file
@@ -0,0 +1,177 @@
+const Joi = require('joi');
+const GameRules = require('./gameRules');
+
+const BOARD_SIZE = 3;
+const CELL_COUNT = BOARD_SIZE * BOARD_SIZE;
+const MARKS = ['X', 'O'];
+
+// Action data schemas, checked before validateAction
+const ACTION_SCHEMAS = {
+    move: Joi.object({
+        cell: Joi.number().integer().min(0).max(CELL_COUNT - 1).required(),
+        mark: Joi.string().valid(...MARKS)
+    }).required()
+};
+
+// Every row, column and diagonal as cell indexes
+const LINES = [
+    [0, 1, 2], [3, 4, 5], [6, 7, 8],
+    [0, 3, 6], [1, 4, 7], [2, 5, 8],
+    [0, 4, 8], [2, 4, 6]
+];
+
+// Cells tried in order when a turn times out: center, corners, edges
+const DEFAULT_MOVE_PREFERENCE = [4, 0, 2, 6, 8, 1, 3, 5, 7];
+
+/**
+ * Tic-tac-toe rules
+ *
+ * Actions: { type: 'move', data: { cell, mark } } where cell is 0-8 in
+ * row-major order and mark is optional but must match the player's mark.
+ */
+class TicTacToeRules extends GameRules {
+    /**
+     * Marks are dealt by turn order, so players must alternate in it
+     * @returns {boolean} Always true
+     */
+    get fixedTurnOrder() {
+        return true;
+    }
+
+    /**
+     * Create an empty board and assign X to the first player in turn order
+     * @param {Object} game - Game object
+     * @returns {Object} Initial game data
+     */
+    initializeGameData(game) {
+        const marks = {};
+        game.state.turnOrder.slice(0, MARKS.length).forEach((playerId, index) => {
+            marks[playerId] = MARKS[index];
+        });
+
+        return {
+            board: Array(CELL_COUNT).fill(null),
+            marks,
+            moveCount: 0,
+            lastMove: null
+        };
+    }
+
+    /**
+     * Get the schema of a move's data
+     * @returns {Object} Joi schema by action type
+     */
+    getActionSchemas() {
+        return ACTION_SCHEMAS;
+    }
+
+    /**
+     * Validate a move
+     * @param {Object} game - Game object
+     * @param {string} playerId - Player ID
+     * @param {Object} action - Action data
+     * @returns {Object} Validation result
+     */
+    validateAction(game, playerId, action) {
+        const { board, marks } = game.state.gameData;
+
+        if (!action || action.type !== 'move') {
+            return { valid: false, error: 'Unsupported action type' };
+        }
+
+        const mark = marks[playerId];
+        if (!mark) {
+            return { valid: false, error: 'Player has no mark in this game' };
+        }
+
+        const { cell, mark: requestedMark } = action.data || {};
+        if (!Number.isInteger(cell) || cell < 0 || cell >= CELL_COUNT) {
+            return { valid: false, error: `Cell must be an integer between 0 and ${CELL_COUNT - 1}` };
+        }
+
+        if (board[cell] !== null) {
+            return { valid: false, error: 'Cell is already occupied' };
+        }
+
+        if (requestedMark !== undefined && requestedMark !== mark) {
+            return { valid: false, error: `Player must play ${mark}` };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Place the player's mark and check for a win or draw
+     * @param {Object} game - Game object
+     * @param {string} playerId - Player ID
+     * @param {Object} action - Action data
+     * @returns {Object} Action result
+     */
+    executeAction(game, playerId, action) {
+        const { gameData } = game.state;
+        const { cell } = action.data;
+        const mark = gameData.marks[playerId];
+
+        const board = [...gameData.board];
+        board[cell] = mark;
+
+        const newGameData = {
+            ...gameData,
+            board,
+            moveCount: gameData.moveCount + 1,
+            lastMove: { playerId, cell, mark }
+        };
+
+        const winningLine = this.findWinningLine(board, mark);
+        if (winningLine) {
+            newGameData.winningLine = winningLine;
+            return {
+                gameData: newGameData,
+                gameEnded: true,
+                endReason: 'victory',
+                winner: playerId
+            };
+        }
+
+        if (board.every(value => value !== null)) {
+            return {
+                gameData: newGameData,
+                gameEnded: true,
+                endReason: 'draw',
+                winner: null
+            };
+        }
+
+        return {
+            gameData: newGameData,
+            gameEnded: false
+        };
+    }
+
+    /**
+     * Play the first free cell by preference when a turn times out
+     * @param {Object} game - Game object
+     * @param {string} playerId - Player ID
+     * @returns {Object|null} Default action
+     */
+    getDefaultAction(game, playerId) {
+        const { board } = game.state.gameData;
+        const cell = DEFAULT_MOVE_PREFERENCE.find(index => board[index] === null);
+
+        if (cell === undefined) return null;
+
+        return { type: 'move', data: { cell } };
+    }
+
+    /**
+     * Find a completed line for a mark
+     * @param {Array} board - Board cells
+     * @param {string} mark - Mark to check
+     * @returns {Array|null} Winning cell indexes
+     */
+    findWinningLine(board, mark) {
+        return LINES.find(line => line.every(index => board[index] === mark)) || null;
+    }
+}
+
+module.exports = TicTacToeRules;
\ No newline at end of file
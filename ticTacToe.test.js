@@ -0,0 +1,106 @@
+const { createEngine, startTestGame } = require('./testHelpers');
+const TicTacToeRules = require('../src/core/ticTacToe');
+
+const createGame = (gameData = null) => {
+    const rules = new TicTacToeRules();
+    const game = {
+        config: { gameType: 'tic-tac-toe' },
+        state: { turnOrder: ['p1', 'p2'], gameData: {} }
+    };
+    game.state.gameData = gameData || rules.initializeGameData(game);
+    return { rules, game };
+};
+
+const move = cell => ({ type: 'move', data: { cell } });
+
+describe('Tic-tac-toe rules', () => {
+    it('should assign X to the first player and start with an empty board', () => {
+        const { game } = createGame();
+
+        expect(game.state.gameData.marks).toEqual({ p1: 'X', p2: 'O' });
+        expect(game.state.gameData.board).toEqual(Array(9).fill(null));
+    });
+
+    it('should reject out of bounds and occupied cells', () => {
+        const { rules, game } = createGame();
+
+        expect(rules.validateAction(game, 'p1', move(9)).valid).toBe(false);
+        expect(rules.validateAction(game, 'p1', move(1.5)).valid).toBe(false);
+
+        game.state.gameData = rules.executeAction(game, 'p1', move(4)).gameData;
+        expect(rules.validateAction(game, 'p2', move(4))).toEqual({
+            valid: false,
+            error: 'Cell is already occupied'
+        });
+    });
+
+    it('should reject the wrong mark', () => {
+        const { rules, game } = createGame();
+
+        const result = rules.validateAction(game, 'p2', { type: 'move', data: { cell: 0, mark: 'X' } });
+        expect(result).toEqual({ valid: false, error: 'Player must play O' });
+    });
+
+    it('should detect a win', () => {
+        const { rules, game } = createGame();
+        game.state.gameData.board = ['X', 'X', null, 'O', 'O', null, null, null, null];
+
+        const result = rules.executeAction(game, 'p1', move(2));
+
+        expect(result).toMatchObject({ gameEnded: true, endReason: 'victory', winner: 'p1' });
+        expect(result.gameData.winningLine).toEqual([0, 1, 2]);
+    });
+
+    it('should detect a draw', () => {
+        const { rules, game } = createGame();
+        game.state.gameData.board = ['X', 'O', 'X', 'X', 'O', 'O', 'O', 'X', null];
+
+        const result = rules.executeAction(game, 'p1', move(8));
+
+        expect(result).toMatchObject({ gameEnded: true, endReason: 'draw', winner: null });
+    });
+
+    it('should prefer the center as the default action', () => {
+        const { rules, game } = createGame();
+
+        expect(rules.getDefaultAction(game, 'p1')).toEqual(move(4));
+    });
+});
+
+describe('Tic-tac-toe through GameEngine', () => {
+    let gameEngine;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        gameEngine = createEngine();
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+    });
+
+    it('should play a game to victory', () => {
+        const game = startTestGame(gameEngine, { gameType: 'tic-tac-toe' });
+
+        const [first, second] = game.state.turnOrder;
+        [[first, 0], [second, 3], [first, 1], [second, 4]].forEach(([playerId, cell]) => {
+            gameEngine.processAction(game.id, playerId, move(cell));
+        });
+        const result = gameEngine.processAction(game.id, first, move(2));
+
+        expect(result.gameEnded).toBe(true);
+        expect(game.state.status).toBe('ended');
+        expect(game.state.winner).toBe(first);
+    });
+
+    it('should play the default action when a turn times out', () => {
+        const game = startTestGame(gameEngine, { gameType: 'tic-tac-toe', turnTimeLimit: 5000 });
+
+        const [, second] = game.state.turnOrder;
+        jest.advanceTimersByTime(5000);
+
+        expect(game.state.gameData.board[4]).toBe('X');
+        expect(game.state.currentTurn).toBe(second);
+    });
+});
\ No newline at end of file
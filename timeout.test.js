@@ -0,0 +1,122 @@
+const { createEngine, startTestGame } = require('./testHelpers');
+const GameState = require('../src/models/GameState');
+
+const move = cell => ({ type: 'move', data: { cell } });
+
+describe('Turn timeout policies', () => {
+    let gameEngine;
+
+    const startGame = (options = {}) => startTestGame(gameEngine, {
+        gameType: 'tic-tac-toe',
+        turnTimeLimit: 30000,
+        turnOrderStrategy: 'join',
+        ...options
+    });
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        gameEngine = createEngine();
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('should play the default action and record the timeout by default', () => {
+        const game = startGame();
+
+        jest.advanceTimersByTime(30000);
+
+        expect(game.state.gameData.board[4]).toBe('X');
+        expect(game.state.currentTurn).toBe('p2');
+        expect(game.state.timeouts.p1).toEqual({ total: 1, consecutive: 1 });
+        expect(game.state.events).toEqual([expect.objectContaining({
+            type: 'turn_timeout',
+            playerId: 'p1',
+            data: { policy: 'default', outcome: 'default', consecutive: 1, turnNumber: 1 }
+        })]);
+    });
+
+    it('should pass the turn under the skip policy', () => {
+        const game = startGame({ timeoutPolicy: 'skip' });
+
+        jest.advanceTimersByTime(30000);
+
+        expect(game.state.gameData.board.every(cell => cell === null)).toBe(true);
+        expect(game.state.currentTurn).toBe('p2');
+        expect(game.state.turnHistory).toEqual([expect.objectContaining({ type: 'turn_skipped', playerId: 'p1' })]);
+    });
+
+    it('should forfeit after too many consecutive timeouts', () => {
+        const game = startGame({ timeoutPolicy: 'forfeit', forfeitAfter: 2 });
+        const forfeited = jest.fn();
+        gameEngine.on('playerForfeited', forfeited);
+
+        jest.advanceTimersByTime(30000);
+        gameEngine.processAction(game.id, 'p2', move(0));
+        jest.advanceTimersByTime(30000);
+
+        expect(forfeited).toHaveBeenCalledWith({ gameId: game.id, playerId: 'p1', reason: 'timeout' });
+        expect(game.state).toMatchObject({ status: 'ended', endReason: 'forfeit', winner: 'p2' });
+        expect(gameEngine.replayGame(game).state).toMatchObject({ status: 'ended', endReason: 'forfeit', winner: 'p2' });
+    });
+
+    it('should reset consecutive timeouts when the player acts', () => {
+        const game = startGame({ timeoutPolicy: 'forfeit', forfeitAfter: 2 });
+
+        jest.advanceTimersByTime(30000);
+        gameEngine.processAction(game.id, 'p2', move(0));
+        gameEngine.processAction(game.id, 'p1', move(1));
+        gameEngine.processAction(game.id, 'p2', move(3));
+        jest.advanceTimersByTime(30000);
+
+        expect(game.state.status).toBe('active');
+        expect(game.state.timeouts.p1).toEqual({ total: 2, consecutive: 1 });
+    });
+
+    it('should let a bot play for a player who timed out until they take control', () => {
+        const game = startGame({ timeoutPolicy: 'bot' });
+        const botControl = jest.fn();
+        gameEngine.on('botControlChanged', botControl);
+
+        jest.advanceTimersByTime(30000);
+        expect(botControl).toHaveBeenCalledWith({ gameId: game.id, playerId: 'p1', botControlled: true });
+        expect(game.state.gameData.board[4]).toBe('X');
+
+        // The bot moves quickly on the player's following turns
+        gameEngine.processAction(game.id, 'p2', move(0));
+        jest.advanceTimersByTime(2000);
+        expect(game.state.gameData.board.filter(cell => cell === 'X')).toHaveLength(2);
+        expect(game.state.timeouts.p1.total).toBe(1);
+
+        gameEngine.processAction(game.id, 'p2', move(1));
+        expect(gameEngine.takeControl(game.id, 'p1')).toBe(true);
+        jest.advanceTimersByTime(29999);
+
+        expect(game.state.currentTurn).toBe('p1');
+        expect(botControl).toHaveBeenLastCalledWith({ gameId: game.id, playerId: 'p1', botControlled: false });
+    });
+
+    it('should count timeouts in analytics', async () => {
+        const game = startGame({ timeoutPolicy: 'skip' });
+        jest.advanceTimersByTime(60000);
+        gameEngine.saveGameState.mockRestore();
+        const update = jest.spyOn(GameState, 'findOneAndUpdate').mockResolvedValue();
+
+        await gameEngine.saveGameState(game);
+
+        expect(update).toHaveBeenCalledWith(
+            expect.objectContaining({ gameId: game.id }),
+            expect.objectContaining({
+                'analytics.totalTimeouts': 2,
+                'analytics.timeoutsByPlayer': {
+                    p1: { total: 1, consecutive: 1 },
+                    p2: { total: 1, consecutive: 1 }
+                }
+            }),
+            expect.any(Object)
+        );
+    });
+});
\ No newline at end of file
@@ -0,0 +1,196 @@
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+const redisClient = require('../config/redis');
+
+const TIMERS_KEY = 'game_engine:timers';
+const SWEEP_SCHEDULE = '* * * * * *'; // Every second
+
+/**
+ * Schedules the engine's game timers. A timer is a plain object
+ * ({ type, gameId, playerId }) with a deadline; when the deadline passes
+ * the service calls its handler with the timer. Setting a timer again
+ * replaces its deadline.
+ *
+ * The default service keeps timers in this process with setTimeout, so
+ * they are gone when the process stops and the engine rebuilds them from
+ * the deadlines saved with each game.
+ */
+class TimerService {
+    constructor() {
+        this.durable = false;
+        this.handler = null;
+        this.timeouts = new Map(); // timer key -> timeout
+    }
+
+    /**
+     * Set the function called with each timer that fires
+     * @param {Function} handler - Timer handler
+     */
+    setHandler(handler) {
+        this.handler = handler;
+    }
+
+    /**
+     * Start firing timers
+     */
+    async start() {
+    }
+
+    /**
+     * Stop firing timers
+     */
+    stop() {
+    }
+
+    /**
+     * Set a timer
+     * @param {Object} timer - Timer ({ type, gameId, playerId })
+     * @param {number} deadline - When the timer fires (ms since the epoch)
+     */
+    schedule(timer, deadline) {
+        this.cancel(timer);
+
+        const key = this.timerKey(timer);
+        this.timeouts.set(key, setTimeout(() => {
+            this.timeouts.delete(key);
+            try {
+                this.handler(timer);
+            } catch (error) {
+                // A failing timer must not take the process down
+                logger.error(`Timer failed for game ${timer.gameId}:`, error);
+            }
+        }, Math.max(deadline - Date.now(), 0)));
+    }
+
+    /**
+     * Clear a timer
+     * @param {Object} timer - Timer ({ type, gameId, playerId })
+     */
+    cancel(timer) {
+        const key = this.timerKey(timer);
+        const timeout = this.timeouts.get(key);
+        if (timeout) {
+            clearTimeout(timeout);
+            this.timeouts.delete(key);
+        }
+    }
+
+    /**
+     * Check whether a timer is set in this process
+     * @param {Object} timer - Timer ({ type, gameId, playerId })
+     * @returns {boolean} Whether the timer is set
+     */
+    has(timer) {
+        return this.timeouts.has(this.timerKey(timer));
+    }
+
+    /**
+     * Build the key that identifies a timer
+     * @param {Object} timer - Timer ({ type, gameId, playerId })
+     * @returns {string} Timer key
+     */
+    timerKey({ type, gameId, playerId }) {
+        return JSON.stringify(playerId === undefined ? { type, gameId } : { type, gameId, playerId: String(playerId) });
+    }
+}
+
+/**
+ * Timers kept in a Redis sorted set, scored by deadline, so they outlive
+ * the process that set them and are shared by every node. Each node
+ * sweeps the set every second; a node claims a due timer by removing it,
+ * which succeeds on exactly one node, and only that node fires it.
+ */
+class RedisTimerService extends TimerService {
+    /**
+     * @param {Object} redis - RedisClient
+     */
+    constructor(redis = redisClient) {
+        super();
+        this.durable = true;
+        this.redis = redis;
+        this.task = null;
+        this.sweeping = false;
+    }
+
+    async start() {
+        if (this.task) return;
+
+        this.task = cron.schedule(SWEEP_SCHEDULE, () => {
+            this.sweep().catch((error) => {
+                logger.error('Timer sweep error:', error);
+            });
+        });
+        logger.info('Sweeping durable game timers');
+    }
+
+    stop() {
+        if (this.task) {
+            this.task.stop();
+            this.task = null;
+        }
+    }
+
+    schedule(timer, deadline) {
+        this.redis.getClient().zAdd(TIMERS_KEY, { score: deadline, value: this.timerKey(timer) }).catch((error) => {
+            logger.error('Failed to schedule timer:', error);
+        });
+    }
+
+    cancel(timer) {
+        this.redis.getClient().zRem(TIMERS_KEY, this.timerKey(timer)).catch((error) => {
+            logger.error('Failed to cancel timer:', error);
+        });
+    }
+
+    /**
+     * Claim and fire the timers that are due
+     * @returns {Promise<number>} Timers fired by this node
+     */
+    async sweep() {
+        if (this.sweeping) return 0;
+        this.sweeping = true;
+
+        try {
+            const client = this.redis.getClient();
+            const due = await client.zRangeByScore(TIMERS_KEY, 0, Date.now());
+            let fired = 0;
+
+            for (const key of due) {
+                // Another node removed it first
+                if (!await client.zRem(TIMERS_KEY, key)) continue;
+
+                await this.handler(JSON.parse(key));
+                fired++;
+            }
+
+            return fired;
+        } finally {
+            this.sweeping = false;
+        }
+    }
+}
+
+const TIMER_SERVICES = {
+    memory: TimerService,
+    redis: RedisTimerService
+};
+
+/**
+ * Create the timer service configured for this server
+ * @param {string} type - Timer service type ('memory' or 'redis', memory by default)
+ * @returns {TimerService} Timer service
+ */
+const createTimerService = (type = 'memory') => {
+    const TimerServiceType = TIMER_SERVICES[type];
+    if (!TimerServiceType) {
+        throw new Error(`Unsupported timer service: ${type}`);
+    }
+
+    return new TimerServiceType();
+};
+
+module.exports = {
+    TimerService,
+    RedisTimerService,
+    createTimerService
+};
\ No newline at end of file
@@ -0,0 +1,152 @@
+const { createEngine, startTestGame } = require('./testHelpers');
+const { RedisGameStore } = require('../src/core/gameStore');
+const { TimerService, RedisTimerService, createTimerService } = require('../src/core/timerService');
+const logger = require('../src/utils/logger');
+
+const move = cell => ({ type: 'move', data: { cell } });
+const flush = () => new Promise(resolve => setTimeout(resolve, 10));
+
+// Enough of RedisClient for the store and timers, kept in memory
+const createFakeRedis = () => {
+    const values = new Map();
+    const timers = new Map(); // member -> score
+
+    const client = {
+        set: async (key, value, options) => {
+            if (options.NX && values.has(key)) return null;
+            values.set(key, value);
+            return 'OK';
+        },
+        incr: async key => values.set(key, (values.get(key) || 0) + 1).get(key),
+        eval: async (script, { keys, arguments: args }) => {
+            // Save a game under its next revision
+            if (script.includes('incr')) {
+                const revision = await client.incr(keys[1]);
+                values.set(keys[0], `{"revision":${revision},"game":${args[0]}}`);
+                return revision;
+            }
+
+            // Release a lock
+            if (values.get(keys[0]) !== args[0]) return 0;
+            values.delete(keys[0]);
+            return 1;
+        },
+        zAdd: async (key, { score, value }) => timers.set(value, score),
+        zRem: async (key, member) => Number(timers.delete(member)),
+        zRangeByScore: async (key, min, max) => Array.from(timers.entries())
+            .filter(([, score]) => score >= min && score <= max)
+            .sort((a, b) => a[1] - b[1])
+            .map(([member]) => member)
+    };
+
+    return {
+        timers,
+        getClient: () => client,
+        set: async (key, value) => values.set(key, JSON.stringify(value)),
+        get: async key => (values.has(key) ? JSON.parse(values.get(key)) : null)
+    };
+};
+
+describe('Durable timers', () => {
+    let redis;
+    let now;
+
+    const createNode = () => createEngine(undefined, new RedisGameStore(redis), new RedisTimerService(redis));
+
+    const startGame = async (engine) => {
+        const game = startTestGame(engine, { gameType: 'tic-tac-toe', turnTimeLimit: 30000, turnOrderStrategy: 'join' });
+        await flush();
+        return game;
+    };
+
+    beforeEach(() => {
+        redis = createFakeRedis();
+        now = 1700000000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('should keep timers in memory by default', () => {
+        expect(createTimerService()).toBeInstanceOf(TimerService);
+        expect(createTimerService().durable).toBe(false);
+        expect(createTimerService('redis')).toBeInstanceOf(RedisTimerService);
+        expect(() => createTimerService('cron')).toThrow('Unsupported timer service: cron');
+    });
+
+    it('should log in-memory timers that fail instead of throwing', () => {
+        jest.useFakeTimers();
+        const timers = new TimerService();
+        const error = new Error('Handler failed');
+        timers.setHandler(() => {
+            throw error;
+        });
+
+        timers.schedule({ type: 'turn', gameId: 'game-1' }, Date.now() + 1000);
+
+        expect(() => jest.advanceTimersByTime(1000)).not.toThrow();
+        expect(logger.error).toHaveBeenCalledWith('Timer failed for game game-1:', error);
+        expect(timers.has({ type: 'turn', gameId: 'game-1' })).toBe(false);
+    });
+
+    it('should store deadlines in Redis instead of the process', async () => {
+        const node = createNode();
+        const game = await startGame(node);
+
+        expect(redis.timers.get(JSON.stringify({ type: 'turn', gameId: game.id }))).toBe(now + 30000);
+        expect(redis.timers.get(JSON.stringify({ type: 'game', gameId: game.id }))).toBe(game.state.gameDeadline);
+
+        await node.withGameLock(game.id, () => node.processAction(game.id, 'p1', move(0)));
+        await flush();
+        expect(redis.timers.get(JSON.stringify({ type: 'turn', gameId: game.id }))).toBe(now + 30000);
+    });
+
+    it('should fire a due timer exactly once across nodes', async () => {
+        const nodeA = createNode();
+        const nodeB = createNode();
+        const game = await startGame(nodeA);
+
+        now += 29999;
+        expect(await nodeB.timers.sweep()).toBe(0);
+
+        now += 1;
+        const fired = await Promise.all([nodeA.timers.sweep(), nodeB.timers.sweep()]);
+
+        expect(fired.reduce((sum, count) => sum + count, 0)).toBe(1);
+
+        await nodeA.syncGame(game.id);
+        expect(nodeA.getGame(game.id).state.currentTurn).toBe('p2');
+        expect(nodeA.getGame(game.id).state.timeouts.p1).toEqual({ total: 1, consecutive: 1 });
+    });
+
+    it('should fire timers set before a restart on a new node', async () => {
+        const oldNode = createNode();
+        const game = await startGame(oldNode);
+
+        now += 60000;
+        const newNode = createNode();
+        await newNode.timers.sweep();
+
+        expect(newNode.getGame(game.id).state.currentTurn).toBe('p2');
+    });
+
+    it('should put back a timer that was set again after it was claimed', async () => {
+        const node = createNode();
+        const game = await startGame(node);
+        const timer = { type: 'turn', gameId: game.id };
+
+        // The turn ends on time, but the old deadline was claimed just before
+        now += 29999;
+        await node.withGameLock(game.id, () => node.processAction(game.id, 'p1', move(0)));
+        now += 1;
+        await node.fireTimer(timer);
+        await flush();
+
+        expect(node.getGame(game.id).state.currentTurn).toBe('p2');
+        expect(node.getGame(game.id).state.timeouts).toBeUndefined();
+        expect(redis.timers.get(node.timers.timerKey(timer))).toBe(now - 1 + 30000);
+    });
+});
\ No newline at end of file
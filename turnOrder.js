@@ -0,0 +1,189 @@
+const ATB_THRESHOLD = 100;
+
+/**
+ * Base turn order strategy: players act in a fixed cycle.
+ *
+ * Strategies decide the order players act in. The engine passes a context
+ * with the game's seeded generator (random) and getInitiative(playerId),
+ * which asks the rule module for a player's speed/initiative stat.
+ */
+class TurnOrderStrategy {
+    /**
+     * Whether the order can change during play, so players do not simply
+     * take turns in the order the game started with
+     * @returns {boolean} Whether turns are reordered
+     */
+    get reordersTurns() {
+        return false;
+    }
+
+    /**
+     * Create the base order when a game starts
+     * @param {Object} game - Game object
+     * @param {Array} playerIds - Player IDs in join order
+     * @param {Object} context - Strategy context ({ random, getInitiative })
+     * @returns {Array} Turn order
+     */
+    createOrder(game, playerIds, context) {
+        return [...playerIds];
+    }
+
+    /**
+     * Reorder players at the start of each cycle through the turn order
+     * @param {Object} game - Game object
+     * @param {Array} turnOrder - Current turn order
+     * @param {Object} context - Strategy context
+     * @returns {Array} Turn order for the cycle
+     */
+    startCycle(game, turnOrder, context) {
+        return turnOrder;
+    }
+
+    /**
+     * Pick the first player of a round
+     * @param {Object} game - Game object
+     * @param {Object} context - Strategy context
+     * @returns {string} Player ID
+     */
+    firstPlayer(game, context) {
+        return game.state.turnOrder[0];
+    }
+
+    /**
+     * Pick the next player, starting a new cycle after the last player
+     * @param {Object} game - Game object
+     * @param {Object} context - Strategy context
+     * @returns {string} Player ID
+     */
+    nextPlayer(game, context) {
+        const { turnOrder, currentTurn, vacatedSeat } = game.state;
+        const currentIndex = turnOrder.indexOf(currentTurn);
+        delete game.state.vacatedSeat;
+
+        // The current player left the turn order, e.g. by resigning: the
+        // player who took their seat moves next
+        if (currentIndex === -1) {
+            if (vacatedSeat === undefined || vacatedSeat === null) {
+                return turnOrder[0];
+            }
+            if (vacatedSeat < turnOrder.length) {
+                return turnOrder[vacatedSeat];
+            }
+        } else if (currentIndex + 1 < turnOrder.length) {
+            return turnOrder[currentIndex + 1];
+        }
+
+        game.state.turnOrder = this.startCycle(game, turnOrder, context);
+        return game.state.turnOrder[0];
+    }
+}
+
+/**
+ * Players act in the order they joined
+ */
+class JoinOrder extends TurnOrderStrategy {}
+
+/**
+ * Players act in an order shuffled once when the game starts
+ */
+class RandomOrder extends TurnOrderStrategy {
+    createOrder(game, playerIds, context) {
+        return context.random.shuffle([...playerIds]);
+    }
+}
+
+/**
+ * Players act by initiative, highest first, recomputed every cycle so
+ * speed changes take effect. Ties are broken randomly.
+ */
+class InitiativeOrder extends TurnOrderStrategy {
+    get reordersTurns() {
+        return true;
+    }
+
+    startCycle(game, turnOrder, context) {
+        const rolls = turnOrder.map(playerId => ({
+            playerId,
+            initiative: context.getInitiative(playerId),
+            tieBreak: context.random.next()
+        }));
+
+        return rolls
+            .sort((a, b) => b.initiative - a.initiative || b.tieBreak - a.tieBreak)
+            .map(roll => roll.playerId);
+    }
+
+    firstPlayer(game, context) {
+        game.state.turnOrder = this.startCycle(game, game.state.turnOrder, context);
+        return game.state.turnOrder[0];
+    }
+}
+
+/**
+ * Active time battle: every player's gauge fills by their speed and the
+ * first to reach the threshold acts, so fast players act more often.
+ * Gauges are kept in game.state.turnGauges.
+ */
+class ActiveTimeOrder extends TurnOrderStrategy {
+    get reordersTurns() {
+        return true;
+    }
+
+    firstPlayer(game, context) {
+        game.state.turnGauges = {};
+        return this.nextPlayer(game, context);
+    }
+
+    nextPlayer(game, context) {
+        const { turnOrder } = game.state;
+        const gauges = game.state.turnGauges || {};
+        game.state.turnGauges = gauges;
+
+        // Players with no speed still fill slowly so they eventually act
+        const speeds = turnOrder.map(playerId => Math.max(context.getInitiative(playerId), 1));
+        turnOrder.forEach((playerId) => {
+            if (gauges[playerId] === undefined) gauges[playerId] = 0;
+        });
+
+        // Skip ahead to the first moment a gauge fills
+        const ticks = Math.max(0, Math.min(...turnOrder.map((playerId, index) =>
+            Math.ceil((ATB_THRESHOLD - gauges[playerId]) / speeds[index])
+        )));
+        turnOrder.forEach((playerId, index) => {
+            gauges[playerId] += ticks * speeds[index];
+        });
+
+        // The fullest gauge acts; ties go to the earlier player in turn order
+        const nextId = turnOrder.reduce((best, playerId) => (gauges[playerId] > gauges[best] ? playerId : best));
+        gauges[nextId] -= ATB_THRESHOLD;
+
+        return nextId;
+    }
+}
+
+const strategies = {
+    join: new JoinOrder(),
+    random: new RandomOrder(),
+    initiative: new InitiativeOrder(),
+    atb: new ActiveTimeOrder()
+};
+
+/**
+ * Get a turn order strategy by name
+ * @param {string} name - Strategy name (defaults to random)
+ * @returns {TurnOrderStrategy} Strategy
+ */
+const getStrategy = (name = 'random') => {
+    const strategy = strategies[name];
+    if (!strategy) {
+        throw new Error(`Unsupported turn order strategy: ${name}`);
+    }
+    return strategy;
+};
+
+module.exports = {
+    TurnOrderStrategy,
+    strategies,
+    getStrategy,
+    ATB_THRESHOLD
+};
\ No newline at end of file
@@ -0,0 +1,126 @@
+const { createEngine, startTestGame } = require('./testHelpers');
+const GameRules = require('../src/core/gameRules');
+const BattleRules = require('../src/core/battle');
+const TicTacToeRules = require('../src/core/ticTacToe');
+const { GameRegistry } = require('../src/core/gameRegistry');
+
+// Actions: haste grants the acting player an extra turn, stun skips a target's next turn
+class StatusRules extends GameRules {
+    executeAction(game, playerId, action) {
+        return {
+            gameData: game.state.gameData,
+            gameEnded: false,
+            extraTurns: action.type === 'haste' ? [playerId] : [],
+            skipTurns: action.type === 'stun' ? [action.data.targetId] : []
+        };
+    }
+}
+
+describe('Turn order strategies', () => {
+    let gameEngine;
+
+    const startGame = (gameType, turnOrderStrategy, playerIds = ['p1', 'p2', 'p3'], rules = {}) =>
+        startTestGame(gameEngine, { gameType, turnOrderStrategy, seed: 'turn-order-test', rules }, playerIds);
+
+    // Play default actions and collect who acted
+    const playTurns = (game, count) => {
+        const actors = [];
+        for (let i = 0; i < count; i++) {
+            const playerId = game.state.currentTurn;
+            actors.push(playerId);
+            gameEngine.processAction(game.id, playerId, gameEngine.getDefaultAction(game, playerId) || { type: 'pass' });
+        }
+        return actors;
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        const registry = new GameRegistry();
+        registry.register('battle', new BattleRules());
+        registry.register('status', new StatusRules());
+        registry.register('tic-tac-toe', new TicTacToeRules());
+        gameEngine = createEngine(registry);
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('should keep join order', () => {
+        const game = startGame('status', 'join');
+
+        expect(playTurns(game, 4)).toEqual(['p1', 'p2', 'p3', 'p1']);
+    });
+
+    it('should shuffle once from the seed by default', () => {
+        const first = startGame('status');
+        const second = startGame('status');
+
+        expect(second.state.turnOrder).toEqual(first.state.turnOrder);
+        expect(playTurns(first, 6)).toEqual([...first.state.turnOrder, ...first.state.turnOrder]);
+    });
+
+    it('should order by initiative and recompute it every cycle', () => {
+        const game = startGame('battle', 'initiative', ['p1', 'p2', 'p3'], {
+            hp: 1000,
+            combatants: { p1: { speed: 5 }, p2: { speed: 20 }, p3: { speed: 12 } }
+        });
+
+        expect(playTurns(game, 2)).toEqual(['p2', 'p3']);
+
+        game.state.gameData.combatants.p1.speed = 30;
+        expect(playTurns(game, 4)).toEqual(['p1', 'p1', 'p2', 'p3']);
+    });
+
+    it('should let faster players act more often in active time battles', () => {
+        const game = startGame('battle', 'atb', ['p1', 'p2'], {
+            hp: 1000,
+            combatants: { p1: { speed: 10 }, p2: { speed: 20 } }
+        });
+
+        const actors = playTurns(game, 9);
+
+        expect(actors.filter(id => id === 'p2')).toHaveLength(6);
+        expect(actors.filter(id => id === 'p1')).toHaveLength(3);
+        expect(gameEngine.replayGame(game).state.currentTurn).toBe(game.state.currentTurn);
+    });
+
+    it('should give extra turns and skip stunned players', () => {
+        const game = startGame('status', 'join');
+        const skipped = jest.fn();
+        gameEngine.on('turnSkipped', skipped);
+
+        gameEngine.processAction(game.id, 'p1', { type: 'haste' });
+        expect(game.state.currentTurn).toBe('p1');
+
+        gameEngine.processAction(game.id, 'p1', { type: 'stun', data: { targetId: 'p2' } });
+        expect(game.state.currentTurn).toBe('p3');
+        expect(skipped).toHaveBeenCalledWith({ gameId: game.id, playerId: 'p2' });
+
+        expect(playTurns(game, 3)).toEqual(['p3', 'p1', 'p2']);
+        expect(game.state.turnNumber).toBe(6);
+        expect(gameEngine.replayGame(game).state).toMatchObject({
+            currentTurn: game.state.currentTurn,
+            turnNumber: game.state.turnNumber
+        });
+    });
+
+    it('should keep a fixed turn order for game types that deal sides by it', () => {
+        ['initiative', 'atb'].forEach((turnOrderStrategy) => {
+            expect(() => gameEngine.createGame({ gameType: 'tic-tac-toe', turnOrderStrategy }))
+                .toThrow('Game type tic-tac-toe needs a fixed turn order (join or random)');
+        });
+
+        const game = startGame('tic-tac-toe', 'random', ['p1', 'p2']);
+        const [first, second] = game.state.turnOrder;
+        expect(game.state.currentTurn).toBe(first);
+        expect(game.state.gameData.marks).toEqual({ [first]: 'X', [second]: 'O' });
+    });
+
+    it('should reject unknown strategies', () => {
+        expect(() => gameEngine.createGame({ gameType: 'status', turnOrderStrategy: 'alphabetical' }))
+            .toThrow('Unsupported turn order strategy: alphabetical');
+    });
+});
\ No newline at end of file
@@ -59,7 +59,7 @@ const validateLogin = [
 // Game creation validation
 const validateGameCreation = [
     body('gameType')
-        .isIn(['chess', 'checkers', 'tic-tac-toe', 'custom'])
+        .isIn(['chess', 'checkers', 'tic-tac-toe', 'battle', 'custom'])
         .withMessage('Invalid game type'),
 
     body('maxPlayers')
@@ -79,15 +79,16 @@ const validateGameCreation = [
     handleValidationErrors
 ];
 
-// Game action validation
+// Game action validation. Only the envelope is checked here; the engine
+// checks the payload against the game type's action schemas.
 const validateGameAction = [
-    body('actionType')
-        .isIn(['move', 'skip', 'surrender', 'chat'])
-        .withMessage('Invalid action type'),
-
-    body('actionData')
+    body('action')
         .isObject()
-        .withMessage('Action data must be an object'),
+        .withMessage('Action must be an object'),
+
+    body('action.type')
+        .isString()
+        .withMessage('Action type must be a string'),
 
     handleValidationErrors
 ];
@@ -118,7 +119,7 @@ const validateRoomCreation = [
         .withMessage('Description must be less than 500 characters'),
 
     body('gameType')
-        .isIn(['chess', 'checkers', 'tic-tac-toe', 'custom'])
+        .isIn(['chess', 'checkers', 'tic-tac-toe', 'battle', 'custom'])
         .withMessage('Invalid game type'),
 
     body('maxPlayers')